@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * CLI: Capture workspaces from the running GlazeWM straight into config.json.
+ * Fills "application" from each window's process and keeps application/args/links/fullscreen and launch options
+ * from the existing output file for windows matched by title or process.
+ *
+ * Usage:
+ *   node cli/cli-capture.js <workspace_number> [<workspace_number> ...]
+ *   node cli/cli-capture.js 2
+ *   node cli/cli-capture.js 2 3 --output config.json
+ *
+ * Options:
+ *   --output, -o   Output file (default: config.json); also the previous config to keep settings from
+ *   --registry, -r App registry (default: apps.json if it exists)
+ *   --port, -p     GlazeWM IPC port (default: 6123)
+ *   --verbose, -v  Log what we're doing
+ *
+ * Requires: GlazeWM running.
+ */
+
+import { readFile } from 'fs/promises';
+import { DEFAULT_REGISTRY_PATH, loadRegistry } from '../src/appRegistry.js';
+import { captureConfig } from '../src/captureWorkspace.js';
+import { createClient } from '../src/glazeCommon.js';
+import { formatUnresolvedWindows, writeConfigFile } from '../src/parseWorkspace.js';
+
+const args = process.argv.slice(2);
+let outputPath = 'config.json';
+let registryPath = null;
+let port;
+let verbose = false;
+const workspaceNumbers = [];
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--output' || a === '-o') {
+    outputPath = args[++i] ?? 'config.json';
+  } else if (a === '--registry' || a === '-r') {
+    registryPath = args[++i] ?? null;
+  } else if (a === '--port' || a === '-p') {
+    port = Number(args[++i]) || undefined;
+  } else if (a === '--verbose' || a === '-v') {
+    verbose = true;
+  } else if (!a.startsWith('-')) {
+    workspaceNumbers.push(a);
+  }
+}
+
+if (workspaceNumbers.length < 1) {
+  console.error('Usage: node cli-capture.js <workspace_number> [<workspace_number> ...] [--output config.json]');
+  process.exit(1);
+}
+
+async function readPreviousConfig(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf-8'));
+  } catch (err) {
+    if (err?.code === 'ENOENT') return null;
+    throw new Error(`Error reading existing ${path}: ${err.message}`);
+  }
+}
+
+async function main() {
+  const log = verbose ? (msg) => console.log(msg) : () => {};
+  log(`Workspaces: ${workspaceNumbers.join(', ')}`);
+  log(`Output: ${outputPath}`);
+
+  const previousConfig = await readPreviousConfig(outputPath);
+  const registry = await loadRegistry(registryPath ?? DEFAULT_REGISTRY_PATH, { optional: registryPath == null });
+  const client = await createClient({ log, port });
+  try {
+    const { config, unresolved } = await captureConfig(client, workspaceNumbers, { log, previousConfig, registry });
+    await writeConfigFile(outputPath, config);
+    console.log(`Configuration saved to '${outputPath}'`);
+    if (unresolved.length > 0) console.log(formatUnresolvedWindows(unresolved));
+  } finally {
+    await client.closeConnection();
+  }
+}
+
+main().catch((err) => {
+  console.error(err?.message ?? String(err));
+  process.exit(1);
+});
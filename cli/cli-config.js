@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * CLI: Print the fully merged config of a profile (what startup runs on), for debugging profiles.
+ *
+ * Usage:
+ *   node cli/cli-config.js --profile work               # config.json, profile "work"
+ *   node cli/cli-config.js my-config.json -P weekend
+ *   node cli/cli-config.js --list                       # profile names
+ *   node cli/cli-config.js [config] [--profile name] [--list]
+ *
+ * Without --profile, prints the base config (top level, without "profiles").
+ */
+
+import { profileNames, resolveProfile } from '../src/profiles.js';
+import { loadConfig } from '../src/startup.js';
+
+const args = process.argv.slice(2);
+let profile;
+let list = false;
+const positionals = [];
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--profile' || a === '-P') {
+    profile = args[++i];
+  } else if (a === '--list' || a === '-l') {
+    list = true;
+  } else if (!a.startsWith('-')) {
+    positionals.push(a);
+  }
+}
+
+const configPath = positionals[0] ?? 'config.json';
+
+async function main() {
+  const config = await loadConfig(configPath);
+  if (list) {
+    for (const name of profileNames(config)) {
+      const parent = config.profiles[name].extends;
+      console.log(parent ? `${name} (extends ${parent})` : name);
+    }
+    return;
+  }
+  console.log(JSON.stringify(resolveProfile(config, profile), null, 2));
+}
+
+main().catch((err) => {
+  console.error(`${configPath}: ${err?.message ?? err}`);
+  process.exit(1);
+});
@@ -6,17 +6,24 @@
  *   node cli/cli-parse.js <workspace_json_file> <workspace_number> [<workspace_number> ...]
  *   node cli/cli-parse.js workspace.json 2
  *   node cli/cli-parse.js workspace.json 2 3 --output config.json
+ *   node cli/cli-parse.js monitors.json 2 3                 # "glazewm query monitors" output also records monitors
+ *   node cli/cli-parse.js workspace.json 2 --monitors monitors.json
  *
  * Options:
  *   --output, -o   Output file (default: config.json)
+ *   --registry, -r App registry mapping processName/className to application (default: apps.json if it exists)
+ *   --monitors, -m "glazewm query monitors" output; records each workspace's monitor in config
  *   --verbose, -v  Log what we're doing
  */
 
-import { parseWorkspaceFromFile } from '../src/parseWorkspace.js';
-import { writeFile, rename, unlink } from 'fs/promises';
+import { readFile } from 'fs/promises';
+import { DEFAULT_REGISTRY_PATH, loadRegistry } from '../src/appRegistry.js';
+import { formatUnresolvedWindows, listUnresolvedWindows, parseWorkspaceFromFile, writeConfigFile } from '../src/parseWorkspace.js';
 
 const args = process.argv.slice(2);
 let outputPath = 'config.json';
+let registryPath = null;
+let monitorsPath = null;
 let verbose = false;
 const positional = [];
 
@@ -24,6 +31,10 @@ for (let i = 0; i < args.length; i++) {
   const a = args[i];
   if (a === '--output' || a === '-o') {
     outputPath = args[++i] ?? 'config.json';
+  } else if (a === '--registry' || a === '-r') {
+    registryPath = args[++i] ?? null;
+  } else if (a === '--monitors' || a === '-m') {
+    monitorsPath = args[++i] ?? null;
   } else if (a === '--verbose' || a === '-v') {
     verbose = true;
   } else if (!a.startsWith('-')) {
@@ -45,18 +56,17 @@ async function main() {
     console.log(`Output: ${outputPath}`);
   }
 
-  const config = await parseWorkspaceFromFile(workspaceJsonPath, workspaceNumbers);
-  const json = JSON.stringify(config, null, 2);
-  const tmpPath = outputPath + '.tmp';
-  await writeFile(tmpPath, json, 'utf-8');
-  try {
-    await unlink(outputPath).catch((err) => { if (err?.code !== 'ENOENT') throw err; });
-    await rename(tmpPath, outputPath);
-  } catch (err) {
-    await unlink(tmpPath).catch(() => {});
-    throw err;
-  }
+  const registry = await loadRegistry(registryPath ?? DEFAULT_REGISTRY_PATH, { optional: registryPath == null });
+  if (verbose) console.log(registry ? `Registry: ${registryPath ?? DEFAULT_REGISTRY_PATH}` : 'Registry: none');
+
+  const monitors = monitorsPath ? JSON.parse(await readFile(monitorsPath, 'utf-8'))?.data?.monitors ?? null : null;
+  if (monitorsPath && !monitors) throw new Error(`Invalid monitors JSON format in '${monitorsPath}' (missing 'data.monitors')`);
+
+  const config = await parseWorkspaceFromFile(workspaceJsonPath, workspaceNumbers, { registry, monitors });
+  await writeConfigFile(outputPath, config);
   console.log(`Configuration saved to '${outputPath}'`);
+  const unresolved = formatUnresolvedWindows(listUnresolvedWindows(config));
+  if (unresolved) console.log(unresolved);
 }
 
 main().catch((err) => {
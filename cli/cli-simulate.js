@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * CLI: Run GlazeWM startup phases against the offline simulator (no GlazeWM, works on Linux).
+ * Starts a mock IPC server seeded from a workspace query JSON, then runs startupFromConfig against it
+ * through a dry-run sink (simulated app launches, planned actions printed). Exit code is 0 on success, 1 if a phase throws.
+ *
+ * Usage:
+ *   node cli/cli-simulate.js                                   # all phases, config.json, workspace-example.json
+ *   node cli/cli-simulate.js --config config-example.json
+ *   node cli/cli-simulate.js clear open --workspace workspace.json
+ *   node cli/cli-simulate.js --profile weekend
+ *   node cli/cli-simulate.js [phases...] [--config path] [--workspace path] [--port 6124] [--profile name]
+ */
+
+import { readFile } from 'fs/promises';
+import { startDryRun } from '../src/dryRun.js';
+import { MOCK_SERVER_PORT } from '../src/mockGlazeServer.js';
+import { PHASES, startupFromConfig } from '../src/startup.js';
+
+const args = process.argv.slice(2);
+let configPath = 'config.json';
+let profile;
+let workspacePath = 'workspace-example.json';
+let port = MOCK_SERVER_PORT;
+const positionals = [];
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--config' || a === '-c') {
+    configPath = args[++i] ?? 'config.json';
+  } else if (a === '--profile' || a === '-P') {
+    profile = args[++i];
+  } else if (a === '--workspace' || a === '-w') {
+    workspacePath = args[++i] ?? 'workspace-example.json';
+  } else if (a === '--port' || a === '-p') {
+    port = Number(args[++i]) || MOCK_SERVER_PORT;
+  } else if (!a.startsWith('-')) {
+    positionals.push(a);
+  }
+}
+
+const validPhases = new Set(PHASES);
+const phases = positionals.filter((p) => validPhases.has(p));
+
+async function main() {
+  const log = (msg) => console.log(msg);
+  const workspaceJson = JSON.parse(await readFile(workspacePath, 'utf-8'));
+  const { sink } = await startDryRun(workspaceJson, { port, log, print: log });
+
+  await startupFromConfig(configPath, {
+    phases: phases.length ? phases : undefined,
+    port,
+    log,
+    checkPaths: false,
+    sink,
+    profile,
+  });
+  // Only reached when startup returns early (e.g. no workspaces); otherwise it exits itself.
+  process.exit(0);
+}
+
+main().catch((err) => {
+  console.error(err?.message ?? String(err));
+  process.exit(1);
+});
@@ -1,28 +1,57 @@
 #!/usr/bin/env node
 /**
- * CLI: Run GlazeWM startup phases (clear, open, layout, fullscreen).
- * With no phases: runs all. With phases: runs only those in order.
+ * CLI: Run GlazeWM startup phases (clear, open, reconcile, layout, verify, fullscreen).
+ * With no phases: runs clear, open, layout, fullscreen. With phases: runs only those in order.
  *
  * Usage:
  *   node cli/cli-startup.js                    # all phases
  *   node cli/cli-startup.js clear              # clear only
  *   node cli/cli-startup.js fullscreen 2       # fullscreen workspace 2 only
  *   node cli/cli-startup.js clear open         # clear then open
- *   node cli/cli-startup.js [phases...] [--config path]
+ *   node cli/cli-startup.js reconcile layout   # keep matching windows, close/move/open the rest, then layout
+ *   node cli/cli-startup.js verify             # diff the current desktop against config; exit 1 if it differs
+ *   node cli/cli-startup.js --dry-run          # print every command / spawn / F11 without touching windows
+ *   node cli/cli-startup.js --dry-run --workspace workspace.json   # dry run from recorded state
+ *   node cli/cli-startup.js --profile work     # run the "work" profile of config.json
+ *   node cli/cli-startup.js --log-format json  # one JSON object per log line, then the run report
+ *   node cli/cli-startup.js [phases...] [--config path] [--port 6123] [--dry-run] [--workspace path] [--profile name] [--log-format text|json]
  *
  * Requires: GlazeWM running, config.json (or path via --config).
+ * --dry-run runs the phases against a simulator seeded from --workspace, or from a read-only query of
+ * the running GlazeWM if omitted.
+ * Every run ends with a report (phase timings, app launch latency, verify mismatches, exit reason); with
+ * --log-format json it is the last line, { "type": "report", ... }.
  */
 
+import { writeSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { recordWorkspaceState, startDryRun } from '../src/dryRun.js';
+import { createRunReport, formatReport, LOG_FORMATS } from '../src/runReport.js';
 import { PHASES, startupFromConfig } from '../src/startup.js';
 
 const args = process.argv.slice(2);
 let configPath = 'config.json';
+let profile;
+let port;
+let dryRun = false;
+let workspacePath = null;
+let logFormat = 'text';
 const positionals = [];
 
 for (let i = 0; i < args.length; i++) {
   const a = args[i];
   if (a === '--config' || a === '-c') {
     configPath = args[++i] ?? 'config.json';
+  } else if (a === '--profile' || a === '-P') {
+    profile = args[++i];
+  } else if (a === '--port' || a === '-p') {
+    port = Number(args[++i]) || undefined;
+  } else if (a === '--dry-run' || a === '-n') {
+    dryRun = true;
+  } else if (a === '--log-format') {
+    logFormat = args[++i] ?? 'text';
+  } else if (a === '--workspace' || a === '-w') {
+    workspacePath = args[++i] ?? null;
   } else if (!a.startsWith('-')) {
     positionals.push(a);
   }
@@ -37,12 +66,39 @@ if (phases.includes('fullscreen') && positionals.length > phases.length) {
   if (next != null && !validPhases.has(next)) workspaceName = next;
 }
 
-startupFromConfig(configPath, {
-  phases: phases.length ? phases : undefined,
-  workspaceName,
-}).catch((err) => {
+if (!LOG_FORMATS.includes(logFormat)) {
+  console.error(`Unknown --log-format "${logFormat}" (use ${LOG_FORMATS.join(' or ')})`);
+  process.exit(1);
+}
+
+// startupFromConfig exits the process itself, so the report is written on exit, which only allows synchronous
+// writes. Log lines are written the same way: console.log may still hold them in a buffer (pipes on Windows)
+// when the report goes out, and they would come after it.
+const writeLine = (fd) => (line) => writeSync(fd, `${line}\n`);
+const report = createRunReport({ format: logFormat, write: writeLine(1), writeError: writeLine(2) });
+const log = report.log;
+
+process.on('exit', (code) => {
+  const result = report.finish(code);
+  writeLine(1)(logFormat === 'json' ? JSON.stringify({ type: 'report', ...result }) : formatReport(result));
+});
+
+async function main() {
+  const startupOpts = { phases: phases.length ? phases : undefined, workspaceName, port, profile, log };
+  if (dryRun) {
+    const workspaceJson = workspacePath
+      ? JSON.parse(await readFile(workspacePath, 'utf-8'))
+      : await recordWorkspaceState({ log, port });
+    const { port: dryRunPort, sink } = await startDryRun(workspaceJson, { print: (line) => log(line, { action: 'dry-run' }) });
+    startupOpts.port = dryRunPort;
+    startupOpts.sink = sink;
+  }
+  await startupFromConfig(configPath, startupOpts);
+}
+
+main().catch((err) => {
   const msg = typeof err === 'string' ? err : err?.message ?? String(err);
-  console.error(msg);
-  if (err?.stack) console.error(err.stack);
+  log(msg, { action: 'error', result: 'failed' });
+  if (err?.stack) log(err.stack, { action: 'stack' });
   process.exit(1);
 });
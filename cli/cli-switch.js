@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * CLI: Switch one workspace to the layout a profile gives it (clear or reconcile it, open, layout, fullscreen).
+ * Other workspaces are left as they are.
+ *
+ * Usage:
+ *   node cli/cli-switch.js 2 review                    # workspace 2 -> profile "review" of config.json
+ *   node cli/cli-switch.js 2 review --reconcile        # keep windows on workspace 2 that fit "review"
+ *   node cli/cli-switch.js 2 coding --dry-run          # print every command / spawn / F11 without touching windows
+ *   node cli/cli-switch.js <workspace> <layout> [--config path] [--port 6123] [--reconcile] [--dry-run] [--workspace path]
+ *
+ * Requires: GlazeWM running, config.json (or path via --config) with the layout under "profiles".
+ * --dry-run runs against a simulator seeded from --workspace (a saved query), or from a read-only query of
+ * the running GlazeWM if omitted.
+ */
+
+import { readFile } from 'fs/promises';
+import { recordWorkspaceState, startDryRun } from '../src/dryRun.js';
+import { switchWorkspace } from '../src/startup.js';
+
+const args = process.argv.slice(2);
+let configPath = 'config.json';
+let port;
+let reconcile = false;
+let dryRun = false;
+let workspacePath = null;
+const positionals = [];
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--config' || a === '-c') {
+    configPath = args[++i] ?? 'config.json';
+  } else if (a === '--port' || a === '-p') {
+    port = Number(args[++i]) || undefined;
+  } else if (a === '--reconcile' || a === '-r') {
+    reconcile = true;
+  } else if (a === '--dry-run' || a === '-n') {
+    dryRun = true;
+  } else if (a === '--workspace' || a === '-w') {
+    workspacePath = args[++i] ?? null;
+  } else if (!a.startsWith('-')) {
+    positionals.push(a);
+  }
+}
+
+const [workspaceName, layoutName] = positionals;
+
+async function main() {
+  if (workspaceName == null || layoutName == null) {
+    throw new Error('Usage: node cli/cli-switch.js <workspace> <layout> [--config path] [--reconcile] [--dry-run]');
+  }
+  const switchOpts = { port, reconcile };
+  if (dryRun) {
+    const log = (msg) => console.log(msg);
+    const workspaceJson = workspacePath
+      ? JSON.parse(await readFile(workspacePath, 'utf-8'))
+      : await recordWorkspaceState({ log, port });
+    const { port: dryRunPort, sink } = await startDryRun(workspaceJson);
+    switchOpts.port = dryRunPort;
+    switchOpts.sink = sink;
+    switchOpts.checkPaths = false;
+  }
+  await switchWorkspace(configPath, workspaceName, layoutName, switchOpts);
+}
+
+main().catch((err) => {
+  const msg = typeof err === 'string' ? err : err?.message ?? String(err);
+  console.error(msg);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * CLI: Validate config.json (schema + semantic checks). Prints every problem with its JSON path.
+ * The base config and every profile are checked after resolving (see profiles.js), unless --profile picks one.
+ * Exits 0 if valid, 1 otherwise.
+ *
+ * Usage:
+ *   node cli/cli-validate.js                  # config.json
+ *   node cli/cli-validate.js my-config.json
+ *   node cli/cli-validate.js [config] [--no-check-paths] [--profile name]
+ *
+ * Options:
+ *   --no-check-paths   Don't check that .exe, .lnk, .bat, .cmd paths and cwd exist and ${VAR}s are set (checked by default on Windows)
+ *   --profile, -P      Only check this profile
+ */
+
+import { profileNames, resolveProfile } from '../src/profiles.js';
+import { loadConfig } from '../src/startup.js';
+import { formatProblems, validateConfig } from '../src/validateConfig.js';
+
+const args = process.argv.slice(2);
+let checkPaths;
+let profile;
+const positionals = [];
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--no-check-paths') {
+    checkPaths = false;
+  } else if (a === '--profile' || a === '-P') {
+    profile = args[++i];
+  } else if (!a.startsWith('-')) {
+    positionals.push(a);
+  }
+}
+
+const configPath = positionals[0] ?? 'config.json';
+
+async function main() {
+  const config = await loadConfig(configPath);
+  const profiles = profile != null ? [profile] : [undefined, ...profileNames(config)];
+  let failed = false;
+
+  for (const name of profiles) {
+    const label = name != null ? `${configPath} (profile ${name})` : configPath;
+    let problems;
+    try {
+      problems = await validateConfig(resolveProfile(config, name), { checkPaths });
+    } catch (err) {
+      problems = [{ path: `profiles.${name}`, message: err?.message ?? String(err) }];
+    }
+    if (problems.length === 0) {
+      console.log(`${label}: OK`);
+      continue;
+    }
+    failed = true;
+    console.error(`${label}: ${problems.length} problem(s)`);
+    console.error(formatProblems(problems));
+  }
+  if (failed) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(`${configPath}: ${err?.message ?? err}`);
+  process.exit(1);
+});
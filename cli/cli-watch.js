@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/**
+ * CLI: Watch the configured workspaces and restore layout drift (structure, ratios, window states) until Ctrl+C.
+ * Run after startup. Relaunching closed apps is off unless config "watch": { "relaunch": true }.
+ *
+ * Usage:
+ *   node cli/cli-watch.js                              # config.json
+ *   node cli/cli-watch.js --profile work
+ *   node cli/cli-watch.js [--config path] [--port 6123] [--profile name]
+ *
+ * Requires: GlazeWM running, config.json (or path via --config).
+ */
+
+import { watchFromConfig } from '../src/startup.js';
+
+const args = process.argv.slice(2);
+let configPath = 'config.json';
+let profile;
+let port;
+
+for (let i = 0; i < args.length; i++) {
+  const a = args[i];
+  if (a === '--config' || a === '-c') {
+    configPath = args[++i] ?? 'config.json';
+  } else if (a === '--profile' || a === '-P') {
+    profile = args[++i];
+  } else if (a === '--port' || a === '-p') {
+    port = Number(args[++i]) || undefined;
+  }
+}
+
+watchFromConfig(configPath, { port, profile })
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err?.message ?? String(err));
+    process.exit(1);
+  });
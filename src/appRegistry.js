@@ -0,0 +1,87 @@
+/**
+ * Application registry
+ *
+ * User-maintained file (default apps.json) that maps a window's processName / className / title to a
+ * launch target, so parse and capture can write a launchable config instead of "FILL ME IN".
+ *
+ * Format: { "applications": [rule, ...] }, first matching rule wins. A rule has:
+ * - match fields (all given ones must match): processName, className (case-insensitive), titlePattern (regex)
+ * - application: exe path, AUMID, or exact Start Menu name (same as config); optional default args and launch
+ *   options (launcher, cwd, env, runAsAdmin, startState; see launchers.js)
+ * - links (optional): [{ titleContains | titlePattern, link }], first match sets the window's link
+ */
+
+import { readFile } from 'fs/promises';
+import { LAUNCH_OPTION_FIELDS } from './launchers.js';
+
+/** Default registry path, used when it exists. */
+export const DEFAULT_REGISTRY_PATH = 'apps.json';
+
+/**
+ * Load a registry file.
+ * @param {string} registryPath - Path to the registry JSON
+ * @param {{ optional?: boolean }} opts - optional: return null instead of throwing when the file is missing
+ * @returns {Promise<object|null>} Registry { applications: [] }
+ */
+export async function loadRegistry(registryPath = DEFAULT_REGISTRY_PATH, opts = {}) {
+  let raw;
+  try {
+    raw = await readFile(registryPath, 'utf-8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      if (opts.optional) return null;
+      throw new Error(`Registry '${registryPath}' not found`);
+    }
+    throw new Error(`Error reading registry: ${e.message}`);
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Error parsing registry ${registryPath}: ${e.message}`);
+  }
+  if (!Array.isArray(registry?.applications)) {
+    throw new Error(`Invalid registry ${registryPath} (missing 'applications' array)`);
+  }
+  return registry;
+}
+
+function equalsIgnoreCase(a, b) {
+  return String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+}
+
+function ruleMatches(rule, window) {
+  if (rule.processName != null && !equalsIgnoreCase(rule.processName, window?.processName)) return false;
+  if (rule.className != null && !equalsIgnoreCase(rule.className, window?.className)) return false;
+  if (rule.titlePattern != null && !new RegExp(rule.titlePattern).test(window?.title ?? '')) return false;
+  return rule.processName != null || rule.className != null || rule.titlePattern != null;
+}
+
+function linkFor(rule, title) {
+  for (const entry of rule.links ?? []) {
+    if (entry?.titleContains != null && (title ?? '').includes(entry.titleContains)) return entry.link;
+    if (entry?.titlePattern != null && new RegExp(entry.titlePattern).test(title ?? '')) return entry.link;
+  }
+  return null;
+}
+
+/**
+ * Resolve a live window (from "query workspaces") to a launch target via the registry.
+ * @param {object|null} registry - From loadRegistry
+ * @param {object} window - Window node with processName, className, title
+ * @returns {{ application: string, args?: string[], link?: string, cwd?: string, env?: object, runAsAdmin?: boolean, startState?: string, launcher?: string }|null}
+ *   null if no rule matches
+ */
+export function resolveApplication(registry, window) {
+  const rule = (registry?.applications ?? []).find((r) => ruleMatches(r, window));
+  if (!rule?.application) return null;
+  const out = { application: rule.application };
+  if (Array.isArray(rule.args) && rule.args.length > 0) out.args = [...rule.args];
+  for (const field of LAUNCH_OPTION_FIELDS) {
+    if (rule[field] != null) out[field] = field === 'env' ? { ...rule.env } : rule[field];
+  }
+  const link = linkFor(rule, window?.title);
+  if (link) out.link = link;
+  return out;
+}
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { loadRegistry, resolveApplication } from './appRegistry.js';
+import { listUnresolvedWindows, parseWorkspace } from './parseWorkspace.js';
+
+const FIREFOX = 'C:\\Program Files\\Mozilla Firefox\\firefox.exe';
+
+const registry = {
+  applications: [
+    {
+      processName: 'firefox',
+      application: FIREFOX,
+      args: ['-P', 'work'],
+      links: [
+        { titleContains: 'YouTube', link: 'https://www.youtube.com' },
+        { titlePattern: '^Inbox', link: 'https://mail.google.com' },
+      ],
+    },
+    { processName: 'ApplicationFrameHost', titlePattern: 'WhatsApp', application: 'WhatsApp' },
+    { className: 'Chrome_WidgetWin_1', application: 'C:\\Apps\\electron.exe' },
+    { processName: 'firefox', application: 'never used' },
+  ],
+};
+
+const window = (processName, title, className = '') => ({ type: 'window', processName, title, className });
+
+describe('resolveApplication', () => {
+  const cases = [
+    {
+      name: 'process name, case-insensitively, with the rule args',
+      window: window('Firefox', 'New Tab — Mozilla Firefox'),
+      want: { application: FIREFOX, args: ['-P', 'work'] },
+    },
+    {
+      name: 'link from titleContains',
+      window: window('firefox', 'Lofi - YouTube — Mozilla Firefox'),
+      want: { application: FIREFOX, args: ['-P', 'work'], link: 'https://www.youtube.com' },
+    },
+    {
+      name: 'link from titlePattern',
+      window: window('firefox', 'Inbox (3) — Mozilla Firefox'),
+      want: { application: FIREFOX, args: ['-P', 'work'], link: 'https://mail.google.com' },
+    },
+    {
+      name: 'titlePattern that does not match the start',
+      window: window('firefox', 'Re: Inbox — Mozilla Firefox'),
+      want: { application: FIREFOX, args: ['-P', 'work'] },
+    },
+    {
+      name: 'every given match field has to match',
+      window: window('ApplicationFrameHost', 'Calculator'),
+      want: null,
+    },
+    {
+      name: 'process name and title pattern',
+      window: window('ApplicationFrameHost', 'WhatsApp'),
+      want: { application: 'WhatsApp' },
+    },
+    {
+      name: 'class name',
+      window: window('slack', 'Slack', 'chrome_widgetwin_1'),
+      want: { application: 'C:\\Apps\\electron.exe' },
+    },
+    {
+      name: 'no rule',
+      window: window('notepad', 'Untitled - Notepad'),
+      want: null,
+    },
+  ];
+
+  for (const { name, window: w, want } of cases) {
+    it(name, () => assert.deepEqual(resolveApplication(registry, w), want));
+  }
+
+  it('returns null without a registry and skips rules with no match fields', () => {
+    assert.equal(resolveApplication(null, window('firefox', 'x')), null);
+    assert.equal(resolveApplication({ applications: [{ application: 'C:\\any.exe' }] }, window('firefox', 'x')), null);
+  });
+
+  it('copies the rule args', () => {
+    resolveApplication(registry, window('firefox', 'x')).args.push('--changed');
+    assert.deepEqual(registry.applications[0].args, ['-P', 'work']);
+  });
+});
+
+describe('loadRegistry', () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'registry-'));
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('reads the applications, or null for a missing optional file', async () => {
+    const path = join(dir, 'apps.json');
+    await writeFile(path, JSON.stringify(registry));
+    assert.deepEqual(await loadRegistry(path), registry);
+    assert.equal(await loadRegistry(join(dir, 'none.json'), { optional: true }), null);
+    await assert.rejects(loadRegistry(join(dir, 'none.json')), /not found/);
+  });
+
+  it('rejects a file without an applications array', async () => {
+    const path = join(dir, 'bad.json');
+    await writeFile(path, '{ "apps": [] }');
+    await assert.rejects(loadRegistry(path), /missing 'applications' array/);
+  });
+});
+
+describe('parseWorkspace with a registry', () => {
+  const workspaceJson = {
+    data: {
+      workspaces: [
+        {
+          type: 'workspace',
+          name: '2',
+          tilingDirection: 'horizontal',
+          children: [
+            { ...window('firefox', 'Inbox — Mozilla Firefox'), tilingSize: 0.5 },
+            { ...window('notepad', 'Untitled - Notepad'), tilingSize: 0.5 },
+          ],
+        },
+      ],
+    },
+  };
+
+  it('fills application, args and link from the registry and lists the windows it could not resolve', () => {
+    const config = parseWorkspace(workspaceJson, ['2'], { registry });
+    const [firefox, notepad] = config.workspaces[0].children;
+    assert.deepEqual([firefox.application, firefox.args, firefox.link], [FIREFOX, ['-P', 'work'], 'https://mail.google.com']);
+    assert.equal(notepad.application, 'FILL ME IN');
+    assert.deepEqual(listUnresolvedWindows(config), [{ workspace: '2', title: 'Untitled - Notepad', processName: 'notepad' }]);
+  });
+});
@@ -1,22 +1,41 @@
 /**
- * GlazeWM Apply Layout (tiled only)
+ * GlazeWM Apply Layout
  *
  * After windows are open, build the split tree to match config using
- * tiling_direction and tiling_size (ratios). No floating, no pixel position/size.
+ * tiling_direction and tiling_size (ratios). Floating and minimized windows (state in config) are left
+ * out of the tree and handled by floatingWindows.js.
  *
+ * - Set each window's state (set-floating / set-minimized / set-tiling) and place floating windows
  * - Set workspace tiling direction
- * - Use move (--direction left/right/up/down) and toggle-tiling-direction to create
- *   the split structure (vertical stacks where config has split with 2 children)
- * - Optionally use resize (--width / --height with +/- N%) to approximate tiling_size ratios
+ * - Use move (--direction left/right/up/down) and set-tiling-direction to create
+ *   the split structure (any depth and number of children)
+ * - Resize (--width / --height with +/- N%) to the tiling_size ratios, deltas computed up front (planResizes)
  */
 
-import { focusWorkspace, focusWindow } from './glazeCommon.js';
-import { findAllWindows, flattenApplications } from './parseWorkspace.js';
+import { sinkFor } from './commandSink.js';
+import { applyWindowStates, verifyWindowStates } from './floatingWindows.js';
+import { focusWorkspace, focusWindow, getWorkspace } from './glazeCommon.js';
+import { configRatios, diffWorkspace, formatDiffTree, TOLERANCE_RATIO } from './layoutDiff.js';
+import { matchWorkspaceWindows, tilingWindowsOnly, withoutSkippedWindows } from './matchWindows.js';
+import { findAllWindows, findContainerById, flattenApplications, tilingTreeOf } from './parseWorkspace.js';
+
+/** Max plan + confirm rounds per container; one is enough unless GlazeWM clamps a resize. */
+const MAX_RESIZE_ROUNDS = 3;
+/** Resize deltas (ratio of the parent) smaller than this are not sent. */
+const RESIZE_EPSILON = TOLERANCE_RATIO / 4;
+/** Max moves when flattening a workspace before building the tree. */
+const MAX_BUILD_MOVES = 200;
+/** Diff checks that mean the split tree has to be rebuilt (see layoutDiff.js). */
+const STRUCTURE_CHECKS = new Set(['structure', 'direction', 'window']);
 
-/** Very tight tolerance for tiling_size ratio (aim for near-perfect match). */
-const TOLERANCE_RATIO = 0.002;
-/** Max resize iterations per container to avoid infinite loops. */
-const MAX_RESIZE_ITERATIONS = 80;
+/**
+ * Workspace from query reduced to its split tree: floating and minimized windows are left out.
+ * @returns {Promise<object|null>}
+ */
+async function getTilingWorkspace(client, workspaceName) {
+  const ws = await getWorkspace(client, workspaceName);
+  return ws ? tilingTreeOf(ws) : null;
+}
 
 /**
  * Set workspace tiling direction to match config by toggling the workspace container until query matches.
@@ -39,29 +58,10 @@ async function setWorkspaceTilingDirection(client, workspaceName, targetDirectio
     }
 
     log(`Workspace ${workspaceName}: toggling tiling direction (current: ${current}, want: ${targetDirection})`);
-    await client.runCommand('toggle-tiling-direction', ws.id);
+    await sinkFor(client, opts).runCommand('toggle-tiling-direction', ws.id);
   }
 }
 
-/**
- * Find a split container whose direct children are exactly two windows with the given ids.
- */
-function findSplitContainingTwoWindows(container, idA, idB) {
-  if (container?.type !== 'split' && container?.type !== 'workspace') return null;
-  const children = container?.children ?? [];
-  for (const child of children) {
-    if (child?.type === 'split') {
-      const cids = (child.children ?? []).map((c) => c?.id).filter(Boolean);
-      if (cids.length === 2 && cids.includes(idA) && cids.includes(idB)) {
-        return child;
-      }
-      const found = findSplitContainingTwoWindows(child, idA, idB);
-      if (found) return found;
-    }
-  }
-  return null;
-}
-
 /**
  * Walk query workspace by path (array of child indices) to get the container node.
  * @param {object} ws - Workspace node from query
@@ -82,13 +82,14 @@ function getQueryNodeByPath(ws, path) {
  * Collect every container (workspace or split) that has children, by walking config and query in parallel.
  * Returns list in BFS order (depth 0 = workspace children, then depth 1, etc.) so we apply outer ratios first.
  * Ratio refers to parent tiling direction: vertical parent → height ratio; horizontal parent → width ratio.
+ * A node without a direction gets the one buildContainer gave it (workspace: horizontal, split: vertical).
  */
 function collectRatioContainers(configNode, queryNode, path = [], depth = 0, out = []) {
   const configChildren = configNode?.children ?? [];
   const queryChildren = queryNode?.children ?? [];
   if (configChildren.length === 0 || queryChildren.length !== configChildren.length) return out;
 
-  const parentTilingDirection = (configNode?.tiling_direction ?? configNode?.tilingDirection ?? 'horizontal').toLowerCase();
+  const parentTilingDirection = tilingDirectionOf(configNode, depth === 0 ? 'horizontal' : 'vertical');
   out.push({ depth, path, parentTilingDirection, configChildren, queryChildren });
 
   for (let i = 0; i < configChildren.length; i++) {
@@ -98,73 +99,190 @@ function collectRatioContainers(configNode, queryNode, path = [], depth = 0, out
 }
 
 /**
- * Build the tiled split tree: for each vertical split (w0, w1), focus w0, set-tiling-direction vertical (no id),
- * then focus w1 and move left so w1 stacks with w0. Re-query after each grouping so we have current tree.
+ * Tiling direction of a config node (workspace or split), lowercased.
+ * @param {object} node - Config node
+ * @param {string} fallback - Direction when the node has none (workspace: horizontal, split: vertical)
  */
-async function buildTiledTree(client, ws, workspaceConfig, windowsByFlattenIndex, opts = {}) {
-  const log = opts.log ?? (() => {});
-  const children = workspaceConfig?.children ?? [];
-  if (children.length === 0) return;
+function tilingDirectionOf(node, fallback) {
+  return (node?.tiling_direction ?? node?.tilingDirection ?? fallback).toLowerCase();
+}
 
-  const applications = flattenApplications(workspaceConfig);
-  const nodeToIndex = new Map();
-  applications.forEach((node, i) => nodeToIndex.set(node, i));
+/**
+ * Move directions along a container's tiling axis. back = towards index 0, forward = towards the end.
+ */
+function directionsForAxis(tilingDirection) {
+  return tilingDirection === 'vertical' ? { back: 'up', forward: 'down' } : { back: 'left', forward: 'right' };
+}
 
-  let currentWindows = [...windowsByFlattenIndex];
+/**
+ * Move every window out of its split until all windows are direct children of the workspace.
+ * Moving perpendicular to the parent split's direction lifts the window one level; GlazeWM drops
+ * splits left with a single child, so repeating this ends with a flat workspace.
+ * @returns {Promise<object|null>} Flat workspace from query
+ */
+async function flattenWorkspace(client, wsName, opts = {}) {
+  const log = opts.log ?? (() => {});
+  for (let i = 0; i < MAX_BUILD_MOVES; i++) {
+    const ws = await getTilingWorkspace(client, wsName);
+    if (!ws) return null;
+    const nested = findAllWindows(ws).find((w) => w?.parentId && w.parentId !== ws.id);
+    if (!nested) return ws;
+    const parent = findContainerById(ws, nested.parentId);
+    const across = tilingDirectionOf(parent, 'vertical') === 'vertical' ? 'horizontal' : 'vertical';
+    const direction = directionsForAxis(across).forward;
+    log(`Flattening: move ${nested.title ?? nested.id} ${direction} out of split`);
+    await sinkFor(client, opts).runCommand('move --direction ' + direction, nested.id);
+  }
+  throw new Error(`Workspace ${wsName}: could not flatten splits after ${MAX_BUILD_MOVES} moves`);
+}
 
-  for (const node of children) {
-    if (node?.type !== 'split' || !Array.isArray(node.children) || node.children.length !== 2) continue;
+/**
+ * Reorder the direct children of a container so they match wantIds, by moving each window back along
+ * the container's axis (a move swaps it with its previous sibling). All children must be windows.
+ */
+async function orderChildren(client, wsName, containerId, wantIds, tilingDirection, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const { back } = directionsForAxis(tilingDirection);
+  for (let i = 0; i < wantIds.length; i++) {
+    for (let moves = 0; ; moves++) {
+      const ws = await getTilingWorkspace(client, wsName);
+      const ids = (findContainerById(ws, containerId)?.children ?? []).map((c) => c?.id);
+      const current = ids.indexOf(wantIds[i]);
+      if (current < 0) throw new Error(`Window ${wantIds[i]} is not in container ${containerId}`);
+      if (current <= i) break;
+      if (moves >= ids.length) throw new Error(`Could not move window ${wantIds[i]} to position ${i}`);
+      log(`Ordering: move ${wantIds[i]} ${back} (position ${current} -> ${i})`);
+      await sinkFor(client, opts).runCommand('move --direction ' + back, wantIds[i]);
+    }
+  }
+}
 
-    const splitDirection = (node.tiling_direction ?? node.tilingDirection ?? 'vertical').toLowerCase();
-    const app0 = node.children[0];
-    const app1 = node.children[1];
-    if (app0?.type !== 'window' || app1?.type !== 'window') continue;
+/**
+ * Wrap the first window of leafIds in a new split with the given direction, then move the remaining
+ * windows into it. Expects leafIds to be adjacent, in order, direct children of the parent container.
+ * @returns {Promise<string>} Id of the new split container
+ */
+async function groupIntoSplit(client, wsName, parentId, parentDirection, splitDirection, leafIds, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const [anchorId, ...restIds] = leafIds;
 
-    const idx0 = nodeToIndex.get(app0);
-    const idx1 = nodeToIndex.get(app1);
-    if (idx0 == null || idx1 == null || idx0 === idx1) continue;
+  await sinkFor(client, opts).runCommand('set-tiling-direction ' + splitDirection, anchorId);
+  let ws = await getTilingWorkspace(client, wsName);
+  const splitId = findContainerById(ws, anchorId)?.parentId;
+  if (!splitId || splitId === parentId) {
+    throw new Error(`Could not create ${splitDirection} split around window ${anchorId}`);
+  }
+  log(`Created ${splitDirection} split ${splitId} around window ${anchorId}`);
+
+  const { back } = directionsForAxis(parentDirection);
+  for (const id of restIds) {
+    for (let moves = 0; findContainerById(ws, id)?.parentId !== splitId; moves++) {
+      if (moves >= leafIds.length) throw new Error(`Could not move window ${id} into split ${splitId}`);
+      await sinkFor(client, opts).runCommand('move --direction ' + back, id);
+      ws = await getTilingWorkspace(client, wsName);
+    }
+  }
+  return splitId;
+}
 
-    const win0 = currentWindows[idx0];
-    const win1 = currentWindows[idx1];
-    if (!win0?.id || !win1?.id) continue;
+/**
+ * Recursively build the children of one config container inside its live container.
+ * On entry the live container holds exactly the config container's windows, flat. They are put in
+ * depth-first config order, then each child split is created around its windows and built the same way.
+ * Outer splits are created before inner ones: GlazeWM flattens a split whose direction matches its
+ * parent, so an inner split can only exist once the split around it does.
+ * @returns {Promise<string[]>} Splits that could not be built (fewer than 2 children), one message each
+ */
+async function buildContainer(client, wsName, containerId, configNode, direction, leafIdOf, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const leafIds = (node) => flattenApplications(node).map(leafIdOf);
+  const problems = [];
 
-    const name0 = app0?.title ?? app0?.name ?? win0?.title ?? '?';
-    const name1 = app1?.title ?? app1?.name ?? win1?.title ?? '?';
-    log(`Grouping into ${splitDirection} split: ${name0} (idx ${idx0}), ${name1} (idx ${idx1})`);
+  await orderChildren(client, wsName, containerId, leafIds(configNode), direction, opts);
 
-    try {
-      await focusWorkspace(client, workspaceConfig?.name ?? '', { log });
-      await focusWindow(client, win0.id);
-      await client.runCommand('set-tiling-direction ' + splitDirection);
-      await focusWindow(client, win1.id);
-      await client.runCommand('move --direction left', win1.id);
-    } catch (err) {
-      log(`Error during grouping: ${err?.message ?? err}`);
+  for (const child of configNode?.children ?? []) {
+    if (child?.type !== 'split') continue;
+    const childIds = leafIds(child);
+    if ((child.children ?? []).length < 2 || childIds.length < 2) {
+      problems.push(`split of ${childIds.length} window(s) not built (GlazeWM does not keep single-child splits)`);
       continue;
     }
+    const childDirection = tilingDirectionOf(child, 'vertical');
+    log(`Grouping ${childIds.length} windows into ${childDirection} split`);
+    const splitId = await groupIntoSplit(client, wsName, containerId, direction, childDirection, childIds, opts);
+    problems.push(...(await buildContainer(client, wsName, splitId, child, childDirection, leafIdOf, opts)));
+  }
+  return problems;
+}
 
-    const { workspaces } = await client.queryWorkspaces();
-    const wsCurrent = workspaces?.find((w) => w?.name === workspaceConfig?.name);
-    if (!wsCurrent) {
-      log(`Workspace ${workspaceConfig?.name} not found after grouping`);
-      continue;
-    }
+/**
+ * Build the tiled split tree for any depth and shape of workspace.children from config.
+ * Flattens the live workspace, then builds splits with move / set-tiling-direction (see buildContainer).
+ * Skips building when the live structure already matches config, with every window in its slot.
+ * @param {object[]} windowsByFlattenIndex - Live windows matched to flattenApplications(workspaceConfig), same order
+ * @returns {Promise<string[]>} Splits that could not be built (see buildContainer)
+ * @throws when the workspace disappears while building
+ */
+async function buildTiledTree(client, workspaceConfig, windowsByFlattenIndex, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const wsName = workspaceConfig?.name;
+  if ((workspaceConfig?.children ?? []).length === 0) return [];
 
-    const split = findSplitContainingTwoWindows(wsCurrent, win0.id, win1.id);
-    if (split?.id) {
-      await client.runCommand('set-tiling-direction ' + splitDirection, split.id);
-      log(`Focusing split container for next grouping`);
-      await focusWindow(client, split.id);
-    }
-    currentWindows = findAllWindows(wsCurrent);
+  const current = await getTilingWorkspace(client, wsName);
+  if (!diffWorkspace(workspaceConfig, current).differences.some((d) => STRUCTURE_CHECKS.has(d.check))) {
+    log(`Workspace ${wsName}: structure already matches config`);
+    return [];
+  }
+
+  const applications = flattenApplications(workspaceConfig);
+  const idByNode = new Map(applications.map((node, i) => [node, windowsByFlattenIndex[i]?.id]));
+  const leafIdOf = (node) => idByNode.get(node);
+
+  const ws = await flattenWorkspace(client, wsName, opts);
+  if (!ws) throw new Error('workspace not found while building layout');
+  return buildContainer(client, wsName, ws.id, workspaceConfig, tilingDirectionOf(workspaceConfig, 'horizontal'), leafIdOf, opts);
+}
+
+/**
+ * Plan the resizes that take one container's children from their current to their target ratios.
+ * GlazeWM resizes a child by d (resize --width +N% is d = N/100 of the parent) and takes d/(n-1) from each
+ * of its n-1 siblings. Resizing every child except an anchor by
+ *   d_i = (e_i - e_anchor) * (n - 1) / n,   with e = target - current,
+ * lands all n children on target at once. The anchor is the child whose error most siblings share, so
+ * children that are already right (or off by the same amount) get no command. Shrinks come first so a
+ * grow never squeezes a sibling into GlazeWM's minimum size.
+ * @param {number[]} current - Current ratios (sum 1)
+ * @param {number[]} target - Target ratios (sum 1)
+ * @returns {Array<{ index: number, delta: number }>} Resizes in order; delta as a ratio of the parent
+ */
+export function planResizes(current, target) {
+  const n = current.length;
+  if (n < 2) return [];
+  const errors = current.map((c, i) => (target[i] ?? 0) - c);
+  const sharing = (a) => errors.filter((e) => Math.abs(e - errors[a]) < RESIZE_EPSILON).length;
+  let anchor = 0;
+  for (let i = 1; i < n; i++) {
+    if (sharing(i) > sharing(anchor)) anchor = i;
   }
+  return errors
+    .map((e, index) => ({ index, delta: ((e - errors[anchor]) * (n - 1)) / n }))
+    .filter(({ delta }) => Math.abs(delta) >= RESIZE_EPSILON)
+    .sort((a, b) => a.delta - b.delta);
+}
+
+/** Resize amount for a command, e.g. "+3.125%". */
+function formatResizeAmount(delta) {
+  return `${delta < 0 ? '-' : '+'}${(Math.abs(delta) * 100).toFixed(3).replace(/\.?0+$/, '')}%`;
 }
 
 /**
  * Apply tiling_size ratios using resize. Ratio is relative to parent tiling direction:
  * - Parent horizontal → resize --width (child's share of width).
  * - Parent vertical → resize --height (child's share of height).
- * Walks config/query in parallel (BFS), applies resize per container, re-queries after each step for accuracy.
+ * Targets are the config sizes scaled to sum 1 (configRatios). Containers are done outer first (BFS); resizing
+ * inside a split does not change the split's own share.
+ * Each container gets the planned resizes (planResizes) in one go, then one query to confirm; another
+ * round only runs if GlazeWM clamped a resize and the result is still off.
  */
 async function applyTilingSizes(client, wsName, workspaceConfig, queryWorkspace, opts = {}) {
   const log = opts.log ?? (() => {});
@@ -176,233 +294,176 @@ async function applyTilingSizes(client, wsName, workspaceConfig, queryWorkspace,
 
   for (const { path, parentTilingDirection, configChildren } of containers) {
     const axis = axisFromDirection(parentTilingDirection);
-    let iterations = 0;
+    const targetRatios = configRatios(configChildren);
 
-    while (iterations < MAX_RESIZE_ITERATIONS) {
-      const { workspaces } = await client.queryWorkspaces();
-      const wsCurrent = workspaces?.find((w) => w?.name === wsName);
-      if (!wsCurrent) break;
-
-      const node = getQueryNodeByPath(wsCurrent, path);
-      const queryChildren = node?.children ?? [];
+    for (let round = 0; ; round++) {
+      const wsCurrent = await getTilingWorkspace(client, wsName);
+      const queryChildren = getQueryNodeByPath(wsCurrent, path)?.children ?? [];
       if (queryChildren.length !== configChildren.length) break;
 
       const totalSize = queryChildren.reduce((s, c) => s + (c?.tilingSize ?? 0), 0);
       if (totalSize <= 0) break;
-
       const currentRatios = queryChildren.map((c) => (c?.tilingSize ?? 0) / totalSize);
-      const targetRatios = configChildren.map((c) => c?.tilingSize ?? c?.tiling_size ?? 0.5);
-      let maxError = 0;
-      let worstIndex = -1;
-      let worstDiff = 0;
-
-      for (let i = 0; i < configChildren.length; i++) {
-        const err = Math.abs((targetRatios[i] ?? 0) - (currentRatios[i] ?? 0));
-        if (err > maxError) {
-          maxError = err;
-          worstIndex = i;
-          worstDiff = (targetRatios[i] ?? 0) - (currentRatios[i] ?? 0);
-        }
-      }
-
-      if (maxError < TOLERANCE_RATIO || worstIndex < 0) break;
-
-      const childId = queryChildren[worstIndex]?.id;
-      if (!childId) break;
-
-      const stepPct = Math.min(5, Math.max(1, Math.round(Math.abs(worstDiff) * 100)));
-      const sign = worstDiff > 0 ? '+' : '-';
-      const cmd = `resize --${axis} ${sign}${stepPct}%`;
-      log(`Resize path [${path.join(',')}] child ${worstIndex}: ${cmd} (target ${((targetRatios[worstIndex] ?? 0) * 100).toFixed(2)}%, current ${((currentRatios[worstIndex] ?? 0) * 100).toFixed(2)}%)`);
 
-      await focusWindow(client, childId);
-      await client.runCommand(cmd, childId);
+      const maxError = Math.max(...currentRatios.map((r, i) => Math.abs(targetRatios[i] - r)));
+      if (maxError < TOLERANCE_RATIO) break;
+      if (round >= MAX_RESIZE_ROUNDS) {
+        log(`Resize path [${path.join(',')}]: still ${(maxError * 100).toFixed(2)}% off after ${round} round(s)`);
+        break;
+      }
 
-      iterations++;
+      for (const { index, delta } of planResizes(currentRatios, targetRatios)) {
+        const childId = queryChildren[index]?.id;
+        if (!childId) continue;
+        const cmd = `resize --${axis} ${formatResizeAmount(delta * totalSize)}`;
+        log(`Resize path [${path.join(',')}] child ${index}: ${cmd} (target ${(targetRatios[index] * 100).toFixed(2)}%, current ${(currentRatios[index] * 100).toFixed(2)}%)`);
+        await focusWindow(client, childId, opts);
+        await sinkFor(client, opts).runCommand(cmd, childId);
+      }
     }
   }
 }
 
 /**
- * Run the layout phase: set workspace tiling direction, build split tree (move + toggle), then optionally resize.
- * Config uses workspace.children[] (split or window) with tiling_direction and tiling_size only.
+ * Run the layout phase: set window states, workspace tiling direction, build split tree (move + toggle), then resize.
+ * Config uses workspace.children[] (split or window) with tiling_direction and tiling_size; windows with
+ * state floating / minimized are set to that state and left out of the tree (tilingWindowsOnly).
+ * Windows the open phase skipped are left out entirely (withoutSkippedWindows).
+ * A workspace that cannot be laid out (window count or matching off, build error, split not built) is logged
+ * (action "layout", result "failed") and returned; the other workspaces carry on.
+ * @returns {Promise<Array<{ workspace: string, message: string }>>} Failures, empty if every workspace was laid out
  */
 export async function runLayoutPhase(client, config, opts = {}) {
   const log = opts.log ?? (() => {});
+  const failures = [];
+  const fail = (workspace, message) => {
+    log(`Workspace ${workspace}: ${message}`, { workspace, action: 'layout', result: 'failed', error: message });
+    failures.push({ workspace, message });
+  };
 
-  log('--- Applying layout (tiled) ---');
+  log('--- Applying layout ---');
 
-  for (const workspace of config.workspaces ?? []) {
+  for (const workspace of (config.workspaces ?? []).map(withoutSkippedWindows)) {
     const wsName = workspace?.name;
     const targetTilingDirection = workspace?.tiling_direction ?? workspace?.tilingDirection ?? 'horizontal';
     const applications = flattenApplications(workspace);
     if (!wsName || applications.length === 0) continue;
 
-    const ws = await focusWorkspace(client, wsName, { log });
+    const ws = await focusWorkspace(client, wsName, opts);
 
-    await setWorkspaceTilingDirection(client, wsName, targetTilingDirection, { log });
+    await setWorkspaceTilingDirection(client, wsName, targetTilingDirection, opts);
 
-    const windows = findAllWindows(ws);
-    if (windows.length !== applications.length) {
-      log(`Workspace ${wsName}: ${windows.length} windows, ${applications.length} in config (skip layout)`);
+    const liveCount = findAllWindows(ws).length;
+    if (liveCount !== applications.length) {
+      fail(wsName, `${liveCount} windows, ${applications.length} in config (skip layout)`);
       continue;
     }
-
-    log(`Initial workspace structure: ${(ws.children ?? []).length} direct children`);
-    await buildTiledTree(client, ws, workspace, windows, { log });
-
-    const { workspaces: workspacesAfterLayout } = await client.queryWorkspaces();
-    const wsAfterLayout = workspacesAfterLayout?.find((w) => w?.name === wsName);
-    if (wsAfterLayout) {
-      await applyTilingSizes(client, wsName, workspace, wsAfterLayout, { log });
+    if (matchWorkspaceWindows(workspace, ws, { log }).windows.some((w) => !w)) {
+      fail(wsName, 'not every config window matched a live window (skip layout)');
+      continue;
     }
-  }
 
-  log('Layout applied.');
-}
+    await applyWindowStates(client, workspace, ws, opts);
 
-/**
- * Extract structure from config node (workspace or split): type, tiling_direction, children (structure only).
- */
-function configStructure(node) {
-  if (!node) return null;
-  if (node.type === 'window') return { type: 'window' };
-  if (node.type === 'split') {
-    return {
-      type: 'split',
-      tiling_direction: (node.tiling_direction ?? node.tilingDirection ?? 'vertical').toLowerCase(),
-      children: (node.children ?? []).map(configStructure).filter(Boolean),
-    };
-  }
-  if (node.type === 'workspace' || (node.name && node.children)) {
-    return {
-      type: 'workspace',
-      tiling_direction: (node.tiling_direction ?? node.tilingDirection ?? 'horizontal').toLowerCase(),
-      children: (node.children ?? []).map(configStructure).filter(Boolean),
-    };
-  }
-  return null;
-}
+    const tiled = tilingWindowsOnly(workspace);
+    const tilingWs = await getTilingWorkspace(client, wsName);
+    if (!tilingWs || flattenApplications(tiled).length === 0) continue;
+    const { windows } = matchWorkspaceWindows(tiled, tilingWs);
 
-/**
- * Extract structure from query node (workspace or split from GlazeWM): type, tilingDirection, children.
- */
-function queryStructure(node) {
-  if (!node) return null;
-  if (node.type === 'window') return { type: 'window' };
-  if (node.type === 'split') {
-    return {
-      type: 'split',
-      tiling_direction: (node.tilingDirection ?? 'vertical').toLowerCase(),
-      children: (node.children ?? []).map(queryStructure).filter(Boolean),
-    };
-  }
-  if (node.type === 'workspace') {
-    return {
-      type: 'workspace',
-      tiling_direction: (node.tilingDirection ?? 'horizontal').toLowerCase(),
-      children: (node.children ?? []).map(queryStructure).filter(Boolean),
-    };
-  }
-  return null;
-}
+    log(`Initial workspace structure: ${(tilingWs.children ?? []).length} direct children`);
+    try {
+      for (const problem of await buildTiledTree(client, tiled, windows, opts)) fail(wsName, problem);
+    } catch (err) {
+      fail(wsName, `error building layout: ${err?.message ?? err}`);
+      continue;
+    }
 
-/**
- * Compare two structures (from config vs query). Exact match: same types, same tiling_direction, same child count and structure.
- * @returns {{ match: boolean, path: string, message?: string }}
- */
-function compareStructure(want, actual, path = '') {
-  if (!want && !actual) return { match: true, path };
-  if (!want) return { match: false, path, message: `config has no node at ${path}, actual has ${actual?.type}` };
-  if (!actual) return { match: false, path, message: `actual has no node at ${path}, config expects ${want?.type}` };
-  if (want.type !== actual.type) {
-    return { match: false, path, message: `type mismatch: want ${want.type}, actual ${actual.type}` };
-  }
-  if (want.tiling_direction !== undefined && actual.tiling_direction !== undefined) {
-    if (want.tiling_direction !== actual.tiling_direction) {
-      return { match: false, path, message: `tiling_direction mismatch: want ${want.tiling_direction}, actual ${actual.tiling_direction}` };
+    const wsAfterLayout = await getTilingWorkspace(client, wsName);
+    if (wsAfterLayout) {
+      await applyTilingSizes(client, wsName, tiled, wsAfterLayout, opts);
     }
   }
-  const wantChildren = want.children ?? [];
-  const actualChildren = actual.children ?? [];
-  if (wantChildren.length !== actualChildren.length) {
-    return { match: false, path, message: `children count: want ${wantChildren.length}, actual ${actualChildren.length}` };
-  }
-  for (let i = 0; i < wantChildren.length; i++) {
-    const result = compareStructure(wantChildren[i], actualChildren[i], path ? `${path}.children[${i}]` : `children[${i}]`);
-    if (!result.match) return result;
-  }
-  return { match: true, path };
+
+  log(failures.length === 0 ? 'Layout applied.' : `Layout applied, ${failures.length} failure(s).`);
+  return failures;
 }
 
 /**
- * Compare tiling_size ratios at each container. Returns first mismatch if any.
+ * Compare one live workspace against its config: split structure + tiling_direction, windows, ratios, window states.
+ * @param {object} client - WmClient
+ * @param {object} workspaceConfig - Config workspace node (skipped windows already left out)
+ * @param {object} liveWorkspace - Workspace from query
+ * @returns {Promise<{ diff: object, structure: object[], ratios: object[], states: Array<{ title: string, message: string }> }>}
+ *   diff: see diffWorkspace; structure: its differences other than ratios ({ path, check, message }); ratios: its
+ *   ratio differences (with want / got); states: window state / placement mismatches. All empty if it matches
  */
-function compareRatios(want, actual, path = '') {
-  const wantChildren = want?.children ?? [];
-  const actualChildren = actual?.children ?? [];
-  if (wantChildren.length === 0 || wantChildren.length !== actualChildren.length) return { match: true, path };
-
-  const total = actualChildren.reduce((s, c) => s + (c?.tilingSize ?? 0), 0) || 1;
-  for (let i = 0; i < wantChildren.length; i++) {
-    const target = wantChildren[i]?.tilingSize ?? wantChildren[i]?.tiling_size ?? 0.5;
-    const current = (actualChildren[i]?.tilingSize ?? 0) / total;
-    const err = Math.abs(target - current);
-    if (err > TOLERANCE_RATIO) {
-      return { match: false, path: path ? `${path}.children[${i}]` : `children[${i}]`, message: `ratio: want ${(target * 100).toFixed(2)}%, got ${(current * 100).toFixed(2)}%` };
-    }
-  }
-  for (let i = 0; i < wantChildren.length; i++) {
-    const result = compareRatios(wantChildren[i], actualChildren[i], path ? `${path}.children[${i}]` : `children[${i}]`);
-    if (!result.match) return result;
-  }
-  return { match: true, path };
+export async function verifyWorkspaceLayout(client, workspaceConfig, liveWorkspace) {
+  const diff = diffWorkspace(workspaceConfig, liveWorkspace);
+  return {
+    diff,
+    structure: diff.differences.filter((d) => d.check !== 'ratio'),
+    ratios: diff.differences.filter((d) => d.check === 'ratio'),
+    states: await verifyWindowStates(client, workspaceConfig, liveWorkspace),
+  };
 }
 
 /**
- * Verify layout: structure + tiling_direction (exact) and tiling_size ratios (within TOLERANCE_RATIO).
+ * Verify layout: structure + tiling_direction (exact), windows and tiling_size ratios (within TOLERANCE_RATIO) of
+ * the split tree, plus window states and floating placements (see verifyWindowStates). Every difference is
+ * logged; a workspace with any is also logged as a side-by-side diff tree (see layoutDiff.js).
+ * Like the layout phase, leaves out windows the open phase skipped.
  */
 export async function runVerifyLayout(client, config, opts = {}) {
   const log = opts.log ?? (() => {});
 
-  log('--- Verifying layout (structure + tiling_direction + ratios) ---');
+  log('--- Verifying layout (structure + tiling_direction + ratios + window states) ---');
 
   const { workspaces } = await client.queryWorkspaces();
   let allStructureMatch = true;
   let allRatioMatch = true;
+  let allStatesMatch = true;
 
-  for (const workspace of config.workspaces ?? []) {
+  for (const workspace of (config.workspaces ?? []).map(withoutSkippedWindows)) {
     const wsName = workspace?.name;
     if (!wsName) continue;
 
     const ws = workspaces?.find((w) => w?.name === wsName);
     if (!ws) {
-      log(`Workspace ${wsName}: not found`);
+      log(`Workspace ${wsName}: not found`, { workspace: wsName, action: 'verify', check: 'structure', result: 'mismatch', path: wsName, detail: 'workspace not found' });
       allStructureMatch = false;
       allRatioMatch = false;
       continue;
     }
 
-    const wantStruct = configStructure(workspace);
-    const actualStruct = queryStructure(ws);
-    const structResult = compareStructure(wantStruct, actualStruct, wsName);
+    const { diff, structure, ratios, states } = await verifyWorkspaceLayout(client, workspace, ws);
+    const fields = { workspace: wsName, action: 'verify' };
 
-    if (structResult.match) {
-      log(`Workspace ${wsName}: structure + tiling_direction MATCH`);
-    } else {
-      log(`Workspace ${wsName}: structure MISMATCH at ${structResult.path}: ${structResult.message}`);
+    if (structure.length === 0) {
+      log(`Workspace ${wsName}: structure + tiling_direction MATCH`, { ...fields, check: 'structure', result: 'match' });
+    }
+    for (const { path, check, message } of structure) {
+      log(`Workspace ${wsName}: ${check} MISMATCH at ${path}: ${message}`, { ...fields, check, result: 'mismatch', path, detail: message });
       allStructureMatch = false;
     }
 
-    const ratioResult = compareRatios(workspace, ws, wsName);
-    if (ratioResult.match) {
-      log(`Workspace ${wsName}: ratios MATCH (within ${(TOLERANCE_RATIO * 100).toFixed(2)}%)`);
-    } else {
-      log(`Workspace ${wsName}: ratio MISMATCH at ${ratioResult.path}: ${ratioResult.message}`);
+    if (ratios.length === 0) {
+      log(`Workspace ${wsName}: ratios MATCH (within ${(TOLERANCE_RATIO * 100).toFixed(2)}%)`, { ...fields, check: 'ratio', result: 'match' });
+    }
+    for (const { path, message, want, got } of ratios) {
+      log(`Workspace ${wsName}: ratio MISMATCH at ${path}: ${message}`, { ...fields, check: 'ratio', result: 'mismatch', path, detail: message, want, got });
       allRatioMatch = false;
     }
+
+    for (const { title, message } of states) {
+      log(`Workspace ${wsName}: window state MISMATCH for ${title}: ${message}`, { ...fields, check: 'state', result: 'mismatch', path: title, detail: message, windowTitle: title });
+      allStatesMatch = false;
+    }
+
+    if (diff.differences.length > 0) {
+      log(`Workspace ${wsName}: diff (config | live)\n${formatDiffTree(diff)}`, { workspace: wsName, action: 'diff', diff });
+    }
   }
-  const allMatch = allStructureMatch && allRatioMatch;
-  log(allMatch ? 'Verify done: structure and ratios match config.' : 'Verify done: some mismatches.');
+  const allMatch = allStructureMatch && allRatioMatch && allStatesMatch;
+  log(allMatch ? 'Verify done: structure, ratios and window states match config.' : 'Verify done: some mismatches.');
   return allMatch;
 }
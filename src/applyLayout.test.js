@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { planResizes, runLayoutPhase, runVerifyLayout } from './applyLayout.js';
+import { startDryRun } from './dryRun.js';
+import { createClient } from './glazeCommon.js';
+import { TOLERANCE_RATIO } from './layoutDiff.js';
+
+/** Resize the way GlazeWM does: the child grows by delta, each of its n-1 siblings gives up delta/(n-1). */
+function applyResizes(current, resizes) {
+  const ratios = [...current];
+  for (const { index, delta } of resizes) {
+    ratios.forEach((_, i) => {
+      ratios[i] += i === index ? delta : -delta / (ratios.length - 1);
+    });
+  }
+  return ratios;
+}
+
+function assertRatios(actual, expected, tolerance = 1e-9) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((r, i) => assert.ok(Math.abs(r - expected[i]) <= tolerance, `ratio ${i}: want ${expected[i]}, got ${r}`));
+}
+
+describe('planResizes', () => {
+  it('plans nothing for a single child or ratios already on target', () => {
+    assert.deepEqual(planResizes([1], [1]), []);
+    assert.deepEqual(planResizes([0.25, 0.75], [0.25, 0.75]), []);
+  });
+
+  it('resizes one of two children', () => {
+    const resizes = planResizes([0.5, 0.5], [0.3, 0.7]);
+    assert.equal(resizes.length, 1);
+    assertRatios(applyResizes([0.5, 0.5], resizes), [0.3, 0.7]);
+  });
+
+  it('lands every child on target at once, shrinks first', () => {
+    const current = [0.1, 0.2, 0.3, 0.4];
+    const target = [0.4, 0.3, 0.2, 0.1];
+    const resizes = planResizes(current, target);
+    assert.deepEqual(resizes.map((r) => r.delta), [...resizes.map((r) => r.delta)].sort((a, b) => a - b));
+    assertRatios(applyResizes(current, resizes), target);
+  });
+
+  it('leaves out the children that share the most common error', () => {
+    const current = [0.25, 0.25, 0.25, 0.25];
+    const target = [0.4, 0.2, 0.2, 0.2];
+    const resizes = planResizes(current, target);
+    assert.deepEqual(resizes.map((r) => r.index), [0]);
+    assertRatios(applyResizes(current, resizes), target);
+  });
+
+  it('does not send resizes below a quarter of the verify tolerance', () => {
+    const epsilon = TOLERANCE_RATIO / 4;
+    // Two children: the one resized moves by its whole error.
+    assert.deepEqual(planResizes([0.5, 0.5], [0.5 + epsilon * 0.9, 0.5 - epsilon * 0.9]), []);
+    assert.equal(planResizes([0.5, 0.5], [0.5 + epsilon * 1.1, 0.5 - epsilon * 1.1]).length, 1);
+  });
+});
+
+describe('applyTilingSizes (layout phase on the simulator)', () => {
+  let dry;
+  let client;
+  before(async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  const window = (title, processName, tilingSize) =>
+    ({ type: 'window', title, processName, application: `${processName}.exe`, tilingSize });
+  const liveRatios = (node) => {
+    const total = node.children.reduce((s, c) => s + c.tilingSize, 0);
+    return node.children.map((c) => c.tilingSize / total);
+  };
+
+  it('builds and sizes nested splits, scaling sizes that do not sum to 1', async () => {
+    const config = {
+      workspaces: [
+        {
+          name: '1',
+          tilingDirection: 'horizontal',
+          children: [
+            window('*new 6 - Notepad++', 'notepad++', 0.2),
+            {
+              type: 'split',
+              tilingDirection: 'vertical',
+              tilingSize: 0.6,
+              children: [
+                window('glazewm - File Explorer', 'explorer', 0.3),
+                {
+                  type: 'split',
+                  tilingDirection: 'horizontal',
+                  tilingSize: 0.7,
+                  children: [
+                    window('glazewm_startup – config.json', 'pycharm64', 0.5),
+                    window('MINGW64:/c/Users/user', 'mintty', 0.25),
+                    window('MINGW64:/c/Users/user/home/gitcode/glazewm_startup', 'mintty', 0.245),
+                  ],
+                },
+              ],
+            },
+            {
+              type: 'window',
+              titlePattern: 'Stack Overflow',
+              processName: 'firefox',
+              application: 'firefox.exe',
+              tilingSize: 0.2,
+            },
+          ],
+        },
+      ],
+    };
+
+    const opts = { sink: dry.sink };
+    assert.deepEqual(await runLayoutPhase(client, config, opts), []);
+    assert.equal(await runVerifyLayout(client, config, opts), true);
+
+    const live = dry.simulator.getWorkspaces().find((w) => w.name === '1');
+    assertRatios(liveRatios(live), [0.2, 0.6, 0.2], TOLERANCE_RATIO);
+    const outer = live.children[1];
+    assertRatios(liveRatios(outer), [0.3, 0.7], TOLERANCE_RATIO);
+    assertRatios(liveRatios(outer.children[1]), [0.5 / 0.995, 0.25 / 0.995, 0.245 / 0.995], TOLERANCE_RATIO);
+  });
+
+  it('sizes a nested split without a direction as the vertical split it is built as', async () => {
+    const config = {
+      workspaces: [
+        {
+          name: '1',
+          tilingDirection: 'horizontal',
+          children: [
+            window('*new 6 - Notepad++', 'notepad++', 0.3),
+            {
+              type: 'split',
+              tilingSize: 0.4,
+              children: [
+                window('glazewm - File Explorer', 'explorer', 0.2),
+                window('glazewm_startup – config.json', 'pycharm64', 0.3),
+                window('MINGW64:/c/Users/user', 'mintty', 0.5),
+              ],
+            },
+            {
+              type: 'split',
+              tilingDirection: 'vertical',
+              tilingSize: 0.3,
+              children: [
+                window('MINGW64:/c/Users/user/home/gitcode/glazewm_startup', 'mintty', 0.5),
+                {
+                  type: 'window',
+                  titlePattern: 'Stack Overflow',
+                  processName: 'firefox',
+                  application: 'firefox.exe',
+                  tilingSize: 0.5,
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    };
+
+    const opts = { sink: dry.sink };
+    assert.deepEqual(await runLayoutPhase(client, config, opts), []);
+    assert.equal(await runVerifyLayout(client, config, opts), true);
+
+    const column = dry.simulator.getWorkspaces().find((w) => w.name === '1').children[1];
+    assert.equal(column.tilingDirection, 'vertical');
+    assertRatios(liveRatios(column), [0.2, 0.3, 0.5], TOLERANCE_RATIO);
+  });
+});
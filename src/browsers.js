@@ -0,0 +1,106 @@
+/**
+ * Browser adapters
+ *
+ * Window nodes with "link" or "links" open in a browser. The adapter comes from the node's browser.type, else
+ * from the .exe basename or processName (firefox, chrome, msedge, brave). It builds the argv for one new window
+ * with every link as a tab, app mode (browser.appMode, Chromium only, one link) and a profile (browser.profile:
+ * Firefox profile name, Chromium profile directory such as "Profile 1"). It also knows the suffix its window
+ * titles end with, so window matching still finds a browser window after the page changed its title.
+ */
+
+/** Adapters by browser.type. processNames: .exe basenames / process names that select the adapter. */
+const BROWSERS = {
+  firefox: {
+    processNames: ['firefox'],
+    titleSuffix: ' — Mozilla Firefox',
+    appMode: false,
+    args: ({ links, profile }) => [
+      ...(profile ? ['-P', profile] : []),
+      ...links.flatMap((link, i) => [i === 0 ? '-new-window' : '-new-tab', link]),
+    ],
+  },
+  chrome: chromium(['chrome'], ' - Google Chrome'),
+  edge: chromium(['msedge'], ' - Microsoft Edge'),
+  brave: chromium(['brave'], ' - Brave'),
+};
+
+/** Chrome, Edge and Brave share Chromium's command line. */
+function chromium(processNames, titleSuffix) {
+  return {
+    processNames,
+    titleSuffix,
+    appMode: true,
+    args: ({ links, profile, appMode }) => [
+      ...(profile ? [`--profile-directory=${profile}`] : []),
+      ...(appMode ? [`--app=${links[0]}`] : ['--new-window', ...links]),
+    ],
+  };
+}
+
+/** Values of browser.type. */
+export const BROWSER_TYPES = Object.keys(BROWSERS);
+
+/**
+ * Links a window node opens: "links", else "link".
+ * @param {object} node - Config window node
+ * @returns {string[]}
+ */
+export function linksOf(node) {
+  if (Array.isArray(node?.links)) return node.links;
+  return node?.link ? [node.link] : [];
+}
+
+/**
+ * Browser type of a window node: browser.type, else from the .exe basename or processName.
+ * @param {object} node - Config window node
+ * @returns {string|null} Key of BROWSERS, null if the node is not a known browser
+ */
+export function browserTypeOf(node) {
+  if (node?.browser?.type) return node.browser.type;
+  const exe = (node?.application ?? node?.path ?? '').split(/[\\/]/).pop().replace(/\.exe$/i, '');
+  const names = [exe, node?.processName].filter(Boolean).map((n) => n.toLowerCase());
+  return BROWSER_TYPES.find((type) => BROWSERS[type].processNames.some((p) => names.includes(p))) ?? null;
+}
+
+/**
+ * Arguments that open a node's links in its browser (after the node's own args).
+ * @param {object} node - Config window node with link / links
+ * @returns {string[]|null} null if the node is not a known browser
+ */
+export function browserArgs(node) {
+  const type = browserTypeOf(node);
+  if (!type) return null;
+  const { profile, appMode } = node.browser ?? {};
+  return BROWSERS[type].args({ links: linksOf(node), profile, appMode: appMode === true });
+}
+
+/**
+ * Whether a browser type can open a link in app mode (a window without tabs or toolbar).
+ * @param {string} type - Key of BROWSERS
+ */
+export function supportsAppMode(type) {
+  return BROWSERS[type]?.appMode === true;
+}
+
+/**
+ * Suffix the browser adds to window titles, e.g. " — Mozilla Firefox". null for app mode windows (page title only)
+ * and for nodes that are not a known browser.
+ * @param {object} node - Config window node
+ * @returns {string|null}
+ */
+export function browserTitleSuffix(node) {
+  const type = browserTypeOf(node);
+  if (!type || node.browser?.appMode === true) return null;
+  return BROWSERS[type].titleSuffix;
+}
+
+/**
+ * Whether a window title ends with a browser suffix. Zero-width characters (Edge puts one before " Edge")
+ * are ignored.
+ * @param {string} title - Live window title
+ * @param {string} suffix - From browserTitleSuffix
+ */
+export function titleHasSuffix(title, suffix) {
+  const plain = (text) => String(text ?? '').replace(/[\u200B-\u200D\uFEFF]/g, '');
+  return plain(title).endsWith(plain(suffix));
+}
@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { browserArgs, browserTitleSuffix, browserTypeOf, linksOf, supportsAppMode, titleHasSuffix } from './browsers.js';
+
+const LINKS = ['https://a.example', 'https://b.example'];
+
+describe('browserArgs', () => {
+  const cases = [
+    {
+      name: 'firefox',
+      node: { application: 'C:\\Program Files\\Mozilla Firefox\\firefox.exe', links: LINKS },
+      want: ['-new-window', 'https://a.example', '-new-tab', 'https://b.example'],
+    },
+    {
+      name: 'firefox profile',
+      node: { application: 'firefox.exe', link: 'https://a.example', browser: { profile: 'work' } },
+      want: ['-P', 'work', '-new-window', 'https://a.example'],
+    },
+    {
+      name: 'chrome',
+      node: { application: 'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe', links: LINKS },
+      want: ['--new-window', 'https://a.example', 'https://b.example'],
+    },
+    {
+      name: 'edge',
+      node: { application: 'C:\\Program Files (x86)\\Microsoft\\Edge\\Application\\msedge.exe', links: LINKS },
+      want: ['--new-window', 'https://a.example', 'https://b.example'],
+    },
+    {
+      name: 'brave',
+      node: { processName: 'brave', application: 'C:\\Apps\\browser.exe', links: LINKS },
+      want: ['--new-window', 'https://a.example', 'https://b.example'],
+    },
+    {
+      name: 'chromium profile',
+      node: { application: 'chrome.exe', link: 'https://a.example', browser: { profile: 'Profile 1' } },
+      want: ['--profile-directory=Profile 1', '--new-window', 'https://a.example'],
+    },
+    {
+      name: 'chromium appMode',
+      node: { application: 'msedge.exe', link: 'https://a.example', browser: { appMode: true, profile: 'Default' } },
+      want: ['--profile-directory=Default', '--app=https://a.example'],
+    },
+    {
+      name: 'browser.type over the .exe name',
+      node: { application: 'C:\\Apps\\portable.exe', link: 'https://a.example', browser: { type: 'firefox' } },
+      want: ['-new-window', 'https://a.example'],
+    },
+    {
+      name: 'not a browser',
+      node: { application: 'C:\\Tools\\viewer.exe', link: 'https://a.example' },
+      want: null,
+    },
+  ];
+
+  for (const { name, node, want } of cases) {
+    it(name, () => assert.deepEqual(browserArgs(node), want));
+  }
+});
+
+describe('browser detection and titles', () => {
+  it('finds the type from the .exe name or processName, case-insensitively', () => {
+    assert.equal(browserTypeOf({ application: 'C:\\X\\MSEDGE.EXE' }), 'edge');
+    assert.equal(browserTypeOf({ processName: 'Brave' }), 'brave');
+    assert.equal(browserTypeOf({ application: 'notepad.exe' }), null);
+  });
+
+  it('only supports app mode in Chromium browsers', () => {
+    assert.deepEqual(['firefox', 'chrome', 'edge', 'brave'].map(supportsAppMode), [false, true, true, true]);
+  });
+
+  it('reads links, else link', () => {
+    assert.deepEqual(linksOf({ links: LINKS, link: 'x' }), LINKS);
+    assert.deepEqual(linksOf({ link: 'x' }), ['x']);
+    assert.deepEqual(linksOf({}), []);
+  });
+
+  it('knows the title suffix, except for app mode windows', () => {
+    assert.equal(browserTitleSuffix({ application: 'firefox.exe' }), ' — Mozilla Firefox');
+    assert.equal(browserTitleSuffix({ application: 'chrome.exe', browser: { appMode: true } }), null);
+    assert.equal(titleHasSuffix('Inbox - Microsoft\u200B Edge', ' - Microsoft Edge'), true);
+    assert.equal(titleHasSuffix('Inbox - Google Chrome', ' - Microsoft Edge'), false);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Capture the live GlazeWM session into config.
+ *
+ * Queries workspaces and monitors over IPC, converts the chosen ones with parseWorkspace (resolving via the app
+ * registry if given), fills in remaining "application"s from each window's process (exe path via
+ * Get-Process on Windows), and keeps hand-tuned launch settings from a previous config for windows
+ * that match by title or process.
+ */
+
+import { runPowerShellJson } from './glazeCommon.js';
+import { LAUNCH_OPTION_FIELDS } from './launchers.js';
+import { matchWindows, scoreWindow } from './matchWindows.js';
+import { findAllWindows, flattenApplications, listUnresolvedWindows, parseWorkspace } from './parseWorkspace.js';
+
+/** Fields copied from the previous config's matching window node ("path" counts as application). */
+const PRESERVED_FIELDS = ['application', 'args', 'link', 'links', 'browser', 'fullscreen', 'ready', ...LAUNCH_OPTION_FIELDS];
+
+/**
+ * Resolve process names to exe paths with one Get-Process call. Windows only.
+ * @param {string[]} processNames - e.g. ['firefox', 'notepad++']
+ * @returns {Promise<Record<string, string>>} Lowercased process name → exe path (missing if unresolved)
+ */
+async function getProcessPaths(processNames) {
+  const names = [...new Set(processNames.filter(Boolean))];
+  if (names.length === 0) return {};
+  const quoted = names.map((n) => `'${n.replace(/'/g, "''")}'`).join(',');
+  const arr = await runPowerShellJson(
+    `Get-Process -Name ${quoted} -ErrorAction SilentlyContinue | Where-Object { $_.Path } | Select-Object ProcessName, Path | ConvertTo-Json`,
+  );
+  const paths = {};
+  for (const item of arr ?? []) {
+    const name = String(item?.ProcessName ?? '').toLowerCase();
+    if (name && item?.Path && paths[name] == null) paths[name] = String(item.Path);
+  }
+  return paths;
+}
+
+/**
+ * Copy PRESERVED_FIELDS from the previous config onto captured window nodes that match by title or process.
+ * Uses the shared matching engine; only pairs with a positive score (title or process matched) count.
+ * @param {object} workspaceConfig - Captured config workspace
+ * @param {object} previousWorkspace - Same-named workspace from the previous config (or null)
+ * @param {object[]} liveWindows - Live windows of the workspace, in flattenApplications order
+ * @returns {number} Number of windows whose settings were kept
+ */
+function keepPreviousSettings(workspaceConfig, previousWorkspace, liveWindows) {
+  const previousApps = flattenApplications(previousWorkspace);
+  if (previousApps.length === 0) return 0;
+  const captured = flattenApplications(workspaceConfig);
+  const { windows } = matchWindows(previousApps, liveWindows);
+  let kept = 0;
+  windows.forEach((window, i) => {
+    const j = window ? liveWindows.indexOf(window) : -1;
+    if (j < 0 || !(scoreWindow(previousApps[i], window) > 0)) return;
+    const previous = { ...previousApps[i], application: previousApps[i].application ?? previousApps[i].path };
+    for (const field of PRESERVED_FIELDS) {
+      if (previous[field] != null) captured[j][field] = previous[field];
+    }
+    kept++;
+  });
+  return kept;
+}
+
+/**
+ * Capture the given workspaces from the running WM as config.
+ * Workspaces in previousConfig that were not captured are kept as-is; captured ones replace their namesakes.
+ *
+ * @param {object} client - Connected WmClient
+ * @param {string[]} workspaceNames - Workspaces to capture (e.g. ['2', '3'])
+ * @param {{ log?: (msg: string) => void, previousConfig?: object|null, registry?: object|null }} opts
+ * @returns {Promise<{ config: object, unresolved: Array<{ workspace: string, title: string, processName: string }> }>}
+ */
+export async function captureConfig(client, workspaceNames, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const previousWorkspaces = opts.previousConfig?.workspaces ?? [];
+
+  const { workspaces } = await client.queryWorkspaces();
+  const { monitors } = await client.queryMonitors();
+  const captured = parseWorkspace({ data: { workspaces } }, workspaceNames, { registry: opts.registry, monitors });
+
+  const liveByName = new Map(captured.workspaces.map((w) => [w.name, findAllWindows(workspaces.find((l) => l?.name === w.name))]));
+  const paths = await getProcessPaths([...liveByName.values()].flat().map((w) => w?.processName));
+
+  for (const ws of captured.workspaces) {
+    const live = liveByName.get(ws.name);
+    const apps = flattenApplications(ws);
+    apps.forEach((app, i) => {
+      const path = paths[(live[i]?.processName ?? '').toLowerCase()];
+      if (path && app.application === 'FILL ME IN') app.application = path;
+    });
+
+    const previous = previousWorkspaces.find((w) => w?.name === ws.name) ?? null;
+    const kept = keepPreviousSettings(ws, previous, live);
+    if (kept > 0) log(`Workspace ${ws.name}: kept launch settings for ${kept} window(s) from previous config`);
+  }
+
+  const names = new Set(captured.workspaces.map((w) => w.name));
+  const merged = previousWorkspaces.map((w) => (names.has(w?.name) ? captured.workspaces.find((c) => c.name === w.name) : w));
+  for (const ws of captured.workspaces) {
+    if (!previousWorkspaces.some((w) => w?.name === ws.name)) merged.push(ws);
+  }
+
+  return { config: { ...opts.previousConfig, workspaces: merged }, unresolved: listUnresolvedWindows(captured) };
+}
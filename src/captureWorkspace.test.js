@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { captureConfig } from './captureWorkspace.js';
+import { startDryRun } from './dryRun.js';
+import { createClient } from './glazeCommon.js';
+import { flattenApplications } from './parseWorkspace.js';
+
+const FIREFOX = 'C:\\Program Files\\Mozilla Firefox\\firefox.exe';
+
+/** Config from an earlier capture of workspace 2, hand-tuned since, plus a workspace that is not captured again. */
+function previousConfig() {
+  return {
+    open: { timeoutMs: 5000 },
+    workspaces: [
+      { name: '9', children: [{ type: 'window', title: 'Notes', application: 'C:\\Apps\\notes.exe' }] },
+      {
+        name: '2',
+        children: [
+          {
+            type: 'window',
+            title: 'Messenger — Mozilla Firefox',
+            path: FIREFOX,
+            link: 'https://www.messenger.com/',
+            fullscreen: true,
+            tilingSize: 0.9,
+          },
+          {
+            type: 'window',
+            title: 'LINE',
+            application: 'C:\\LINE\\LINE.exe',
+            args: ['--minimized'],
+            cwd: 'C:\\LINE',
+            ready: { titlePattern: '^LINE$' },
+            tilingSize: 0.05,
+          },
+          { type: 'window', title: 'Closed since', application: 'C:\\Apps\\gone.exe', tilingSize: 0.05 },
+        ],
+      },
+    ],
+  };
+}
+
+describe('captureConfig on the simulator', () => {
+  let dry;
+  let client;
+  before(async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  const byTitle = (workspace, title) => flattenApplications(workspace).find((node) => node.title === title);
+
+  it('keeps the launch settings of windows that match the previous config', async () => {
+    const { config } = await captureConfig(client, ['2'], { previousConfig: previousConfig() });
+    const ws2 = config.workspaces.find((w) => w.name === '2');
+
+    const messenger = byTitle(ws2, 'Messenger — Mozilla Firefox');
+    assert.deepEqual(
+      [messenger.application, messenger.link, messenger.fullscreen],
+      [FIREFOX, 'https://www.messenger.com/', true],
+    );
+    assert.equal(messenger.path, undefined);
+    assert.notEqual(messenger.tilingSize, 0.9);
+
+    const line = byTitle(ws2, 'LINE');
+    assert.deepEqual(
+      [line.application, line.args, line.cwd, line.ready],
+      ['C:\\LINE\\LINE.exe', ['--minimized'], 'C:\\LINE', { titlePattern: '^LINE$' }],
+    );
+  });
+
+  it('leaves windows without a previous match unresolved', async () => {
+    const { config, unresolved } = await captureConfig(client, ['2'], { previousConfig: previousConfig() });
+    const ws2 = config.workspaces.find((w) => w.name === '2');
+    assert.equal(flattenApplications(ws2).length, 7);
+    assert.equal(byTitle(ws2, 'WhatsApp').application, 'FILL ME IN');
+    assert.equal(byTitle(ws2, 'Closed since'), undefined);
+    assert.deepEqual(unresolved.map((u) => u.title), [
+      'WhatsApp',
+      'Phone Link',
+      'Inbox | Proton Mail — Mozilla Firefox',
+      'Instagram • Messages — Mozilla Firefox',
+      'Voice - Messages — Mozilla Firefox',
+    ]);
+  });
+
+  it('replaces captured workspaces in place, keeps the others and the top-level settings', async () => {
+    const { config } = await captureConfig(client, ['2', '3'], { previousConfig: previousConfig() });
+    assert.deepEqual(config.open, { timeoutMs: 5000 });
+    assert.deepEqual(config.workspaces.map((w) => w.name), ['9', '2', '3']);
+    assert.deepEqual(config.workspaces[0], previousConfig().workspaces[0]);
+  });
+
+  it('captures without a previous config', async () => {
+    const { config } = await captureConfig(client, ['3']);
+    assert.deepEqual(config.workspaces.map((w) => w.name), ['3']);
+    assert.equal(flattenApplications(config.workspaces[0])[0].title, 'Calculator');
+  });
+});
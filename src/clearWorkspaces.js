@@ -2,51 +2,197 @@
  * GlazeWM Clear Workspaces
  *
  * Closes all windows in each workspace. Waits for WINDOW_UNMANAGED per window (like open phase waits for WINDOW_MANAGED).
+ * A window that does not close goes up an escalation ladder (config "clear.steps"), each step with its own timeout:
+ * - close: GlazeWM close by window id
+ * - focus-close: focus the window, then close
+ * - wm-close: post WM_CLOSE to the window handle (Windows only)
+ * - kill: force-kill the window's process (PID from the handle; Windows only)
+ * - kill-process: force-kill the window's process tree, i.e. its process and every child of it (Windows only)
+ * Kill steps only kill process names listed in clear.killAllow (and not in clear.killDeny); without killAllow
+ * nothing is force-killed, so apps that prompt about unsaved work are never lost by accident.
  */
 
 import { WmEventType } from 'glazewm';
-import { focusWorkspace, getWorkspace } from './glazeCommon.js';
-import { delay } from './glazeCommon.js';
+import { focusWindow, focusWorkspace, getWorkspace } from './glazeCommon.js';
+import { sinkFor } from './commandSink.js';
 import { findAllWindows } from './parseWorkspace.js';
 
 const CLEAR_TIMEOUT = 1_000;
 
+/** Default ladder; kill steps only run when config lists them. */
+const DEFAULT_CLEAR_STEPS = [
+  { action: 'close', timeoutMs: CLEAR_TIMEOUT },
+  { action: 'focus-close', timeoutMs: CLEAR_TIMEOUT },
+  { action: 'wm-close', timeoutMs: 2 * CLEAR_TIMEOUT },
+];
+
+const KILL_ACTIONS = new Set(['kill', 'kill-process']);
+
+const isWindows = process.platform === 'win32';
+
+/** P/Invoke declarations used by wm-close and the kill steps (PostMessage, GetWindowThreadProcessId). */
+const USER32_TYPE =
+  "Add-Type -Namespace GlazeStartup -Name User32 -MemberDefinition '" +
+  '[DllImport("user32.dll")] public static extern bool PostMessage(IntPtr hWnd, uint Msg, IntPtr wParam, IntPtr lParam); ' +
+  '[DllImport("user32.dll")] public static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);' +
+  "'";
+const WM_CLOSE = '0x0010';
+
 /**
  * Subscribe to WINDOW_UNMANAGED, run closeAction, then wait for that window to unmanage.
  * Resolves when event.unmanagedId === windowId. Rejects on timeout. Subscribes before close so the event is not missed.
  * @param {object} client - WmClient
  * @param {string} windowId - Window/container id
- * @param {() => Promise<any>} closeAction - Called after subscribing (e.g. () => client.runCommand('close', id)); return value ignored
+ * @param {() => Promise<any>} closeAction - Called after subscribing (e.g. () => sink.runCommand('close', id)); return value ignored
+ * @param {number} timeoutMs - How long to wait for the window to unmanage
  * @returns {Promise<void>}
  */
-async function waitForWindowClosed(client, windowId, closeAction) {
+async function waitForWindowClosed(client, windowId, closeAction, timeoutMs = CLEAR_TIMEOUT) {
   let resolveWait;
   let rejectWait;
   const waitPromise = new Promise((resolve, reject) => {
     resolveWait = resolve;
     rejectWait = reject;
   });
+  // If closeAction throws, nobody awaits waitPromise when the timeout rejects it.
+  waitPromise.catch(() => {});
 
   const handler = (event) => {
     if (event?.unmanagedId === windowId) resolveWait();
   };
 
   const unlisten = await client.subscribe(WmEventType.WINDOW_UNMANAGED, handler);
-  const timeout = delay(CLEAR_TIMEOUT).then(() => {
+  const timer = setTimeout(() => {
     rejectWait(new Error(`Timeout waiting for window ${windowId} to close`));
-  });
+  }, timeoutMs);
 
   try {
     await closeAction();
-    await Promise.race([waitPromise, timeout]);
+    await waitPromise;
   } finally {
+    clearTimeout(timer);
     await unlisten();
   }
 }
 
 /**
- * Clear all windows in the given workspace via GlazeWM close command.
+ * Run a PowerShell command through the sink (hidden window) and wait for it to exit.
+ * @param {object} sink - See commandSink.js
+ * @param {string} command - PowerShell command
+ */
+async function runPowerShell(sink, command) {
+  const child = sink.spawn('powershell', ['-NoProfile', '-NonInteractive', '-WindowStyle', 'Hidden', '-Command', command], {
+    windowsHide: true,
+    stdio: 'ignore',
+  });
+  await new Promise((resolve, reject) => {
+    child.on('exit', resolve);
+    child.on('error', reject);
+  });
+}
+
+/**
+ * Whether clear.killAllow / clear.killDeny let a kill step force-kill this window's process.
+ * Only process names in killAllow may be killed (none without it); deny wins. Names compare case-insensitively.
+ */
+function mayKill(window, clearConfig) {
+  const name = String(window?.processName ?? '').toLowerCase();
+  const listed = (list) => (list ?? []).some((n) => String(n).toLowerCase() === name);
+  if (listed(clearConfig?.killDeny)) return false;
+  return listed(clearConfig?.killAllow);
+}
+
+/**
+ * PowerShell that looks up the PID owning a window handle and runs killCommand with it in $id.
+ * @param {number|string} handle - Window handle
+ * @param {string} killCommand - PowerShell using $id
+ */
+function killByHandle(handle, killCommand) {
+  return `${USER32_TYPE}; $id = 0; [void][GlazeStartup.User32]::GetWindowThreadProcessId([IntPtr]${Number(handle)}, [ref]$id); if ($id) { ${killCommand} }`;
+}
+
+/**
+ * Perform one ladder step on a window. Returns false if the step can't apply here (e.g. not on Windows).
+ * @param {object} client - WmClient
+ * @param {object} window - Live window (id, handle, processName)
+ * @param {string} action - close | focus-close | wm-close | kill | kill-process
+ * @param {{ sink?: object }} opts
+ * @returns {Promise<boolean>}
+ */
+async function runClearStep(client, window, action, opts = {}) {
+  const sink = sinkFor(client, opts);
+  const needsWin32 = action === 'wm-close' || KILL_ACTIONS.has(action);
+  if (needsWin32 && !isWindows && !sink.simulated) return false;
+
+  switch (action) {
+    case 'close':
+      await sink.runCommand('close', window.id);
+      return true;
+    case 'focus-close':
+      await focusWindow(client, window.id, opts);
+      await sink.runCommand('close');
+      return true;
+    case 'wm-close':
+      if (!window.handle) return false;
+      await runPowerShell(sink, `${USER32_TYPE}; [void][GlazeStartup.User32]::PostMessage([IntPtr]${Number(window.handle)}, ${WM_CLOSE}, [IntPtr]::Zero, [IntPtr]::Zero)`);
+      return true;
+    case 'kill':
+      if (!window.handle) return false;
+      await runPowerShell(sink, killByHandle(window.handle, 'Stop-Process -Id $id -Force'));
+      return true;
+    case 'kill-process':
+      if (!window.handle) return false;
+      await runPowerShell(sink, killByHandle(window.handle, 'taskkill.exe /PID $id /T /F | Out-Null'));
+      return true;
+    default:
+      throw new Error(`Unknown clear step: ${action}`);
+  }
+}
+
+/**
+ * Close one window, going up the escalation ladder until it unmanages.
+ * Before each escalation, checks whether a late close from the previous step already took the window.
+ * @param {object} client - WmClient
+ * @param {string} workspaceName - Workspace the window is in
+ * @param {object} window - Live window
+ * @param {{ log?: (msg: string) => void, sink?: object, clear?: object }} opts - clear: config.clear
+ * @returns {Promise<void>} Throws if every step timed out
+ */
+export async function closeWindowWithEscalation(client, workspaceName, window, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const steps = opts.clear?.steps ?? DEFAULT_CLEAR_STEPS;
+  const title = window?.title ?? 'Unknown';
+  const tried = [];
+
+  for (const [i, step] of steps.entries()) {
+    if (i > 0) {
+      const ws = await getWorkspace(client, workspaceName);
+      if (!findAllWindows(ws).some((w) => w?.id === window.id)) return;
+    }
+    if (KILL_ACTIONS.has(step.action) && !mayKill(window, opts.clear)) {
+      log(`Not killing ${title} (${window.processName}): not in clear.killAllow, or in clear.killDeny`);
+      continue;
+    }
+    if (i > 0) log(`Escalating: ${step.action} ${title} (ID: ${window.id})`);
+    try {
+      await waitForWindowClosed(client, window.id, async () => {
+        if (!(await runClearStep(client, window, step.action, opts))) throw new Error(`${step.action} not available`);
+      }, step.timeoutMs ?? CLEAR_TIMEOUT);
+      return;
+    } catch (err) {
+      tried.push(step.action);
+      log(`${title}: ${step.action} failed (${err?.message ?? err})`);
+    }
+  }
+  throw new Error(`Window ${title} (ID: ${window.id}) did not close (tried: ${tried.join(', ') || 'nothing'})`);
+}
+
+/**
+ * Clear all windows in the given workspace, closing each through the escalation ladder.
  * Waits for each window to close (WINDOW_UNMANAGED) before proceeding to the next.
+ * @param {object} client - WmClient
+ * @param {string} workspaceName - Workspace name
+ * @param {{ log?: (msg: string) => void, sink?: object, clear?: object }} opts - clear: config.clear (steps, killAllow, killDeny)
  */
 export async function clearWorkspace(client, workspaceName, opts = {}) {
   const log = opts.log ?? (() => {});
@@ -64,11 +210,7 @@ export async function clearWorkspace(client, workspaceName, opts = {}) {
     if (!id) throw new Error(`Window has no ID: ${title}`);
 
     log(`Closing window: ${title} (ID: ${id})`);
-    await waitForWindowClosed(
-      client,
-      id,
-      () => client.runCommand('close', id),
-    );
+    await closeWindowWithEscalation(client, workspaceName, window, opts);
   }
 
   log(`Closed ${allWindows.length} windows from workspace ${workspaceName}`);
@@ -99,23 +241,23 @@ async function waitForWorkspaceEvent(client, workspaceName) {
     [WmEventType.WORKSPACE_UPDATED, WmEventType.WORKSPACE_DEACTIVATED],
     handler,
   );
-  const timeout = delay(CLEAR_TIMEOUT).then(() => resolveWait());
+  const timer = setTimeout(resolveWait, CLEAR_TIMEOUT);
 
   try {
-    await Promise.race([waitPromise, timeout]);
+    await waitPromise;
   } finally {
+    clearTimeout(timer);
     await unlisten();
   }
 }
 
 /**
- * Run the full clear phase: for each workspace in config, close by ID;
- * if any windows remain, focus workspace and close then focus back.
+ * Run the full clear phase: for each workspace in config, close every window (escalating per config.clear).
  * Throws if any workspace still has windows after clear.
  *
  * @param {object} client - Connected WmClient
- * @param {object} config - Loaded config (workspaces[].name)
- * @param {{ log: (msg: string) => void }} opts
+ * @param {object} config - Loaded config (workspaces[].name, optional clear)
+ * @param {{ log: (msg: string) => void, sink?: object }} opts
  */
 export async function runClearPhase(client, config, opts = {}) {
   const log = opts.log ?? (() => {});
@@ -132,7 +274,7 @@ export async function runClearPhase(client, config, opts = {}) {
   log('--- Clearing Workspaces ---');
 
   for (const name of workspacesToClear) {
-    await clearWorkspace(client, name, { log });
+    await clearWorkspace(client, name, { ...opts, clear: config.clear });
     await waitForWorkspaceEvent(client, name);
     const ws = await getWorkspace(client, name);
     const remaining = ws ? findAllWindows(ws).length : 0;
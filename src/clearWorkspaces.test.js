@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { closeWindowWithEscalation } from './clearWorkspaces.js';
+import { startDryRun } from './dryRun.js';
+import { createClient } from './glazeCommon.js';
+
+const STEPS = [
+  { action: 'close', timeoutMs: 100 },
+  { action: 'focus-close', timeoutMs: 100 },
+  { action: 'kill', timeoutMs: 100 },
+];
+
+describe('closeWindowWithEscalation on the simulator', () => {
+  let dry;
+  let client;
+  before(async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  /**
+   * A window that ignores GlazeWM's close (an app asking about unsaved work), plus a dry-run sink that
+   * records each ladder step; a kill ends the process, which closes the window.
+   * @param {{ honour?: string[] }} opts - honour: steps the window does close on ('close', 'focus-close')
+   */
+  function stubbornWindow(opts = {}) {
+    const window = dry.simulator.manageWindow({ title: 'Unsaved - Notes', processName: 'notes', workspaceName: '8' });
+    const steps = [];
+    const logged = [];
+    const sink = {
+      ...dry.sink,
+      runCommand(command, subjectId) {
+        if (command !== 'close') return dry.sink.runCommand(command, subjectId);
+        const step = subjectId ? 'close' : 'focus-close';
+        steps.push(step);
+        return opts.honour?.includes(step) ? dry.sink.runCommand(command, subjectId) : Promise.resolve();
+      },
+      spawn(file, args, options) {
+        const script = args.at(-1);
+        const step = script.includes('Stop-Process') ? 'kill'
+          : script.includes('taskkill') ? 'kill-process' : 'wm-close';
+        steps.push(step);
+        if (step !== 'wm-close') client.runCommand('close', window.id);
+        return dry.sink.spawn(file, args, options);
+      },
+    };
+    return { window, steps, logged, opts: { sink, log: (msg) => logged.push(msg) } };
+  }
+
+  it('kills nothing without clear.killAllow', async () => {
+    const { window, steps, logged, opts } = stubbornWindow();
+    await assert.rejects(
+      closeWindowWithEscalation(client, '8', window, { ...opts, clear: { steps: STEPS } }),
+      /did not close \(tried: close, focus-close\)/,
+    );
+    assert.deepEqual(steps, ['close', 'focus-close']);
+    assert.ok(logged.some((msg) => msg.startsWith('Not killing Unsaved - Notes (notes)')));
+  });
+
+  it('kills nothing in clear.killDeny, even when killAllow lists it too', async () => {
+    const { window, steps, opts } = stubbornWindow();
+    const clear = { steps: STEPS, killAllow: ['notes'], killDeny: ['NOTES'] };
+    await assert.rejects(closeWindowWithEscalation(client, '8', window, { ...opts, clear }), /did not close/);
+    assert.deepEqual(steps, ['close', 'focus-close']);
+  });
+
+  it('kills a process in clear.killAllow, matching the name case-insensitively', async () => {
+    const { window, steps, opts } = stubbornWindow();
+    await closeWindowWithEscalation(client, '8', window, { ...opts, clear: { steps: STEPS, killAllow: ['Notes'] } });
+    assert.deepEqual(steps, ['close', 'focus-close', 'kill']);
+  });
+
+  it('stops going up the ladder once the window unmanages', async () => {
+    const { window, steps, opts } = stubbornWindow({ honour: ['focus-close'] });
+    await closeWindowWithEscalation(client, '8', window, { ...opts, clear: { steps: STEPS, killAllow: ['notes'] } });
+    assert.deepEqual(steps, ['close', 'focus-close']);
+    const ws8 = dry.simulator.getWorkspaces().find((w) => w.name === '8');
+    assert.ok(!ws8?.children.some((w) => w.id === window.id));
+  });
+});
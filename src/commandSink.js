@@ -0,0 +1,193 @@
+/**
+ * Command sinks
+ *
+ * Everything the phases do to the desktop goes through a sink instead of calling client.runCommand,
+ * child_process.spawn or SendKeys directly, so it can be swapped out:
+ * - live sink: sends commands to GlazeWM, spawns processes, sends keys through one long-lived PowerShell
+ *   SendKeys helper (normal startup)
+ * - dry-run sink: prints each action in order and forwards only the WM commands, to a simulator
+ *   seeded from recorded or live state; spawns become simulated launches, keys are only printed.
+ *
+ * A sink has:
+ * - runCommand(command, subjectId?) → Promise, same as WmClient.runCommand
+ * - spawn(file, args, options, app, optionsNote?) → child-like { on, unref }; app is the config node being
+ *   launched (omitted for helper processes, which a dry run reports as exiting at once); optionsNote is the
+ *   launch options in words (cwd, env, elevation, start state; launchers.js), printed by a dry run
+ * - sendKeys(keys) → Promise; keys in SendKeys syntax (e.g. "{F11}")
+ * - simulated: true if nothing real is launched
+ * - pidsByHandle?() → Map of window handle → process id of simulated launches (dry run; the live sink has none,
+ *   openWorkspaces.js asks Windows)
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+
+const isWindows = process.platform === 'win32';
+
+/**
+ * Quote one argv entry for display (only when it contains spaces or quotes).
+ */
+function quoteArg(arg) {
+  const s = String(arg);
+  return /[\s"]/.test(s) ? `"${s.replace(/"/g, '\\"')}"` : s;
+}
+
+/**
+ * Format a spawn call as a single command line for logs.
+ * @param {string} file
+ * @param {string[]} args
+ * @returns {string}
+ */
+export function formatArgv(file, args = []) {
+  return [file, ...args].map(quoteArg).join(' ');
+}
+
+/** PowerShell loop behind sendKeysViaHelper: one SendKeys sequence per stdin line, one reply line per sequence. */
+const SEND_KEYS_SCRIPT = `
+Add-Type -AssemblyName System.Windows.Forms
+while ($null -ne ($line = [Console]::In.ReadLine())) {
+  try { [System.Windows.Forms.SendKeys]::SendWait($line); [Console]::Out.WriteLine('ok') }
+  catch { [Console]::Out.WriteLine('error ' + $_.Exception.Message) }
+  [Console]::Out.Flush()
+}
+`;
+/** How long one key sequence may take before the helper is considered stuck (and restarted on next use). */
+const SEND_KEYS_TIMEOUT_MS = 10_000;
+
+/** The long-lived SendKeys helper process, started on first use. */
+let keyHelper = null;
+
+/**
+ * Start the PowerShell helper that sends keys for the rest of the run. It is unref'd while idle, so it
+ * never keeps the process alive; when the process exits, its stdin closes and the helper ends too.
+ */
+function startKeyHelper() {
+  const child = spawn(
+    'powershell',
+    ['-NoProfile', '-NonInteractive', '-WindowStyle', 'Hidden', '-EncodedCommand', Buffer.from(SEND_KEYS_SCRIPT, 'utf16le').toString('base64')],
+    { windowsHide: true, stdio: ['pipe', 'pipe', 'ignore'] },
+  );
+  const waiting = [];
+  let buffered = '';
+
+  const setRef = (ref) => {
+    for (const handle of [child, child.stdin, child.stdout]) (ref ? handle?.ref : handle?.unref)?.call(handle);
+  };
+  const fail = (err) => {
+    if (keyHelper === helper) keyHelper = null;
+    for (const { reject, timer } of waiting.splice(0)) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    child.kill();
+  };
+
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    buffered += chunk;
+    let newline;
+    while ((newline = buffered.indexOf('\n')) >= 0) {
+      const line = buffered.slice(0, newline).trim();
+      buffered = buffered.slice(newline + 1);
+      const next = waiting.shift();
+      if (!next) continue;
+      clearTimeout(next.timer);
+      if (line === 'ok') next.resolve();
+      else next.reject(new Error(`SendKeys failed: ${line.replace(/^error /, '')}`));
+    }
+    if (waiting.length === 0) setRef(false);
+  });
+  child.on('error', (err) => fail(err));
+  child.on('exit', (code) => fail(new Error(`SendKeys helper exited (code ${code})`)));
+  setRef(false);
+
+  const helper = {
+    send(keys) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => fail(new Error(`SendKeys helper did not answer within ${SEND_KEYS_TIMEOUT_MS} ms`)), SEND_KEYS_TIMEOUT_MS);
+        waiting.push({ resolve, reject, timer });
+        setRef(true);
+        child.stdin.write(keys + '\n');
+      });
+    },
+  };
+  return helper;
+}
+
+/**
+ * Send keys to the focused window via SendKeys in one long-lived PowerShell helper. Windows only; no-op elsewhere.
+ * @param {string} keys - SendKeys syntax, e.g. "{F11}" (no line breaks; SendKeys uses {ENTER})
+ */
+async function sendKeysViaHelper(keys) {
+  if (!isWindows) return;
+  if (/[\r\n]/.test(keys)) throw new Error(`Key sequence must be one line (use {ENTER}): ${JSON.stringify(keys)}`);
+  keyHelper ??= startKeyHelper();
+  await keyHelper.send(keys);
+}
+
+/**
+ * Sink that acts for real: commands go to the client, processes are spawned, keys are sent.
+ * @param {object} client - Connected WmClient
+ * @returns {object} Sink
+ */
+export function createLiveSink(client) {
+  return {
+    simulated: false,
+    runCommand: (command, subjectId) => client.runCommand(command, subjectId),
+    spawn: (file, args, options) => spawn(file, args, options),
+    sendKeys: sendKeysViaHelper,
+  };
+}
+
+/**
+ * Sink that prints every action instead of touching real windows. WM commands are still sent to the
+ * client (which must be connected to a simulator) so later phases see the tree they would have produced.
+ * @param {object} client - WmClient connected to the mock server
+ * @param {{ print?: (line: string) => void, launch?: (app: object) => number|undefined, keys?: (keys: string) => void,
+ *   pids?: () => Map<number, number> }} opts
+ *   - print: called once per action (default: console.log)
+ *   - launch: simulated launch for a spawned config node (e.g. simulator.launch); returns the child's pid
+ *   - keys: simulated key press (e.g. simulator.pressKeys)
+ *   - pids: window handle → pid of simulated launches (e.g. simulator.pidsByHandle)
+ * @returns {object} Sink, plus plan: every printed action in order
+ */
+export function createDryRunSink(client, opts = {}) {
+  const print = opts.print ?? ((line) => console.log(line));
+  const plan = [];
+  const record = (line) => {
+    plan.push(line);
+    print(`[dry-run] ${line}`);
+  };
+
+  return {
+    simulated: true,
+    plan,
+    runCommand(command, subjectId) {
+      record(subjectId ? `command --id ${subjectId} ${command}` : `command ${command}`);
+      return client.runCommand(command, subjectId);
+    },
+    spawn(file, args, _options, app, optionsNote) {
+      record(`spawn ${formatArgv(file, args)}${optionsNote ? ` ${optionsNote}` : ''}`);
+      const child = new EventEmitter();
+      child.unref = () => {};
+      if (app) child.pid = opts.launch?.(app);
+      else setImmediate(() => child.emit('exit', 0));
+      return child;
+    },
+    async sendKeys(keys) {
+      record(`keys ${keys}`);
+      opts.keys?.(keys);
+    },
+    pidsByHandle: opts.pids,
+  };
+}
+
+/**
+ * Sink for a phase: opts.sink if given, else a live sink for the client.
+ * @param {object} client - WmClient
+ * @param {{ sink?: object }} opts
+ * @returns {object} Sink
+ */
+export function sinkFor(client, opts = {}) {
+  return opts.sink ?? createLiveSink(client);
+}
@@ -0,0 +1,60 @@
+/**
+ * Dry run: run the phases against a simulator instead of the real desktop.
+ *
+ * The simulator is seeded from recorded workspace state (a saved "glazewm query workspaces" file) or
+ * from a one-off read-only query of the running GlazeWM, and served by the mock IPC server. Phases get a
+ * dry-run sink (commandSink.js) connected to it, so every command, spawn and key press is printed in
+ * order while the simulated tree evolves the way the real one would.
+ */
+
+import { createDryRunSink } from './commandSink.js';
+import { createClient } from './glazeCommon.js';
+import { createSimulator } from './glazeSimulator.js';
+import { MOCK_SERVER_PORT, startMockServer } from './mockGlazeServer.js';
+
+/**
+ * Query the running GlazeWM once and return its workspaces and monitors in query-file shape. Sends no commands.
+ * @param {{ log?: (msg: string) => void, port?: number }} opts - port: GlazeWM IPC port (default: 6123)
+ * @returns {Promise<{ data: { workspaces: object[], monitors: object[] } }>}
+ */
+export async function recordWorkspaceState(opts = {}) {
+  const client = await createClient(opts);
+  try {
+    const { workspaces } = await client.queryWorkspaces();
+    const { monitors } = await client.queryMonitors();
+    return { data: { workspaces, monitors } };
+  } finally {
+    await client.closeConnection?.();
+  }
+}
+
+/**
+ * Start a simulator + mock server seeded from workspaceJson and create a dry-run sink connected to it.
+ * Pass the returned port and sink to startupFromConfig.
+ * @param {object} workspaceJson - Recorded state ({ data: { workspaces } }, { data: { monitors } } or { workspaces })
+ * @param {{ log?: (msg: string) => void, print?: (line: string) => void, port?: number }} opts
+ *   - log: simulator / server messages
+ *   - print: one line per planned action (default: console.log)
+ *   - port: mock server port (default: MOCK_SERVER_PORT)
+ * @returns {Promise<{ port: number, sink: object, simulator: object, close: () => Promise<void> }>}
+ */
+export async function startDryRun(workspaceJson, opts = {}) {
+  const simulator = createSimulator(workspaceJson, { log: opts.log });
+  const server = await startMockServer(simulator, { port: opts.port ?? MOCK_SERVER_PORT, log: opts.log });
+  const client = await createClient({ port: server.port });
+  const sink = createDryRunSink(client, {
+    print: opts.print,
+    launch: (app) => simulator.launch(app),
+    keys: (keys) => simulator.pressKeys(keys),
+    pids: () => simulator.pidsByHandle(),
+  });
+  return {
+    port: server.port,
+    sink,
+    simulator,
+    close: async () => {
+      await client.closeConnection?.();
+      await server.close();
+    },
+  };
+}
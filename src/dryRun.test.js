@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { runLayoutPhase, runVerifyLayout } from './applyLayout.js';
+import { runClearPhase } from './clearWorkspaces.js';
+import { createDryRunSink } from './commandSink.js';
+import { startDryRun } from './dryRun.js';
+import { runFullscreenPhase } from './fullscreenWindows.js';
+import { createClient } from './glazeCommon.js';
+import { runOpenPhase } from './openWorkspaces.js';
+import { flattenApplications } from './parseWorkspace.js';
+
+const readJson = async (path) => JSON.parse(await readFile(new URL(path, import.meta.url), 'utf-8'));
+
+/** What a plan line does: close, spawn, layout (move / tiling direction / resize), keys; null for focus. */
+function kindOf(line) {
+  if (/^command (--id \S+ )?focus /.test(line)) return null;
+  if (/ close$/.test(line)) return 'close';
+  if (/^command (--id \S+ )?(move|set-tiling-direction|toggle-tiling-direction|resize) /.test(line)) return 'layout';
+  return line.split(' ')[0];
+}
+
+describe('dry-run plan on the simulator (config-example.json)', () => {
+  let dry;
+  let client;
+  let config;
+  let plan;
+  before(async () => {
+    dry = await startDryRun(await readJson('../workspace-example.json'), { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+    config = await readJson('../config-example.json');
+    const line = flattenApplications(config.workspaces[0]).find((node) => node.title === 'LINE');
+    Object.assign(line, { cwd: 'C:\\LINE', env: { LINE_MODE: 'dev' } });
+
+    const opts = { sink: dry.sink };
+    for (const phase of [runClearPhase, runOpenPhase, runLayoutPhase, runVerifyLayout, runFullscreenPhase]) {
+      await phase(client, config, opts);
+    }
+    plan = dry.sink.plan;
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  it('lists actions in the order the phases run them', () => {
+    const kinds = plan.map(kindOf).filter(Boolean).filter((kind, i, all) => kind !== all[i - 1]);
+    assert.deepEqual(kinds, ['close', 'spawn', 'layout', 'keys']);
+    const lastMove = plan.findLastIndex((line) => / move --direction /.test(line));
+    assert.ok(plan.findIndex((line) => / resize /.test(line)) > lastMove, 'resizes come after the tree is built');
+  });
+
+  it('spawns in config order with the exact argv and launch options', () => {
+    const spawns = plan.filter((line) => line.startsWith('spawn '));
+    assert.equal(spawns.length, flattenApplications(config.workspaces[0]).length);
+    assert.equal(
+      spawns[2],
+      'spawn "C:\\Program Files\\Mozilla Firefox\\firefox.exe" -new-window https://mail.proton.me/u/0/inbox',
+    );
+    assert.equal(
+      spawns[5],
+      'spawn C:\\Users\\user\\AppData\\Local\\LINE\\bin\\current\\LINE.exe [cwd C:\\LINE; env LINE_MODE]',
+    );
+  });
+
+  it('sends one F11 per fullscreen window, each right after focusing it', () => {
+    const keys = plan.flatMap((line, i) => (line === 'keys {F11}' ? [plan[i - 1]] : []));
+    assert.equal(keys.length, flattenApplications(config.workspaces[0]).filter((node) => node.fullscreen).length);
+    for (const previous of keys) assert.match(previous, /^command focus --container-id /);
+  });
+});
+
+describe('createDryRunSink', () => {
+  it('prints each action, forwards WM commands and simulates launches', async () => {
+    const printed = [];
+    const sent = [];
+    const launched = [];
+    const sink = createDryRunSink(
+      { runCommand: async (command, subjectId) => sent.push([command, subjectId]) },
+      { print: (line) => printed.push(line), launch: (app) => launched.push(app.title) },
+    );
+
+    await sink.runCommand('focus --workspace 2');
+    sink.spawn('C:\\Apps\\app.exe', ['a b'], {}, { title: 'App' }, '[minimized]');
+    const helper = sink.spawn('powershell', ['-Command', 'x'], {});
+    const exited = new Promise((resolve) => helper.on('exit', resolve));
+    await sink.sendKeys('{F11}');
+
+    assert.equal(await exited, 0);
+    assert.deepEqual(sent, [['focus --workspace 2', undefined]]);
+    assert.deepEqual(launched, ['App']);
+    assert.deepEqual(sink.plan, [
+      'command focus --workspace 2',
+      'spawn C:\\Apps\\app.exe "a b" [minimized]',
+      'spawn powershell -Command x',
+      'keys {F11}',
+    ]);
+    assert.deepEqual(printed, sink.plan.map((line) => `[dry-run] ${line}`));
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Floating and minimized windows
+ *
+ * Config window nodes may set state "floating" or "minimized" (default "tiling"). They are left out of the
+ * split tree (tilingWindowsOnly); the layout phase sets their state with set-floating / set-minimized /
+ * set-tiling and places floating windows with size and position.
+ *
+ * placement: { x, y, width, height, unit } — unit "px" (default) is absolute screen pixels, as in the query's
+ * floatingPlacement; unit "fraction" is 0–1 of the workspace's monitor (x / y from its top-left corner).
+ * Fields left out keep the window's current value.
+ */
+
+import { sinkFor } from './commandSink.js';
+import { matchWorkspaceWindows } from './matchWindows.js';
+import { monitorOfWorkspace } from './monitors.js';
+import { flattenApplications, windowStateOf } from './parseWorkspace.js';
+
+/** Allowed deviation of a floating window's position / size from its placement when verifying. */
+const PLACEMENT_TOLERANCE_PX = 4;
+
+/** GlazeWM command that puts a window into each state. */
+const STATE_COMMANDS = { tiling: 'set-tiling', floating: 'set-floating', minimized: 'set-minimized' };
+
+/**
+ * Placement in absolute pixels.
+ * @param {{ x?: number, y?: number, width?: number, height?: number, unit?: 'px'|'fraction' }} placement
+ * @param {object|null} monitor - Monitor of the workspace (needed for unit "fraction")
+ * @returns {{ x?: number, y?: number, width?: number, height?: number }|null} null if a fraction has no monitor
+ */
+export function resolvePlacement(placement, monitor) {
+  if ((placement?.unit ?? 'px') === 'px') {
+    const { unit: _unit, ...px } = placement ?? {};
+    return px;
+  }
+  if (!monitor) return null;
+  const out = {};
+  if (placement.x != null) out.x = Math.round(monitor.x + placement.x * monitor.width);
+  if (placement.y != null) out.y = Math.round(monitor.y + placement.y * monitor.height);
+  if (placement.width != null) out.width = Math.round(placement.width * monitor.width);
+  if (placement.height != null) out.height = Math.round(placement.height * monitor.height);
+  return out;
+}
+
+/** Live floating rect as { x, y, width, height }. */
+function rectOf(window) {
+  const p = window?.floatingPlacement;
+  if (!p) return null;
+  return { x: p.left, y: p.top, width: p.right - p.left, height: p.bottom - p.top };
+}
+
+/** Every config window node of a workspace with its matched live window (or null). */
+function matchedPairs(workspaceConfig, liveWorkspace) {
+  const apps = flattenApplications(workspaceConfig);
+  const { windows } = matchWorkspaceWindows(workspaceConfig, liveWorkspace);
+  return apps.map((app, i) => ({ app, window: windows[i] }));
+}
+
+/**
+ * Whether a live window's state differs from the configured one. A fullscreen window counts as tiling
+ * (the fullscreen phase put it there).
+ */
+function stateDiffers(want, have) {
+  return want !== (have === 'fullscreen' ? 'tiling' : have);
+}
+
+async function monitorForWorkspace(client, wsName) {
+  const { monitors } = await client.queryMonitors();
+  return monitorOfWorkspace(monitors ?? [], wsName);
+}
+
+/**
+ * Put every matched window into its configured state and move floating windows to their placement.
+ * Run before building the split tree so the tree only holds tiling windows.
+ * @param {object} client - WmClient
+ * @param {object} workspaceConfig - Config workspace node (skipped windows already left out)
+ * @param {object} liveWorkspace - Workspace from query
+ * @param {{ log?: (msg: string) => void, sink?: object }} opts
+ */
+export async function applyWindowStates(client, workspaceConfig, liveWorkspace, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const sink = sinkFor(client, opts);
+  const wsName = workspaceConfig?.name;
+  let monitor;
+
+  for (const { app, window } of matchedPairs(workspaceConfig, liveWorkspace)) {
+    if (!window) continue;
+    const want = windowStateOf(app);
+    const have = windowStateOf(window);
+    const title = window.title ?? app?.title ?? 'Unknown';
+
+    if (stateDiffers(want, have)) {
+      log(`Workspace ${wsName}: ${title} ${have} -> ${want}`);
+      await sink.runCommand(STATE_COMMANDS[want], window.id);
+    }
+    if (want !== 'floating' || !app.placement) continue;
+
+    monitor ??= await monitorForWorkspace(client, wsName);
+    const rect = resolvePlacement(app.placement, monitor);
+    if (!rect) {
+      log(`Workspace ${wsName}: ${title}: no monitor for fractional placement; leaving it where it is`);
+      continue;
+    }
+    if (rect.width != null || rect.height != null) {
+      const size = [rect.width != null && `--width ${rect.width}px`, rect.height != null && `--height ${rect.height}px`];
+      await sink.runCommand(`size ${size.filter(Boolean).join(' ')}`, window.id);
+    }
+    if (rect.x != null || rect.y != null) {
+      const current = rectOf(window) ?? { x: 0, y: 0 };
+      await sink.runCommand(`position --x-pos ${rect.x ?? current.x} --y-pos ${rect.y ?? current.y}`, window.id);
+    }
+    log(`Workspace ${wsName}: placed ${title} at ${JSON.stringify(rect)}`);
+  }
+}
+
+/**
+ * Check that every matched window has its configured state and floating windows sit at their placement.
+ * @param {object} client - WmClient
+ * @param {object} workspaceConfig - Config workspace node
+ * @param {object} liveWorkspace - Workspace from query
+ * @returns {Promise<Array<{ title: string, message: string }>>} One entry per mismatch
+ */
+export async function verifyWindowStates(client, workspaceConfig, liveWorkspace) {
+  const mismatches = [];
+  let monitor;
+
+  for (const { app, window } of matchedPairs(workspaceConfig, liveWorkspace)) {
+    if (!window) continue;
+    const want = windowStateOf(app);
+    const have = windowStateOf(window);
+    const title = window.title ?? app?.title ?? 'Unknown';
+    if (stateDiffers(want, have)) {
+      mismatches.push({ title, message: `state: want ${want}, got ${have}` });
+      continue;
+    }
+    if (want !== 'floating' || !app.placement) continue;
+
+    monitor ??= await monitorForWorkspace(client, workspaceConfig.name);
+    const rect = resolvePlacement(app.placement, monitor);
+    const actual = rectOf(window);
+    if (!rect || !actual) continue;
+    const off = ['x', 'y', 'width', 'height']
+      .filter((k) => rect[k] != null && Math.abs(rect[k] - actual[k]) > PLACEMENT_TOLERANCE_PX)
+      .map((k) => `${k} want ${rect[k]}, got ${actual[k]}`);
+    if (off.length > 0) mismatches.push({ title, message: `placement: ${off.join('; ')}` });
+  }
+  return mismatches;
+}
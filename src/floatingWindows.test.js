@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { startDryRun } from './dryRun.js';
+import { applyWindowStates, resolvePlacement, verifyWindowStates } from './floatingWindows.js';
+import { createClient, getWorkspace } from './glazeCommon.js';
+import { monitorOfWorkspace } from './monitors.js';
+
+const monitor = { x: 1920, y: 0, width: 2560, height: 1440 };
+
+describe('resolvePlacement', () => {
+  const cases = [
+    {
+      name: 'pixels as given, without the unit',
+      placement: { x: 10, y: 20, width: 800, height: 600, unit: 'px' },
+      want: { x: 10, y: 20, width: 800, height: 600 },
+    },
+    { name: 'pixels by default', placement: { x: 10, width: 800 }, want: { x: 10, width: 800 } },
+    {
+      name: 'fractions of the monitor, from its top-left corner',
+      placement: { x: 0.25, y: 0.5, width: 0.5, height: 0.25, unit: 'fraction' },
+      want: { x: 2560, y: 720, width: 1280, height: 360 },
+    },
+    { name: 'only the fractions given', placement: { width: 0.333, unit: 'fraction' }, want: { width: 852 } },
+    { name: 'nothing for no placement', placement: undefined, want: {} },
+  ];
+
+  for (const { name, placement, want } of cases) {
+    it(name, () => assert.deepEqual(resolvePlacement(placement, monitor), want));
+  }
+
+  it('returns null for fractions without a monitor', () => {
+    assert.equal(resolvePlacement({ x: 0.5, unit: 'fraction' }, null), null);
+  });
+});
+
+describe('applyWindowStates / verifyWindowStates on the simulator', () => {
+  let dry;
+  let client;
+  before(async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  const config = {
+    name: '1',
+    children: [
+      {
+        type: 'window',
+        title: '*new 6 - Notepad++',
+        application: 'C:\\Program Files\\Notepad++\\notepad++.exe',
+        state: 'floating',
+        placement: { x: 0.25, y: 0.25, width: 0.5, height: 0.5, unit: 'fraction' },
+      },
+      { type: 'window', title: 'MINGW64:/c/Users/user', application: 'C:\\Git\\mintty.exe', state: 'minimized' },
+      { type: 'window', title: 'glazewm - File Explorer', application: 'C:\\Windows\\explorer.exe' },
+    ],
+  };
+  const windowTitled = async (title) => (await getWorkspace(client, '1')).children.find((w) => w.title === title);
+
+  it('sets each state and places floating windows on the monitor', async () => {
+    await applyWindowStates(client, config, await getWorkspace(client, '1'), { sink: dry.sink });
+
+    const notepad = await windowTitled('*new 6 - Notepad++');
+    const { monitors } = await client.queryMonitors();
+    const { x, y, width, height } = monitorOfWorkspace(monitors, '1');
+    assert.equal(notepad.state.type, 'floating');
+    assert.deepEqual(notepad.floatingPlacement, {
+      left: Math.round(x + width / 4),
+      top: Math.round(y + height / 4),
+      right: Math.round(x + width / 4) + Math.round(width / 2),
+      bottom: Math.round(y + height / 4) + Math.round(height / 2),
+    });
+    assert.equal((await windowTitled('MINGW64:/c/Users/user')).state.type, 'minimized');
+    assert.equal((await windowTitled('glazewm - File Explorer')).state.type, 'tiling');
+    assert.deepEqual(await verifyWindowStates(client, config, await getWorkspace(client, '1')), []);
+  });
+
+  it('reports a window moved off its placement and a window in another state', async () => {
+    const notepad = await windowTitled('*new 6 - Notepad++');
+    await client.runCommand(`position --x-pos ${notepad.floatingPlacement.left + 100} --y-pos 0`, notepad.id);
+    await client.runCommand('set-tiling', (await windowTitled('MINGW64:/c/Users/user')).id);
+
+    const mismatches = await verifyWindowStates(client, config, await getWorkspace(client, '1'));
+    assert.deepEqual(mismatches.map((m) => m.title), ['*new 6 - Notepad++', 'MINGW64:/c/Users/user']);
+    assert.match(mismatches[0].message, /^placement: x want \d+, got \d+; y want \d+, got 0$/);
+    assert.equal(mismatches[1].message, 'state: want minimized, got tiling');
+  });
+});
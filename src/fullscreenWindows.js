@@ -1,47 +1,104 @@
 /**
- * Fullscreen phase: match config fullscreen: true to current windows by index, then F11 each.
+ * Fullscreen phase: match config fullscreen windows to current windows (matchWindows), then fullscreen each
+ * with its strategy (config "fullscreen"):
+ * - true or "f11": focus the window, send F11
+ * - "wm": GlazeWM's own fullscreen state (set-fullscreen), no focus or keys needed
+ * - { "keys": "..." }: focus the window, send this SendKeys sequence (e.g. "^+f")
+ * The window's state is read from the query before and after: a window that is already fullscreen is left
+ * alone (F11 would toggle it back), and a key is only sent once the window has focus. When the state did not
+ * change, the window is tried again, up to MAX_FULLSCREEN_ATTEMPTS times. Before the first try the phase waits
+ * for the windows to be ready (readiness.js, all at once) instead of a fixed delay after layout.
  * Used after layout in startup (all workspaces) and by cli-fullscreen (one workspace).
  */
 
-import { spawn } from 'child_process';
-import { focusWindow, focusWorkspace } from './glazeCommon.js';
-import { findAllWindows, flattenApplications } from './parseWorkspace.js';
+import { sinkFor } from './commandSink.js';
+import { delay, focusWindow, focusWorkspace } from './glazeCommon.js';
+import { matchWorkspaceWindows, openStatusOf, withoutSkippedWindows } from './matchWindows.js';
+import { flattenApplications, windowStateOf } from './parseWorkspace.js';
+import { DEFAULT_FULLSCREEN_READY, waitForReady } from './readiness.js';
 
-const isWindows = process.platform === 'win32';
+/** Tries per window before it is reported as not fullscreen. */
+const MAX_FULLSCREEN_ATTEMPTS = 3;
+/** How long to wait for the window state to become fullscreen after one try. */
+const FULLSCREEN_VERIFY_TIMEOUT_MS = 2000;
+/** How long to wait for a window to have focus before sending keys. */
+const FOCUS_TIMEOUT_MS = 1000;
+/** Poll interval while waiting for focus or state. */
+const POLL_INTERVAL_MS = 100;
 
-async function sendF11Key() {
-  if (!isWindows) return;
-  const cmd =
-    'Add-Type -AssemblyName System.Windows.Forms; [System.Windows.Forms.SendKeys]::SendWait(\'{F11}\')';
-  const child = spawn('powershell', ['-NoProfile', '-NonInteractive', '-WindowStyle', 'Hidden', '-Command', cmd], {
-    windowsHide: true,
-    stdio: 'ignore',
-  });
-  await new Promise((resolve, reject) => {
-    child.on('exit', resolve);
-    child.on('error', reject);
-  });
+/** Values of config "fullscreen" besides true / false and { keys }. */
+export const FULLSCREEN_STRATEGIES = ['f11', 'wm'];
+
+/**
+ * Fullscreen strategy of a config window node.
+ * @param {object} node - Config window node
+ * @returns {{ name: 'f11'|'wm'|'keys', keys?: string }|null} keys: SendKeys sequence; null if the window is not fullscreened
+ */
+export function fullscreenStrategyOf(node) {
+  const fullscreen = node?.fullscreen;
+  if (fullscreen === true || fullscreen === 'f11') return { name: 'f11', keys: '{F11}' };
+  if (fullscreen === 'wm') return { name: 'wm' };
+  if (typeof fullscreen?.keys === 'string') return { name: 'keys', keys: fullscreen.keys };
+  return null;
+}
+
+/** Poll until check() returns true or timeoutMs passes. */
+async function waitUntil(check, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    if (await check()) return true;
+    if (Date.now() >= deadline) return false;
+    await delay(POLL_INTERVAL_MS);
+  }
+}
+
+/** Live window by id (null once it is gone). */
+async function queryWindow(client, id) {
+  const { windows } = await client.queryWindows();
+  return windows?.find((w) => w?.id === id) ?? null;
 }
 
 /**
- * Get windows that have fullscreen: true in config for a workspace, by matching config to current windows by index.
+ * One try: focus the window and send its keys, or set the WM fullscreen state.
+ * @returns {Promise<boolean>} false if the window never got focus (nothing was sent)
+ */
+async function applyFullscreen(client, sink, { id, strategy }, opts) {
+  if (strategy.name === 'wm') {
+    await sink.runCommand('set-fullscreen', id);
+    return true;
+  }
+  await focusWindow(client, id, opts);
+  if (!(await waitUntil(async () => (await queryWindow(client, id))?.hasFocus === true, FOCUS_TIMEOUT_MS))) return false;
+  await sink.sendKeys(strategy.keys);
+  return true;
+}
+
+/**
+ * Get windows that have fullscreen: true in config for a workspace, by matching config to current windows (matchWindows).
+ * Windows the open phase skipped or replaced with a placeholder are left out.
  * @param {object} client - WmClient
  * @param {object} workspaceConfig - Config workspace node (name, children / flattenApplications)
  * @param {string} workspaceName - Workspace name (e.g. "2")
- * @returns {Promise<Array<{ id: string, title: string }>>} Windows to fullscreen (id + title for logging)
+ * @param {{ log?: (msg: string) => void }} opts
+ * @returns {Promise<Array<{ id: string, title: string, strategy: object, node: object }>>} Windows to fullscreen
+ *   (id + title for logging, strategy: see fullscreenStrategyOf, node: the config window node)
  */
-export async function getFullscreenWindowIdsForWorkspace(client, workspaceConfig, workspaceName) {
+export async function getFullscreenWindowIdsForWorkspace(client, workspaceConfig, workspaceName, opts = {}) {
   const { workspaces: liveWorkspaces } = await client.queryWorkspaces();
   const liveWs = liveWorkspaces?.find((w) => w?.name === workspaceName);
   if (!liveWs) return [];
-  const apps = flattenApplications(workspaceConfig);
-  const windows = findAllWindows(liveWs);
+  const openedConfig = withoutSkippedWindows(workspaceConfig);
+  const apps = flattenApplications(openedConfig);
+  const { windows } = matchWorkspaceWindows(openedConfig, liveWs, opts);
   const list = [];
-  for (let i = 0; i < apps.length && i < windows.length; i++) {
-    if (apps[i]?.fullscreen && windows[i]?.id) {
+  for (let i = 0; i < apps.length; i++) {
+    const strategy = fullscreenStrategyOf(apps[i]);
+    if (strategy && windows[i]?.id && openStatusOf(apps[i]) !== 'placeholder') {
       list.push({
         id: windows[i].id,
         title: windows[i].title ?? apps[i]?.title ?? apps[i]?.name ?? 'Unknown',
+        strategy,
+        node: apps[i],
       });
     }
   }
@@ -49,24 +106,65 @@ export async function getFullscreenWindowIdsForWorkspace(client, workspaceConfig
 }
 
 /**
- * Fullscreen a list of windows: focus each, send F11, delay between. Logs window title and id.
+ * Fullscreen a list of windows with their strategies, skipping the ones already fullscreen, waiting for them to be
+ * ready (config "ready", else DEFAULT_FULLSCREEN_READY outside dry runs; all windows at once, before the first is
+ * fullscreened) and retrying the ones whose state did not change. A window that is not ready in time, or still not
+ * fullscreen after MAX_FULLSCREEN_ATTEMPTS, is logged (result "failed") and the others carry on.
  * @param {object} client - WmClient
- * @param {Array<{ id: string, title: string }>} windows - Windows to fullscreen (id + title for logging)
- * @param {{ log?: (msg: string) => void }} opts
+ * @param {Array<{ id: string, title: string, strategy?: object, node?: object }>} windows - From
+ *   getFullscreenWindowIdsForWorkspace (strategy defaults to F11)
+ * @param {{ log?: (msg: string, fields?: object) => void, sink?: object }} opts
  */
 export async function fullscreenWindowIds(client, windows, opts = {}) {
   const log = opts.log ?? (() => {});
+  const sink = sinkFor(client, opts);
   if (windows.length === 0) return;
   log(`Fullscreening ${windows.length} window(s)...`);
-  for (const { id, title } of windows) {
-    log(`Fullscreening: ${title} (id: ${id})`);
-    await focusWindow(client, id);
-    await sendF11Key();
+  const fieldsOf = (window) => ({ windowTitle: window.title, action: 'fullscreen' });
+  const isFullscreen = async (id) => windowStateOf(await queryWindow(client, id)) === 'fullscreen';
+
+  const pending = [];
+  for (const window of windows) {
+    if (await isFullscreen(window.id)) {
+      log(`Already fullscreen: ${window.title} (id: ${window.id})`, { ...fieldsOf(window), result: 'skipped' });
+    } else {
+      pending.push(window);
+    }
+  }
+  const fallback = sink.simulated ? null : DEFAULT_FULLSCREEN_READY;
+  const readiness = await Promise.allSettled(
+    pending.map((window) => waitForReady(client, window.node, window.id, { ...opts, fallback })),
+  );
+
+  for (const [i, window] of pending.entries()) {
+    const { id, title } = window;
+    const strategy = window.strategy ?? fullscreenStrategyOf({ fullscreen: true });
+    const fields = fieldsOf(window);
+    if (readiness[i].status === 'rejected') {
+      const error = readiness[i].reason?.message ?? String(readiness[i].reason);
+      log(error, { ...fields, result: 'failed', error });
+      continue;
+    }
+    const how = strategy.name === 'wm' ? 'set-fullscreen' : `keys ${strategy.keys}`;
+    let attempts = 0;
+    let done = false;
+    while (!done && attempts < MAX_FULLSCREEN_ATTEMPTS) {
+      attempts++;
+      log(`Fullscreening: ${title} (id: ${id}, ${how}${attempts > 1 ? `, attempt ${attempts}` : ''})`, fields);
+      if (!(await applyFullscreen(client, sink, window, opts))) {
+        log(`${title}: did not get focus; no keys sent`, fields);
+        continue;
+      }
+      done = await waitUntil(() => isFullscreen(id), FULLSCREEN_VERIFY_TIMEOUT_MS);
+      if (!done && (await queryWindow(client, id)) == null) break;
+    }
+    if (done) log(`Fullscreen: ${title}`, { ...fields, result: 'ok', attempts });
+    else log(`Not fullscreen after ${attempts} attempt(s): ${title}`, { ...fields, result: 'failed', attempts });
   }
 }
 
 /**
- * Fullscreen phase: for each target workspace, focus the workspace then F11 its fullscreen windows.
+ * Fullscreen phase: for each target workspace, focus the workspace then fullscreen its fullscreen windows.
  * If opts.workspaceName is set, only that workspace is processed (with validation and log messages).
  * Otherwise all workspaces in config are processed.
  *
@@ -91,7 +189,7 @@ export async function runFullscreenPhase(client, config, opts = {}) {
   for (const workspace of workspaces) {
     const wsName = workspace?.name;
     if (!wsName) continue;
-    const windows = await getFullscreenWindowIdsForWorkspace(client, workspace, wsName);
+    const windows = await getFullscreenWindowIdsForWorkspace(client, workspace, wsName, opts);
     if (windows.length === 0) {
       if (workspaceName != null && workspaceName !== '') {
         log(`No fullscreen windows in workspace "${wsName}" (config fullscreen: true matched to current windows).`);
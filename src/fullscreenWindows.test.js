@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { startDryRun } from './dryRun.js';
+import { fullscreenStrategyOf, fullscreenWindowIds } from './fullscreenWindows.js';
+import { createClient } from './glazeCommon.js';
+import { windowStateOf } from './parseWorkspace.js';
+
+describe('fullscreenStrategyOf', () => {
+  const cases = [
+    ['true is F11', { fullscreen: true }, { name: 'f11', keys: '{F11}' }],
+    ['"f11"', { fullscreen: 'f11' }, { name: 'f11', keys: '{F11}' }],
+    ['"wm"', { fullscreen: 'wm' }, { name: 'wm' }],
+    ['a key sequence', { fullscreen: { keys: '^+f' } }, { name: 'keys', keys: '^+f' }],
+    ['nothing for false', { fullscreen: false }, null],
+    ['nothing without the field', {}, null],
+  ];
+
+  for (const [name, node, want] of cases) {
+    it(name, () => assert.deepEqual(fullscreenStrategyOf(node), want));
+  }
+});
+
+describe('fullscreenWindowIds on the simulator', () => {
+  let dry;
+  let client;
+  before(async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  /**
+   * A new window on workspace 8 to fullscreen with the given config, plus a dry-run sink that records each
+   * command and key press. The first ignoredPresses key presses are lost, like in an app that is still loading.
+   */
+  function fullscreenTarget(fullscreen, ignoredPresses = 0) {
+    const title = `Player ${JSON.stringify(fullscreen)}`;
+    const window = dry.simulator.manageWindow({ title, processName: 'player', workspaceName: '8' });
+    const node = { type: 'window', title, fullscreen };
+    const actions = [];
+    const logged = [];
+    let presses = 0;
+    const sink = {
+      ...dry.sink,
+      runCommand(command, subjectId) {
+        actions.push(command);
+        return dry.sink.runCommand(command, subjectId);
+      },
+      async sendKeys(keys) {
+        actions.push(`keys ${keys}`);
+        if (++presses > ignoredPresses) await dry.sink.sendKeys(keys);
+      },
+    };
+    const opts = { sink, log: (msg, fields) => logged.push({ msg, ...fields }) };
+    const target = { id: window.id, title, strategy: fullscreenStrategyOf(node), node };
+    const run = () => fullscreenWindowIds(client, [target], opts);
+    const state = async () => windowStateOf((await client.queryWindows()).windows.find((w) => w.id === window.id));
+    return { actions, logged, run, state };
+  }
+
+  const results = (logged) => logged.filter((l) => l.result).map(({ result, attempts }) => [result, attempts]);
+
+  it('focuses the window and sends F11', async () => {
+    const target = fullscreenTarget(true);
+    await target.run();
+    assert.equal(await target.state(), 'fullscreen');
+    assert.deepEqual(target.actions.filter((a) => !a.startsWith('focus')), ['keys {F11}']);
+    assert.ok(target.actions.some((a) => a.startsWith('focus')));
+    assert.deepEqual(results(target.logged), [['ok', 1]]);
+  });
+
+  it('sets the WM fullscreen state without focus or keys', async () => {
+    const target = fullscreenTarget('wm');
+    await target.run();
+    assert.equal(await target.state(), 'fullscreen');
+    assert.deepEqual(target.actions, ['set-fullscreen']);
+  });
+
+  it('sends a configured key sequence', async () => {
+    const target = fullscreenTarget({ keys: '^+f' });
+    await target.run();
+    assert.equal(await target.state(), 'fullscreen');
+    assert.deepEqual(target.actions.filter((a) => a.startsWith('keys')), ['keys ^+f']);
+  });
+
+  it('leaves a window that is already fullscreen alone, so F11 does not toggle it back', async () => {
+    const target = fullscreenTarget(true);
+    await target.run();
+    const sent = target.actions.length;
+    await target.run();
+    assert.equal(await target.state(), 'fullscreen');
+    assert.equal(target.actions.length, sent);
+    assert.deepEqual(results(target.logged), [['ok', 1], ['skipped', undefined]]);
+  });
+
+  it('tries again when the state did not change', async () => {
+    const target = fullscreenTarget(true, 1);
+    await target.run();
+    assert.equal(await target.state(), 'fullscreen');
+    assert.deepEqual(target.actions.filter((a) => a.startsWith('keys')), ['keys {F11}', 'keys {F11}']);
+    assert.deepEqual(results(target.logged), [['ok', 2]]);
+  });
+
+  it('reports a window that never goes fullscreen after the last attempt', async () => {
+    const target = fullscreenTarget({ keys: '^+f' }, Infinity);
+    await target.run();
+    assert.equal(await target.state(), 'tiling');
+    assert.equal(target.actions.filter((a) => a.startsWith('keys')).length, 3);
+    assert.deepEqual(results(target.logged), [['failed', 3]]);
+  });
+});
@@ -3,10 +3,68 @@
  * Shared by openWorkspaces, clearWorkspaces, fullscreen CLI, etc.
  */
 
+import { spawn } from 'child_process';
+import { WmClient } from 'glazewm';
+import { sinkFor } from './commandSink.js';
+
+const CONNECT_DELAY_MS = 100;
+
 export function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Create a WmClient, log connection events, and wait briefly for the connection to settle.
+ * @param {{ log?: (msg: string) => void, port?: number }} opts - port: IPC port (default: GlazeWM's 6123)
+ * @returns {Promise<object>} WmClient
+ */
+export async function createClient(opts = {}) {
+  const log = opts.log ?? (() => {});
+  const client = new WmClient(opts.port ? { port: opts.port } : undefined);
+  client.onConnect(() => log('Connected to GlazeWM'));
+  client.onDisconnect(() => log('Disconnected from GlazeWM'));
+  client.onError((err) => log(`GlazeWM error: ${err}`));
+  await delay(CONNECT_DELAY_MS);
+  return client;
+}
+
+/**
+ * Run a PowerShell command silently and parse its JSON output (UTF-8, BOM stripped). Windows only.
+ * @param {string} command - PowerShell command that writes JSON (e.g. "Get-StartApps | ConvertTo-Json")
+ * @returns {Promise<object[]|null>} Parsed output as an array (a single object is wrapped); null on error or non-Windows
+ */
+export async function runPowerShellJson(command) {
+  if (process.platform !== 'win32') return null;
+
+  const cmd = '[Console]::OutputEncoding = [System.Text.Encoding]::UTF8; ' + command;
+  const child = spawn('powershell', ['-NoProfile', '-NonInteractive', '-WindowStyle', 'Hidden', '-Command', cmd], {
+    windowsHide: true,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  const chunks = [];
+  child.stdout?.on('data', (chunk) => chunks.push(chunk));
+  child.stderr?.on('data', () => {});
+
+  try {
+    await new Promise((resolve, reject) => {
+      child.on('error', reject);
+      child.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`PowerShell exit ${code}`))));
+    });
+  } catch (_) {
+    return null;
+  }
+
+  let raw = Buffer.concat(chunks).toString('utf-8').trim();
+  if (raw.charCodeAt(0) === 0xfeff) raw = raw.slice(1);
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : parsed ? [parsed] : [];
+  } catch (_) {
+    return null;
+  }
+}
+
 /**
  * Get the name of the currently focused workspace.
  * @param {object} client - WmClient
@@ -33,14 +91,14 @@ export async function getWorkspace(client, workspaceName) {
  * Focus a workspace by name, then wait so the WM can settle.
  * @param {object} client - WmClient
  * @param {string} workspaceName - Workspace name (e.g. "2")
- * @param {{ log?: (msg: string) => void }} opts
+ * @param {{ log?: (msg: string) => void, sink?: object }} opts - sink: see commandSink.js (default: live)
  * @returns {Promise<object|null>} The focused workspace object; null only if workspaceName is falsy; throws if not found when name given
  */
 export async function focusWorkspace(client, workspaceName, opts = {}) {
   const log = opts.log ?? (() => {});
   if (workspaceName) {
     log(`Focusing workspace ${workspaceName}`);
-    await client.runCommand('focus --workspace ' + workspaceName);
+    await sinkFor(client, opts).runCommand('focus --workspace ' + workspaceName);
   }
   const ws = await getWorkspace(client, workspaceName);
   if (workspaceName != null && workspaceName !== '' && ws == null) {
@@ -53,12 +111,13 @@ export async function focusWorkspace(client, workspaceName, opts = {}) {
  * Focus a window (or container) by id, then wait so the WM can settle.
  * @param {object} client - WmClient
  * @param {string} containerId - Container/window id
+ * @param {{ sink?: object }} opts - sink: see commandSink.js (default: live)
  */
-export async function focusWindow(client, containerId) {
+export async function focusWindow(client, containerId, opts = {}) {
   if (!containerId) {
     throw new Error('containerId is required');
   }
-  await client.runCommand('focus --container-id ' + containerId);
+  await sinkFor(client, opts).runCommand('focus --container-id ' + containerId);
 }
 
 /**
@@ -88,8 +147,8 @@ export async function runWithWorkspaceRestore(client, opts, fn) {
     process.exit(0);
   } catch (err) {
     const log = opts.log ?? (() => {});
-    log(err?.message ?? String(err));
-    if (err?.stack) log(err.stack);
+    log(err?.message ?? String(err), { action: 'error', result: 'failed' });
+    if (err?.stack) log(err.stack, { action: 'stack' });
     try {
       await doRestoreAndClose();
     } catch (_) {}
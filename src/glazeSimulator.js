@@ -0,0 +1,728 @@
+/**
+ * GlazeWM Simulator
+ *
+ * In-memory stand-in for GlazeWM's container tree, seeded from "glazewm query workspaces" output
+ * (e.g. workspace-example.json) or "glazewm query monitors" output (which adds monitor positions). Handles the IPC messages WmClient sends (query, command, sub/unsub)
+ * and emits WINDOW_MANAGED, WINDOW_UNMANAGED, WORKSPACE_UPDATED etc. so the phases can run offline.
+ * Served over WebSocket by mockGlazeServer.js.
+ *
+ * Models GlazeWM's tiling rules closely enough for the phases: new windows go after the focused window,
+ * move swaps siblings or enters/leaves splits, set-tiling-direction wraps a window in a split, splits with
+ * one child or with their parent's direction are flattened, resize spreads the delta over siblings.
+ * Floating and minimized windows sit directly in their workspace, outside the tiling tree. Fullscreen windows
+ * (set-fullscreen, or a key press through the dry-run sink) keep their place.
+ */
+
+import { randomUUID } from 'crypto';
+import { WmEventType } from 'glazewm';
+import { findAllWindows, findContainerById } from './parseWorkspace.js';
+
+/** Smallest tilingSize a resize can leave a container with. */
+const MIN_TILING_SIZE = 0.01;
+/** Delay between a simulated launch and its WINDOW_MANAGED event. */
+const DEFAULT_LAUNCH_DELAY_MS = 50;
+/** First made-up process id of a simulated launch. */
+const FIRST_SIMULATED_PID = 10_000;
+/** Size of the made-up monitors used when the seed has no monitor data (placed side by side). */
+const DEFAULT_MONITOR_WIDTH = 1920;
+const DEFAULT_MONITOR_HEIGHT = 1080;
+/** Floating size of newly managed windows (centered on their monitor). */
+const DEFAULT_FLOATING_WIDTH = 800;
+const DEFAULT_FLOATING_HEIGHT = 600;
+
+const FORWARD_DIRECTIONS = new Set(['right', 'down']);
+
+function axisOfDirection(direction) {
+  return direction === 'left' || direction === 'right' ? 'horizontal' : 'vertical';
+}
+
+function inverseDirection(direction) {
+  return { left: 'right', right: 'left', up: 'down', down: 'up' }[direction];
+}
+
+function inverseTilingDirection(tilingDirection) {
+  return tilingDirection === 'vertical' ? 'horizontal' : 'vertical';
+}
+
+function isTiling(node) {
+  return node?.type === 'split' || (node?.type === 'window' && (node.state?.type ?? 'tiling') === 'tiling');
+}
+
+/**
+ * Parse a command string ("move --direction left", "set-tiling-direction vertical") into name, flags, positionals.
+ */
+function parseCommand(command) {
+  const [name, ...tokens] = command.trim().split(/\s+/);
+  const flags = {};
+  const positionals = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].startsWith('--')) {
+      flags[tokens[i].slice(2)] = tokens[i + 1];
+      i++;
+    } else {
+      positionals.push(tokens[i]);
+    }
+  }
+  return { name, flags, positionals };
+}
+
+/**
+ * Create a simulator from workspace query JSON.
+ * @param {object} workspaceJson - Output of "glazewm query workspaces" ({ data: { workspaces } }) or { workspaces },
+ *   or of "glazewm query monitors" ({ data: { monitors } }); both may be present
+ * @param {{ launchDelayMs?: number, log?: (msg: string) => void }} opts
+ * @returns {object} Simulator: handleMessage, onEvent, launch, pressKeys, manageWindow, getWorkspaces, pidsByHandle
+ */
+export function createSimulator(workspaceJson, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const launchDelayMs = opts.launchDelayMs ?? DEFAULT_LAUNCH_DELAY_MS;
+  const sourceMonitors = workspaceJson?.data?.monitors ?? workspaceJson?.monitors;
+  const source = workspaceJson?.data?.workspaces ?? workspaceJson?.workspaces
+    ?? sourceMonitors?.flatMap((m) => (m.children ?? []).map((w) => ({ ...w, parentId: w.parentId ?? m.id })));
+  if (!Array.isArray(source)) {
+    throw new Error("Invalid workspace JSON format (missing 'data.workspaces')");
+  }
+
+  const workspaces = structuredClone(source);
+  const monitorIds = [...new Set([...(sourceMonitors ?? []).map((m) => m.id), ...workspaces.map((w) => w.parentId)].filter(Boolean))];
+  if (monitorIds.length === 0) monitorIds.push(randomUUID());
+  for (const ws of workspaces) ws.parentId ??= monitorIds[0];
+  const monitors = monitorIds.map((id, i) => {
+    const { children: _children, ...recorded } = sourceMonitors?.find((m) => m.id === id) ?? {};
+    return {
+      type: 'monitor',
+      id,
+      x: i * DEFAULT_MONITOR_WIDTH,
+      y: 0,
+      width: DEFAULT_MONITOR_WIDTH,
+      height: DEFAULT_MONITOR_HEIGHT,
+      deviceName: `\\\\.\\DISPLAY${i + 1}`,
+      ...recorded,
+    };
+  });
+
+  const listeners = [];
+  let nextHandle = 1;
+  let nextPid = FIRST_SIMULATED_PID;
+  /** Window handle → process id, for windows of simulated launches. */
+  const pidByHandle = new Map();
+
+  const allNodes = () => workspaces.flatMap(function walk(n) {
+    return [n, ...(n.children ?? []).flatMap(walk)];
+  });
+  for (const node of allNodes()) {
+    if (node.children) node.childFocusOrder ??= node.children.map((c) => c.id);
+    if (node.handle) nextHandle = Math.max(nextHandle, node.handle + 1);
+  }
+
+  const initialFocus = allNodes().find((n) => n.type === 'window' && n.hasFocus)
+    ?? workspaces.find((w) => w.hasFocus)
+    ?? workspaces[0];
+  let focusedId = initialFocus?.id ?? null;
+  const displayedByMonitor = new Map(
+    workspaces.filter((w) => w.isDisplayed).map((w) => [w.parentId, w.id]),
+  );
+
+  function emit(event) {
+    for (const listener of [...listeners]) listener(event);
+  }
+
+  function findById(id) {
+    for (const ws of workspaces) {
+      const found = findContainerById(ws, id);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function parentOf(node) {
+    return node?.parentId ? findById(node.parentId) : null;
+  }
+
+  function workspaceOf(node) {
+    let current = node;
+    while (current && current.type !== 'workspace') current = parentOf(current);
+    return current;
+  }
+
+  function tilingSiblings(node) {
+    return (parentOf(node)?.children ?? []).filter((c) => c !== node && isTiling(c));
+  }
+
+  /** Child of container that was focused most recently (GlazeWM childFocusOrder). */
+  function focusedChild(container) {
+    const children = container?.children ?? [];
+    for (const id of container?.childFocusOrder ?? []) {
+      const child = children.find((c) => c.id === id);
+      if (child) return child;
+    }
+    return children[children.length - 1] ?? null;
+  }
+
+  function focusContainer(node) {
+    focusedId = node.id;
+    let child = node;
+    let parent = parentOf(child);
+    while (parent) {
+      parent.childFocusOrder = [child.id, ...(parent.childFocusOrder ?? []).filter((id) => id !== child.id)];
+      child = parent;
+      parent = parentOf(child);
+    }
+    const ws = workspaceOf(node);
+    if (ws) displayedByMonitor.set(ws.parentId, ws.id);
+    emit({ eventType: WmEventType.FOCUS_CHANGED, focusedContainer: snapshot(node) });
+  }
+
+  function focusedWorkspace() {
+    return workspaceOf(findById(focusedId)) ?? workspaces[0] ?? null;
+  }
+
+  /** Insert node into parent at index; a tiling node takes 1/(n+1) and scales its siblings down. */
+  function attach(node, parent, index) {
+    const siblings = (parent.children ?? []).filter(isTiling);
+    if (isTiling(node)) {
+      const share = 1 / (siblings.length + 1);
+      for (const s of siblings) s.tilingSize = (s.tilingSize ?? 0) * (1 - share);
+      node.tilingSize = share;
+    }
+    parent.children ??= [];
+    parent.children.splice(Math.min(Math.max(index, 0), parent.children.length), 0, node);
+    parent.childFocusOrder = [...(parent.childFocusOrder ?? []), node.id];
+    node.parentId = parent.id;
+  }
+
+  /** Remove node from its parent; its tilingSize is spread evenly over the remaining tiling siblings. */
+  function detach(node) {
+    const parent = parentOf(node);
+    if (!parent) return null;
+    parent.children = parent.children.filter((c) => c !== node);
+    parent.childFocusOrder = (parent.childFocusOrder ?? []).filter((id) => id !== node.id);
+    const siblings = parent.children.filter(isTiling);
+    if (isTiling(node) && siblings.length > 0) {
+      for (const s of siblings) s.tilingSize = (s.tilingSize ?? 0) + (node.tilingSize ?? 0) / siblings.length;
+    }
+    normalize(parent);
+    return parent;
+  }
+
+  /** Replace a split with its children in its parent, scaling their sizes by the split's size. */
+  function replaceSplitWithChildren(split) {
+    const parent = parentOf(split);
+    const index = parent.children.indexOf(split);
+    for (const child of split.children) {
+      if (isTiling(child)) child.tilingSize = (child.tilingSize ?? 0) * (split.tilingSize ?? 1);
+      child.parentId = parent.id;
+    }
+    parent.children.splice(index, 1, ...split.children);
+    parent.childFocusOrder = (parent.childFocusOrder ?? []).flatMap((id) => (id === split.id ? split.childFocusOrder ?? [] : [id]));
+  }
+
+  /** After a detach: drop a split left empty, flatten a split left with one child. */
+  function normalize(container) {
+    if (container?.type !== 'split' || !parentOf(container)) return;
+    if (container.children.length === 0) {
+      detach(container);
+    } else if (container.children.length === 1) {
+      replaceSplitWithChildren(container);
+    }
+  }
+
+  /** After a direction change: flatten splits that now tile the same way as their parent. */
+  function flattenSameDirection(container) {
+    for (const child of [...(container?.children ?? [])]) {
+      if (child.type === 'split' && child.tilingDirection === container.tilingDirection) replaceSplitWithChildren(child);
+    }
+    const parent = parentOf(container);
+    if (container?.type === 'split' && parent && container.tilingDirection === parent.tilingDirection) {
+      replaceSplitWithChildren(container);
+    }
+  }
+
+  function wrapInSplit(window, tilingDirection) {
+    const parent = parentOf(window);
+    const split = {
+      type: 'split',
+      id: randomUUID(),
+      parentId: parent.id,
+      childFocusOrder: [window.id],
+      hasFocus: false,
+      tilingSize: window.tilingSize,
+      tilingDirection,
+      children: [window],
+    };
+    parent.children[parent.children.indexOf(window)] = split;
+    parent.childFocusOrder = (parent.childFocusOrder ?? []).map((id) => (id === window.id ? split.id : id));
+    window.parentId = split.id;
+    window.tilingSize = 1;
+    return split;
+  }
+
+  /** Deepest window reached by walking into container from the given side (GlazeWM descendant_in_direction). */
+  function descendantInDirection(container, direction) {
+    let node = container;
+    while (node?.type === 'split') {
+      const children = node.children.filter(isTiling);
+      node = node.tilingDirection === axisOfDirection(direction)
+        ? (FORWARD_DIRECTIONS.has(direction) ? children[children.length - 1] : children[0])
+        : focusedChild(node);
+    }
+    return node;
+  }
+
+  function moveWindow(window, direction) {
+    const parent = parentOf(window);
+    const axis = axisOfDirection(direction);
+    const forward = FORWARD_DIRECTIONS.has(direction);
+
+    if (parent.tilingDirection === axis) {
+      const tiling = parent.children.filter(isTiling);
+      const sibling = tiling[tiling.indexOf(window) + (forward ? 1 : -1)];
+      if (sibling?.type === 'window') {
+        const a = parent.children.indexOf(window);
+        const b = parent.children.indexOf(sibling);
+        [parent.children[a], parent.children[b]] = [sibling, window];
+        return;
+      }
+      if (sibling?.type === 'split') {
+        const target = descendantInDirection(sibling, inverseDirection(direction));
+        detach(window);
+        const targetParent = parentOf(target);
+        const matching = targetParent.tilingDirection === axis;
+        const index = targetParent.children.indexOf(target) + (forward && matching ? 0 : 1);
+        attach(window, targetParent, index);
+        return;
+      }
+    }
+
+    if (parent.type === 'workspace' && (parent.tilingDirection === axis || tilingSiblings(window).length === 0)) {
+      // No other monitor in the simulator to move to.
+      return;
+    }
+
+    let ancestorChild = parent;
+    let ancestor = parentOf(parent);
+    while (ancestor && ancestor.tilingDirection !== axis) {
+      ancestorChild = ancestor;
+      ancestor = parentOf(ancestor);
+    }
+
+    if (!ancestor) {
+      // Invert the workspace: siblings keep the old direction in a new split, window goes before/after it.
+      const ws = parent;
+      const siblings = tilingSiblings(window);
+      const siblingTotal = siblings.reduce((sum, c) => sum + (c.tilingSize ?? 0), 0) || 1;
+      const split = {
+        type: 'split',
+        id: randomUUID(),
+        parentId: ws.id,
+        childFocusOrder: siblings.map((c) => c.id),
+        hasFocus: false,
+        tilingSize: 0.5,
+        tilingDirection: ws.tilingDirection,
+        children: siblings,
+      };
+      for (const c of siblings) {
+        c.parentId = split.id;
+        c.tilingSize = (c.tilingSize ?? 0) / siblingTotal;
+      }
+      window.tilingSize = 0.5;
+      const others = ws.children.filter((c) => c !== window && !siblings.includes(c));
+      ws.children = forward ? [...others, split, window] : [...others, window, split];
+      ws.childFocusOrder = [window.id, split.id, ...others.map((c) => c.id)];
+      ws.tilingDirection = axis;
+      normalize(split);
+      return;
+    }
+
+    const index = ancestor.children.indexOf(ancestorChild);
+    detach(window);
+    attach(window, ancestor, index + (forward ? 1 : 0));
+  }
+
+  function setTilingDirection(subject, tilingDirection) {
+    let directionContainer = subject.type === 'window' ? parentOf(subject) : subject;
+    if (subject.type === 'window' && tilingSiblings(subject).length > 0) {
+      if (directionContainer.tilingDirection !== tilingDirection) directionContainer = wrapInSplit(subject, tilingDirection);
+    } else {
+      directionContainer.tilingDirection = tilingDirection;
+      flattenSameDirection(directionContainer);
+    }
+    emit({
+      eventType: WmEventType.TILING_DIRECTION_CHANGED,
+      newTilingDirection: tilingDirection,
+      directionContainer: snapshot(directionContainer),
+    });
+  }
+
+  /** Resize the subject (or the ancestor whose parent tiles along the axis) by a fraction of its parent. */
+  function resize(subject, dimension, amount) {
+    const axis = dimension === 'width' ? 'horizontal' : 'vertical';
+    let container = subject;
+    while (container && parentOf(container) && parentOf(container).tilingDirection !== axis) {
+      container = parentOf(container);
+    }
+    if (!container || !parentOf(container)) return;
+    const siblings = tilingSiblings(container);
+    if (siblings.length === 0) return;
+    const match = /^([+-]?)(\d+(?:\.\d+)?)%$/.exec(amount ?? '');
+    if (!match) throw new Error(`Invalid resize amount: ${amount}`);
+    const delta = (match[1] === '-' ? -1 : 1) * Number(match[2]) / 100;
+    const current = container.tilingSize ?? 0;
+    const target = Math.min(Math.max(current + delta, MIN_TILING_SIZE), 1 - siblings.length * MIN_TILING_SIZE);
+    container.tilingSize = target;
+    for (const s of siblings) s.tilingSize = (s.tilingSize ?? 0) - (target - current) / siblings.length;
+  }
+
+  function closeWindow(window) {
+    const ws = workspaceOf(window);
+    const parent = detach(window);
+    emit({ eventType: WmEventType.WINDOW_UNMANAGED, unmanagedId: window.id, unmanagedHandle: window.handle });
+    if (focusedId === window.id) {
+      const next = findAllWindows(parent ?? ws)[0] ?? findAllWindows(ws)[0] ?? ws;
+      if (next) focusContainer(next);
+    }
+    emitWorkspaceUpdated(ws);
+  }
+
+  /** Move a window to the end of another workspace; focus stays on the origin workspace (like GlazeWM). */
+  function moveWindowToWorkspace(window, workspaceName) {
+    const from = workspaceOf(window);
+    const target = getOrCreateWorkspace(workspaceName);
+    if (target === from) return;
+    const parent = detach(window);
+    attach(window, target, target.children.length);
+    if (focusedId === window.id) {
+      const next = findAllWindows(parent ?? from)[0] ?? findAllWindows(from)[0] ?? from;
+      if (next) focusContainer(next);
+    }
+    emitWorkspaceUpdated(target);
+  }
+
+  /**
+   * set-fullscreen / toggle-fullscreen / a fullscreen key press: only the state changes. The window keeps its
+   * place, as the phases count a fullscreen window as tiling.
+   */
+  function setFullscreen(window, on) {
+    if ((window.state?.type === 'fullscreen') === on) return;
+    if (on) {
+      window.prevState = window.state ?? null;
+      window.state = { type: 'fullscreen', maximized: false, shownOnTop: false };
+    } else {
+      window.state = window.prevState ?? { type: 'tiling' };
+      window.prevState = null;
+    }
+  }
+
+  /** set-floating / set-minimized / set-tiling: the window leaves (or rejoins) the tiling tree at workspace level. */
+  function setWindowState(window, state) {
+    if (window.state?.type === 'fullscreen') setFullscreen(window, false);
+    if ((window.state?.type ?? 'tiling') === state) return;
+    const ws = workspaceOf(window);
+    detach(window);
+    window.prevState = window.state ?? null;
+    window.state = { type: state };
+    window.displayState = state === 'minimized' ? 'hidden' : 'shown';
+    attach(window, ws, ws.children.length);
+  }
+
+  /** position --x-pos / size --width --height (pixels): move or resize a floating window's placement. */
+  function placeFloating(window, { x, y, width, height }) {
+    if ((window.state?.type ?? 'tiling') !== 'floating') throw new Error('position and size need a floating window');
+    const p = window.floatingPlacement;
+    const left = x ?? p.left;
+    const top = y ?? p.top;
+    window.floatingPlacement = {
+      left,
+      top,
+      right: left + (width ?? p.right - p.left),
+      bottom: top + (height ?? p.bottom - p.top),
+    };
+  }
+
+  function parsePixels(value) {
+    if (value == null) return undefined;
+    const match = /^(-?\d+)(px)?$/.exec(value);
+    if (!match) throw new Error(`Unsupported length: ${value} (simulator supports pixels only)`);
+    return Number(match[1]);
+  }
+
+  /** Nearest monitor in direction from the given one (by centers), or null at the edge. */
+  function monitorInDirection(monitorId, direction) {
+    const center = (m) => ({ x: m.x + m.width / 2, y: m.y + m.height / 2 });
+    const from = center(monitors.find((m) => m.id === monitorId));
+    const axis = direction === 'left' || direction === 'right' ? 'x' : 'y';
+    const other = axis === 'x' ? 'y' : 'x';
+    const sign = FORWARD_DIRECTIONS.has(direction) ? 1 : -1;
+    const candidates = monitors
+      .filter((m) => m.id !== monitorId && (center(m)[axis] - from[axis]) * sign > 0)
+      .sort((a, b) => Math.abs(center(a)[axis] - from[axis]) - Math.abs(center(b)[axis] - from[axis])
+        || Math.abs(center(a)[other] - from[other]) - Math.abs(center(b)[other] - from[other]));
+    return candidates[0] ?? null;
+  }
+
+  /** move-workspace: move a workspace to the neighbouring monitor; it stays displayed and focused there. */
+  function moveWorkspace(ws, direction) {
+    const target = monitorInDirection(ws.parentId, direction);
+    if (!target) return;
+    const from = ws.parentId;
+    ws.parentId = target.id;
+    displayedByMonitor.set(target.id, ws.id);
+    const remaining = workspaces.find((w) => w.parentId === from);
+    if (remaining) displayedByMonitor.set(from, remaining.id);
+    else displayedByMonitor.delete(from);
+    log(`Simulator: moved workspace ${ws.name} ${direction} to monitor ${target.id}`);
+  }
+
+  function emitWorkspaceUpdated(ws) {
+    if (ws) emit({ eventType: WmEventType.WORKSPACE_UPDATED, updatedWorkspace: snapshot(ws) });
+  }
+
+  function getOrCreateWorkspace(name) {
+    let ws = workspaces.find((w) => w.name === name);
+    if (!ws) {
+      ws = {
+        type: 'workspace',
+        id: randomUUID(),
+        name,
+        displayName: null,
+        parentId: focusedWorkspace()?.parentId ?? monitorIds[0],
+        childFocusOrder: [],
+        hasFocus: false,
+        isDisplayed: false,
+        tilingDirection: 'horizontal',
+        children: [],
+      };
+      workspaces.push(ws);
+      emit({ eventType: WmEventType.WORKSPACE_ACTIVATED, activatedWorkspace: snapshot(ws) });
+    }
+    return ws;
+  }
+
+  /** Copy of a container for query replies and events, with hasFocus / isDisplayed filled in. */
+  function snapshot(node) {
+    const focusedWs = focusedWorkspace();
+    const copy = structuredClone(node);
+    (function mark(n) {
+      if (n.type === 'workspace') {
+        n.hasFocus = n.id === focusedWs?.id;
+        n.isDisplayed = displayedByMonitor.get(n.parentId) === n.id;
+      } else {
+        n.hasFocus = n.id === focusedId;
+      }
+      for (const c of n.children ?? []) mark(c);
+    })(copy);
+    return copy;
+  }
+
+  function runCommand(command, subjectId) {
+    const { name, flags, positionals } = parseCommand(command);
+    const subject = subjectId ? findById(subjectId) : findById(focusedId) ?? focusedWorkspace();
+    if (!subject) throw new Error(`No container found with id ${subjectId}`);
+    const ws = workspaceOf(subject);
+
+    switch (name) {
+      case 'focus':
+        if (flags.workspace != null) {
+          const target = getOrCreateWorkspace(flags.workspace);
+          focusContainer(findContainerById(target, focusedChildWindowId(target)) ?? target);
+        } else if (flags['container-id'] != null) {
+          const target = findById(flags['container-id']);
+          if (!target) throw new Error(`No container found with id ${flags['container-id']}`);
+          focusContainer(target);
+        } else {
+          throw new Error(`Unsupported focus command: ${command}`);
+        }
+        break;
+      case 'close':
+        if (subject.type !== 'window') throw new Error('close requires a window');
+        closeWindow(subject);
+        return { subjectContainerId: subject.id };
+      case 'move':
+        if (subject.type !== 'window') throw new Error('move requires a window');
+        if (flags.workspace != null) moveWindowToWorkspace(subject, flags.workspace);
+        else if (flags.direction) moveWindow(subject, flags.direction);
+        else throw new Error(`Unsupported move command: ${command}`);
+        emit({ eventType: WmEventType.FOCUSED_CONTAINER_MOVED, focusedContainer: snapshot(subject) });
+        break;
+      case 'set-floating':
+      case 'set-minimized':
+      case 'set-tiling':
+        if (subject.type !== 'window') throw new Error(`${name} requires a window`);
+        setWindowState(subject, name.slice('set-'.length));
+        break;
+      case 'set-fullscreen':
+      case 'toggle-fullscreen':
+        if (subject.type !== 'window') throw new Error(`${name} requires a window`);
+        setFullscreen(subject, name === 'set-fullscreen' || subject.state?.type !== 'fullscreen');
+        break;
+      case 'position':
+        placeFloating(subject, { x: parsePixels(flags['x-pos']), y: parsePixels(flags['y-pos']) });
+        break;
+      case 'size':
+        placeFloating(subject, { width: parsePixels(flags.width), height: parsePixels(flags.height) });
+        break;
+      case 'move-workspace':
+        if (!flags.direction) throw new Error(`Unsupported move-workspace command: ${command}`);
+        moveWorkspace(ws, flags.direction);
+        break;
+      case 'set-tiling-direction':
+        setTilingDirection(subject, positionals[0]);
+        break;
+      case 'toggle-tiling-direction': {
+        const container = subject.type === 'window' ? parentOf(subject) : subject;
+        setTilingDirection(subject, inverseTilingDirection(container.tilingDirection));
+        break;
+      }
+      case 'resize':
+        if (flags.width != null) resize(subject, 'width', flags.width);
+        if (flags.height != null) resize(subject, 'height', flags.height);
+        break;
+      default:
+        throw new Error(`Unknown command: ${name}`);
+    }
+    emitWorkspaceUpdated(ws);
+    return { subjectContainerId: subject.id };
+  }
+
+  /** Most recently focused window in a workspace, following childFocusOrder down the tree. */
+  function focusedChildWindowId(container) {
+    let node = container;
+    while (node?.children?.length) node = focusedChild(node);
+    return node?.type === 'window' ? node.id : null;
+  }
+
+  /**
+   * Add a window to the focused workspace (after the focused window, like GlazeWM) and emit WINDOW_MANAGED.
+   * props.workspaceName puts it on that workspace instead, like an app restoring to its last workspace.
+   * props.pid is the process the window belongs to (see pidsByHandle).
+   * @param {{ title?: string, processName?: string, className?: string, workspaceName?: string, pid?: number }} props
+   * @returns {object} The managed window (snapshot)
+   */
+  function manageWindow(props = {}) {
+    const ws = props.workspaceName != null ? getOrCreateWorkspace(props.workspaceName) : focusedWorkspace();
+    const focused = findById(focusedId);
+    const monitor = monitors.find((m) => m.id === ws.parentId) ?? monitors[0];
+    const left = Math.round(monitor.x + (monitor.width - DEFAULT_FLOATING_WIDTH) / 2);
+    const top = Math.round(monitor.y + (monitor.height - DEFAULT_FLOATING_HEIGHT) / 2);
+    const window = {
+      type: 'window',
+      id: randomUUID(),
+      parentId: null,
+      hasFocus: false,
+      tilingSize: 1,
+      state: { type: 'tiling' },
+      prevState: null,
+      displayState: 'shown',
+      floatingPlacement: { left, top, right: left + DEFAULT_FLOATING_WIDTH, bottom: top + DEFAULT_FLOATING_HEIGHT },
+      handle: nextHandle++,
+      title: props.title ?? '',
+      className: props.className ?? '',
+      processName: props.processName ?? '',
+    };
+    if (props.pid != null) pidByHandle.set(window.handle, props.pid);
+    if (focused?.type === 'window' && workspaceOf(focused) === ws) {
+      const parent = parentOf(focused);
+      attach(window, parent, parent.children.indexOf(focused) + 1);
+    } else {
+      attach(window, ws, ws.children.length);
+    }
+    focusContainer(window);
+    log(`Simulator: managed ${window.title} (${window.id}) in workspace ${ws.name}`);
+    const managed = snapshot(window);
+    emit({ eventType: WmEventType.WINDOW_MANAGED, managedWindow: managed });
+    emitWorkspaceUpdated(ws);
+    return managed;
+  }
+
+  /**
+   * Simulated launch of a config window node: after launchDelayMs a window with the node's title, className
+   * and processName (default: exe basename) is managed in the focused workspace.
+   * @param {object} app - Config window node (application / path, title)
+   * @returns {number} Made-up process id of the launch; its window has this pid in pidsByHandle
+   */
+  function launch(app) {
+    const application = app?.application ?? app?.path ?? '';
+    const processName = app?.processName ?? application.split(/[\\/]/).pop().replace(/\.exe$/i, '');
+    const pid = nextPid++;
+    const props = { title: app?.title ?? app?.name ?? '', processName, className: app?.className, pid };
+    setTimeout(() => manageWindow(props), launchDelayMs);
+    return pid;
+  }
+
+  /**
+   * Simulated key press (dry-run sink). Any sequence counts as the focused app's fullscreen toggle ({F11} or a
+   * configured fullscreen key sequence); it toggles the focused window's fullscreen state.
+   * @param {string} keys - SendKeys syntax
+   */
+  function pressKeys(keys) {
+    const window = findById(focusedId);
+    if (!keys || window?.type !== 'window') return;
+    setFullscreen(window, window.state?.type !== 'fullscreen');
+    log(`Simulator: keys ${keys} toggled fullscreen of ${window.title} (${window.id})`);
+    emitWorkspaceUpdated(workspaceOf(window));
+  }
+
+  /**
+   * Handle one IPC message string, as sent by WmClient.
+   * @param {string} message - e.g. "query workspaces", "command --id <id> close", "sub --events window_managed"
+   * @param {{ subscribe: (events: string[]) => string, unsubscribe: (id: string) => void }} connection - Per-socket subscriptions
+   * @returns {{ data?: any, error?: string }}
+   */
+  function handleMessage(message, connection) {
+    try {
+      const [kind, ...rest] = message.trim().split(/\s+/);
+      if (kind === 'query') {
+        const what = rest[0];
+        if (what === 'workspaces') return { data: { workspaces: workspaces.map(snapshot) } };
+        if (what === 'windows') return { data: { windows: workspaces.flatMap((w) => findAllWindows(snapshot(w))) } };
+        if (what === 'focused') return { data: { focused: snapshot(findById(focusedId) ?? focusedWorkspace()) } };
+        if (what === 'monitors') {
+          return {
+            data: {
+              monitors: monitors.map((m) => ({
+                ...structuredClone(m),
+                hasFocus: focusedWorkspace()?.parentId === m.id,
+                children: workspaces.filter((w) => w.parentId === m.id).map(snapshot),
+              })),
+            },
+          };
+        }
+        throw new Error(`Unsupported query: ${what}`);
+      }
+      if (kind === 'command') {
+        const hasId = rest[0] === '--id';
+        return { data: runCommand((hasId ? rest.slice(2) : rest).join(' '), hasId ? rest[1] : undefined) };
+      }
+      if (kind === 'sub') {
+        return { data: { subscriptionId: connection.subscribe(rest.slice(rest.indexOf('--events') + 1)) } };
+      }
+      if (kind === 'unsub') {
+        connection.unsubscribe(rest[rest.indexOf('--id') + 1]);
+        return { data: null };
+      }
+      throw new Error(`Unknown message: ${message}`);
+    } catch (err) {
+      return { error: err?.message ?? String(err) };
+    }
+  }
+
+  return {
+    handleMessage,
+    launch,
+    pressKeys,
+    manageWindow,
+    /** Register an event listener; returns unlisten. */
+    onEvent(listener) {
+      listeners.push(listener);
+      return () => listeners.splice(listeners.indexOf(listener), 1);
+    },
+    /** Current workspaces (snapshots), same shape as the query reply. */
+    getWorkspaces() {
+      return workspaces.map(snapshot);
+    },
+    /** Window handle → process id of simulated launches, like Get-Process MainWindowHandle on Windows. */
+    pidsByHandle() {
+      return new Map(pidByHandle);
+    },
+  };
+}
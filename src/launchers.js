@@ -0,0 +1,281 @@
+/**
+ * Launchers
+ *
+ * Turn a window node's "application" into what the open phase spawns. Each launcher maps a node to a spawn
+ * spec { launcher, file, args, note } and spawns nothing itself, so the argv can be checked anywhere.
+ * The node's "launcher" field picks one by name; otherwise the first launcher in LAUNCHERS whose detect()
+ * accepts the application wins:
+ * - url: http(s):// URL, opened in the default browser by explorer.exe
+ * - protocol: other scheme: URI (steam://…, ms-settings:), opened by its handler through explorer.exe
+ * - exe: path ending in .exe, spawned directly with args (link / links through the browser adapter)
+ * - shortcut: .lnk file, opened by explorer.exe
+ * - script: .bat / .cmd file, run by cmd.exe /c with args
+ * url and protocol come first: a URI is never a file, even when it ends in .exe, .lnk or .bat.
+ * - aumid: contains "!", launched via explorer.exe shell:AppsFolder\<AUMID>
+ * - start-menu: anything else, an exact Start Menu name resolved to its AUMID (Get-StartApps, Windows)
+ * registerLauncher adds a launcher ahead of start-menu, which accepts everything.
+ *
+ * Launch options on the node (LAUNCH_OPTION_FIELDS) go into the spec's spawn options: cwd, and env merged over
+ * the parent environment; ${VAR} in cwd and env values is replaced from the parent environment. runAsAdmin and
+ * startState "minimized" wrap the spec in PowerShell Start-Process (-Verb RunAs, -WindowStyle Minimized), as
+ * spawn can do neither; the launched app's process id is then unknown, so its window is matched without it.
+ * Elevated processes do not inherit the environment, so env does not combine with runAsAdmin.
+ */
+
+import { browserArgs, linksOf } from './browsers.js';
+
+const isWindows = process.platform === 'win32';
+
+/** Scheme of a URI: two or more characters, so drive letters (C:\) are not one. */
+const URI_SCHEME = /^([a-z][a-z0-9+.-]+):/i;
+/** ${NAME} reference in cwd / env values. */
+const ENV_REFERENCE = /\$\{([^}]*)\}/g;
+/** Valid NAME inside ${...}. */
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_()]*$/;
+
+/** Window fields, besides application / args / links, that shape how the window is launched. */
+export const LAUNCH_OPTION_FIELDS = ['launcher', 'cwd', 'env', 'runAsAdmin', 'startState'];
+
+function argsOf(node) {
+  return Array.isArray(node?.args) ? [...node.args] : [];
+}
+
+function appsFolder(aumid) {
+  return { file: 'explorer.exe', args: ['shell:AppsFolder\\' + aumid] };
+}
+
+/**
+ * Launchers in detection order. A launcher has:
+ * - name: value of the node's "launcher" field
+ * - takesArgs: whether the node's args, links, cwd and env reach the launched app (false for launches handed
+ *   to explorer.exe, which starts the app from its own process)
+ * - detect(application) → boolean
+ * - spawnSpec(node, application, ctx) → { file, args, note? }; ctx: { startApps, simulated, log }
+ */
+const LAUNCHERS = [
+  {
+    name: 'url',
+    takesArgs: false,
+    detect: (application) => /^https?:\/\//i.test(application),
+    spawnSpec: (node, application) => ({ file: 'explorer.exe', args: [application], note: application }),
+  },
+  {
+    name: 'protocol',
+    takesArgs: false,
+    detect: (application) => URI_SCHEME.test(application),
+    spawnSpec: (node, application) => ({ file: 'explorer.exe', args: [application], note: `(${URI_SCHEME.exec(application)?.[1] ?? 'protocol'})` }),
+  },
+  {
+    name: 'exe',
+    takesArgs: true,
+    detect: (application) => /\.exe$/i.test(application),
+    spawnSpec(node, application, ctx) {
+      const links = linksOf(node);
+      if (links.length === 0) return { file: application, args: argsOf(node) };
+      const browser = browserArgs(node);
+      if (!browser) ctx.log(`${nameOf(node)}: ${application} is not a known browser; passing links as plain arguments`);
+      return { file: application, args: [...argsOf(node), ...(browser ?? links)], note: links.join(' ') };
+    },
+  },
+  {
+    name: 'shortcut',
+    takesArgs: false,
+    detect: (application) => /\.lnk$/i.test(application),
+    spawnSpec: (node, application) => ({ file: 'explorer.exe', args: [application], note: '(shortcut)' }),
+  },
+  {
+    name: 'script',
+    takesArgs: true,
+    detect: (application) => /\.(bat|cmd)$/i.test(application),
+    spawnSpec: (node, application) => ({ file: 'cmd.exe', args: ['/d', '/c', application, ...argsOf(node)], note: '(script)' }),
+  },
+  {
+    name: 'aumid',
+    takesArgs: false,
+    detect: (application) => application.includes('!'),
+    spawnSpec: (node, application) => ({ ...appsFolder(application), note: '(AUMID)' }),
+  },
+  {
+    name: 'start-menu',
+    takesArgs: false,
+    detect: () => true,
+    spawnSpec(node, application, ctx) {
+      if (!isWindows) {
+        if (!ctx.simulated) throw new Error(`Launch by name is Windows-only: ${nameOf(node)}`);
+        return appsFolder(application);
+      }
+      if (ctx.startApps == null) throw new Error('Start Menu apps must be loaded before launch by name');
+      const aumid = ctx.startApps[application];
+      if (aumid == null) throw new Error(`App not found: ${application}`);
+      return appsFolder(aumid);
+    },
+  },
+];
+
+/** Values of the window "launcher" field, in detection order. */
+export function launcherNames() {
+  return LAUNCHERS.map((l) => l.name);
+}
+
+/**
+ * Add a launcher. It is detected after the built-in ones that recognise a specific form and before
+ * start-menu (the catch-all); a launcher with the same name as a registered one replaces it.
+ * @param {{ name: string, takesArgs?: boolean, detect: (application: string) => boolean, spawnSpec: Function }} launcher
+ */
+export function registerLauncher(launcher) {
+  if (!launcher?.name || typeof launcher.detect !== 'function' || typeof launcher.spawnSpec !== 'function') {
+    throw new Error('A launcher needs name, detect and spawnSpec');
+  }
+  const existing = LAUNCHERS.findIndex((l) => l.name === launcher.name);
+  if (existing >= 0) LAUNCHERS[existing] = launcher;
+  else LAUNCHERS.splice(LAUNCHERS.length - 1, 0, launcher);
+}
+
+function nameOf(node) {
+  return node?.title ?? node?.name ?? 'Unknown';
+}
+
+/**
+ * Launcher for a window node: its "launcher" field, else detected from its application.
+ * @param {object} node - Config window node
+ * @returns {object|null} Launcher (see LAUNCHERS), null if the node has no application
+ * @throws if "launcher" names no registered launcher
+ */
+export function launcherFor(node) {
+  const application = node?.application ?? node?.path;
+  if (!application) return null;
+  if (node.launcher != null) {
+    const chosen = LAUNCHERS.find((l) => l.name === node.launcher);
+    if (!chosen) throw new Error(`Unknown launcher "${node.launcher}" (use ${launcherNames().join(', ')})`);
+    return chosen;
+  }
+  return LAUNCHERS.find((l) => l.detect(application));
+}
+
+/**
+ * ${VAR} references in a cwd / env value.
+ * @param {string} text
+ * @returns {{ names: string[], invalid: string[] }} names: referenced variables; invalid: ${...} that are not a
+ *   variable name, and a "${" that is never closed
+ */
+export function envReferences(text) {
+  const names = [];
+  const invalid = [];
+  const rest = String(text).replace(ENV_REFERENCE, (ref, name) => {
+    if (ENV_NAME.test(name)) names.push(name);
+    else invalid.push(ref);
+    return '';
+  });
+  if (rest.includes('${')) invalid.push(rest.slice(rest.indexOf('${')));
+  return { names, invalid };
+}
+
+/** Look up a variable the way the platform does (case-insensitive on Windows). */
+function lookupEnv(env, name) {
+  if (env[name] !== undefined || !isWindows) return env[name];
+  const key = Object.keys(env).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : env[key];
+}
+
+/**
+ * Replace ${VAR} in text from env.
+ * @param {string} text - cwd or env value
+ * @param {Record<string, string>} env - Environment to read from (the parent environment)
+ * @param {string} where - For the error, e.g. "env.PATH of Terminal"
+ * @returns {string}
+ * @throws if a variable is not set or a reference is malformed
+ */
+export function expandEnvVars(text, env, where) {
+  const { invalid } = envReferences(text);
+  if (invalid.length > 0) throw new Error(`Invalid variable reference ${invalid[0]} in ${where}`);
+  return String(text).replace(ENV_REFERENCE, (_, name) => {
+    const value = lookupEnv(env, name);
+    if (value === undefined) throw new Error(`Environment variable ${name} is not set (used in ${where})`);
+    return value;
+  });
+}
+
+/** env over parent; on Windows an override replaces the parent entry whatever its case (Path vs PATH). */
+function mergeEnv(parent, overrides) {
+  const merged = { ...parent };
+  for (const [name, value] of Object.entries(overrides)) {
+    if (isWindows) {
+      for (const key of Object.keys(merged)) if (key.toLowerCase() === name.toLowerCase()) delete merged[key];
+    }
+    merged[name] = value;
+  }
+  return merged;
+}
+
+/** Quote one argument for a Windows command line (CommandLineToArgvW rules). */
+function quoteWindowsArg(arg) {
+  const s = String(arg);
+  if (s !== '' && !/[\s"]/.test(s)) return s;
+  return `"${s.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\+)$/, '$1$1')}"`;
+}
+
+function psQuote(text) {
+  return `'${String(text).replace(/'/g, "''")}'`;
+}
+
+/** Spec that runs spec through PowerShell Start-Process, for elevation and a minimized start. */
+function viaStartProcess(spec, { cwd, runAsAdmin, minimized }) {
+  const command = [`Start-Process -FilePath ${psQuote(spec.file)}`];
+  if (spec.args.length > 0) command.push(`-ArgumentList ${psQuote(spec.args.map(quoteWindowsArg).join(' '))}`);
+  if (cwd) command.push(`-WorkingDirectory ${psQuote(cwd)}`);
+  if (runAsAdmin) command.push('-Verb RunAs');
+  if (minimized) command.push('-WindowStyle Minimized');
+  return {
+    ...spec,
+    file: 'powershell.exe',
+    args: ['-NoProfile', '-NonInteractive', '-WindowStyle', 'Hidden', '-Command', command.join(' ')],
+    options: { ...spec.options, windowsHide: true },
+  };
+}
+
+/**
+ * What to spawn for a window node. Spawns nothing.
+ * @param {object} node - Config window node (application / path, args, link / links, launcher, cwd, env,
+ *   runAsAdmin, startState)
+ * @param {{ startApps?: Record<string, string>|null, simulated?: boolean, log?: (msg: string) => void, env?: Record<string, string> }} ctx
+ *   - startApps: Start Menu name → AUMID, needed by start-menu on Windows
+ *   - simulated: the spawn is simulated (start-menu then passes the name through off Windows)
+ *   - env: parent environment (default: process.env)
+ * @returns {{ launcher: string, file: string, args: string[], options: { cwd?: string, env?: object, windowsHide?: boolean }, note?: string, optionsNote?: string }}
+ *   options: added to the spawn options; note: shown after the name in logs; optionsNote: the launch options
+ *   part of note (e.g. "[cwd C:\work; as administrator]"), which the argv alone does not show
+ * @throws for an unknown launcher, an unknown Start Menu name, or a ${VAR} that is not set
+ */
+export function spawnSpecFor(node, ctx = {}) {
+  const application = node?.application ?? node?.path;
+  const launcher = launcherFor(node);
+  if (!launcher) throw new Error(`No application for ${nameOf(node)}`);
+  const spec = { launcher: launcher.name, options: {}, ...launcher.spawnSpec(node, application, { log: () => {}, ...ctx }) };
+
+  const parentEnv = ctx.env ?? process.env;
+  const notes = [];
+  const cwd = node.cwd != null ? expandEnvVars(node.cwd, parentEnv, `cwd of ${nameOf(node)}`) : null;
+  if (cwd) {
+    spec.options.cwd = cwd;
+    notes.push(`cwd ${cwd}`);
+  }
+  const envEntries = Object.entries(node.env ?? {});
+  if (envEntries.length > 0) {
+    const overrides = Object.fromEntries(
+      envEntries.map(([name, value]) => [name, expandEnvVars(value, parentEnv, `env.${name} of ${nameOf(node)}`)]),
+    );
+    spec.options.env = mergeEnv(parentEnv, overrides);
+    notes.push(`env ${Object.keys(overrides).join(', ')}`);
+  }
+  const runAsAdmin = node.runAsAdmin === true;
+  const minimized = node.startState === 'minimized';
+  if (runAsAdmin) notes.push('as administrator');
+  if (minimized) notes.push('minimized');
+
+  const out = runAsAdmin || minimized ? viaStartProcess(spec, { cwd, runAsAdmin, minimized }) : spec;
+  if (notes.length > 0) {
+    out.optionsNote = `[${notes.join('; ')}]`;
+    out.note = [out.note, out.optionsNote].filter(Boolean).join(' ');
+  }
+  return out;
+}
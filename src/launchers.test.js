@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { envReferences, expandEnvVars, launcherFor, spawnSpecFor } from './launchers.js';
+
+const FIREFOX = 'C:\\Program Files\\Mozilla Firefox\\firefox.exe';
+const CALCULATOR = 'Microsoft.WindowsCalculator_8wekyb3d8bbwe!App';
+
+describe('spawnSpecFor argv', () => {
+  const cases = [
+    {
+      name: 'exe with args',
+      node: { application: 'C:\\Tools\\app.exe', args: ['--flag', 'x'] },
+      want: { launcher: 'exe', file: 'C:\\Tools\\app.exe', args: ['--flag', 'x'] },
+    },
+    {
+      name: 'exe browser with links',
+      node: { application: FIREFOX, links: ['https://a.example', 'https://b.example'] },
+      want: { launcher: 'exe', file: FIREFOX, args: ['-new-window', 'https://a.example', '-new-tab', 'https://b.example'] },
+    },
+    {
+      name: 'exe that is not a browser gets links as plain arguments',
+      node: { application: 'C:\\Tools\\viewer.exe', args: ['-x'], link: 'https://a.example' },
+      want: { launcher: 'exe', file: 'C:\\Tools\\viewer.exe', args: ['-x', 'https://a.example'] },
+    },
+    {
+      name: 'shortcut',
+      node: { application: 'C:\\Users\\me\\Desktop\\Notes.lnk', args: ['ignored'] },
+      want: { launcher: 'shortcut', file: 'explorer.exe', args: ['C:\\Users\\me\\Desktop\\Notes.lnk'] },
+    },
+    {
+      name: 'script',
+      node: { application: 'C:\\scripts\\dev.cmd', args: ['--watch'] },
+      want: { launcher: 'script', file: 'cmd.exe', args: ['/d', '/c', 'C:\\scripts\\dev.cmd', '--watch'] },
+    },
+    {
+      name: 'url',
+      node: { application: 'https://mail.example.com/inbox' },
+      want: { launcher: 'url', file: 'explorer.exe', args: ['https://mail.example.com/inbox'] },
+    },
+    {
+      name: 'protocol',
+      node: { application: 'ms-settings:display' },
+      want: { launcher: 'protocol', file: 'explorer.exe', args: ['ms-settings:display'] },
+    },
+    {
+      name: 'url ending in .exe is still a url',
+      node: { application: 'https://example.com/downloads/setup.exe' },
+      want: { launcher: 'url', file: 'explorer.exe', args: ['https://example.com/downloads/setup.exe'] },
+    },
+    {
+      name: 'protocol URI ending in .lnk or .bat is still a protocol',
+      node: { application: 'steam://rungameid/440/launch.bat' },
+      want: { launcher: 'protocol', file: 'explorer.exe', args: ['steam://rungameid/440/launch.bat'] },
+    },
+    {
+      name: 'AUMID',
+      node: { application: CALCULATOR },
+      want: { launcher: 'aumid', file: 'explorer.exe', args: [`shell:AppsFolder\\${CALCULATOR}`] },
+    },
+    {
+      name: 'launcher field overrides detection',
+      node: { application: 'C:\\Tools\\run.exe', launcher: 'shortcut' },
+      want: { launcher: 'shortcut', file: 'explorer.exe', args: ['C:\\Tools\\run.exe'] },
+    },
+  ];
+
+  for (const { name, node, want } of cases) {
+    it(name, () => {
+      const { launcher, file, args } = spawnSpecFor({ type: 'window', title: name, ...node }, { env: {} });
+      assert.deepEqual({ launcher, file, args }, want);
+    });
+  }
+
+  it('passes a Start Menu name through in simulated runs off Windows', { skip: process.platform === 'win32' }, () => {
+    const spec = spawnSpecFor({ application: 'WhatsApp' }, { simulated: true });
+    assert.deepEqual([spec.launcher, spec.file, spec.args], ['start-menu', 'explorer.exe', ['shell:AppsFolder\\WhatsApp']]);
+    assert.throws(() => spawnSpecFor({ application: 'WhatsApp' }), /Windows-only/);
+  });
+});
+
+describe('spawnSpecFor launch options', () => {
+  it('expands ${VAR} in cwd and env and merges env over the parent', () => {
+    const spec = spawnSpecFor(
+      { application: 'C:\\Tools\\app.exe', cwd: '${HOME}\\work', env: { MODE: 'dev', DATA: '${HOME}\\data' } },
+      { env: { HOME: 'C:\\Users\\me', PATH: 'C:\\bin' } },
+    );
+    assert.equal(spec.options.cwd, 'C:\\Users\\me\\work');
+    assert.deepEqual(spec.options.env, { HOME: 'C:\\Users\\me', PATH: 'C:\\bin', MODE: 'dev', DATA: 'C:\\Users\\me\\data' });
+    assert.match(spec.note, /\[cwd C:\\Users\\me\\work; env MODE, DATA\]/);
+  });
+
+  it('throws for a ${VAR} that is not set', () => {
+    assert.throws(() => spawnSpecFor({ title: 'App', application: 'C:\\app.exe', cwd: '${NOPE}' }, { env: {} }), /NOPE/);
+  });
+
+  it('wraps runAsAdmin and minimized starts in Start-Process', () => {
+    const spec = spawnSpecFor(
+      { application: 'C:\\Tools\\app.exe', args: ['a b'], runAsAdmin: true, startState: 'minimized', cwd: 'C:\\w' },
+      { env: {} },
+    );
+    assert.equal(spec.file, 'powershell.exe');
+    const command = spec.args.at(-1);
+    assert.equal(
+      command,
+      "Start-Process -FilePath 'C:\\Tools\\app.exe' -ArgumentList '\"a b\"' -WorkingDirectory 'C:\\w'" +
+        ' -Verb RunAs -WindowStyle Minimized',
+    );
+  });
+
+  it('rejects an unknown launcher', () => {
+    assert.throws(() => launcherFor({ application: 'x', launcher: 'nope' }), /Unknown launcher "nope"/);
+  });
+});
+
+describe('env references', () => {
+  it('lists names and invalid references', () => {
+    assert.deepEqual(envReferences('${A}\\${B_1}\\${1x}\\${open'), { names: ['A', 'B_1'], invalid: ['${1x}', '${open'] });
+  });
+
+  it('expands variables and names the field of one that is not set', () => {
+    assert.equal(expandEnvVars('${USERPROFILE}\\x', { USERPROFILE: 'C:\\Users\\me' }, 'cwd'), 'C:\\Users\\me\\x');
+    assert.throws(() => expandEnvVars('${NOPE}', {}, 'env.X of App'), /NOPE is not set \(used in env.X of App\)/);
+  });
+
+  it('looks variables up case-insensitively on Windows only', () => {
+    const expand = () => expandEnvVars('${userprofile}', { USERPROFILE: 'C:\\Users\\me' }, 'cwd');
+    if (process.platform === 'win32') assert.equal(expand(), 'C:\\Users\\me');
+    else assert.throws(expand, /userprofile is not set/);
+  });
+});
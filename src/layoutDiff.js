@@ -0,0 +1,170 @@
+/**
+ * Layout diff
+ *
+ * Compares a config workspace with the live one for verify and lists every difference, not just the first.
+ * Both sides are reduced to their split tree (tilingWindowsOnly / tilingTreeOf) and children are paired by
+ * position. Differences ("check"):
+ * - structure: a node on one side only, or different node types
+ * - direction: tiling direction of the workspace or a split
+ * - window: another window than the configured one sits in a slot (matched as in layout, matchWindows)
+ * - ratio: a child's share of its parent off by more than TOLERANCE_RATIO (want vs got; want from configRatios)
+ * - missing / extra: config windows with no live window, live windows the config does not have
+ * formatDiffTree prints the two trees side by side; the diff object itself is plain JSON.
+ */
+
+import { matchWorkspaceWindows, tilingWindowsOnly } from './matchWindows.js';
+import { flattenApplications, tilingTreeOf } from './parseWorkspace.js';
+
+/** Very tight tolerance for tiling_size ratio (aim for near-perfect match). */
+export const TOLERANCE_RATIO = 0.002;
+/** Longest window title shown in the ASCII tree. */
+const MAX_LABEL_TITLE = 40;
+
+/**
+ * Shares of its parent that config children should get: their tilingSize (0.5 if unset), scaled to sum 1.
+ * Validation lets sizes sum to a little off 1 (RATIO_SUM_TOLERANCE in validateConfig.js), more than TOLERANCE_RATIO.
+ * @param {object[]} children - Config children of one container
+ * @returns {number[]}
+ */
+export function configRatios(children) {
+  const sizes = children.map((c) => c?.tilingSize ?? c?.tiling_size ?? 0.5);
+  const total = sizes.reduce((a, b) => a + b, 0);
+  return total > 0 ? sizes.map((size) => size / total) : sizes;
+}
+
+function kindOf(node) {
+  if (node?.type === 'window' || node?.type === 'split') return node.type;
+  return 'workspace';
+}
+
+function directionOf(node) {
+  const fallback = kindOf(node) === 'workspace' ? 'horizontal' : 'vertical';
+  return (node?.tiling_direction ?? node?.tilingDirection ?? fallback).toLowerCase();
+}
+
+/** { type, title } for a window, { type, direction } (and name for a workspace) for a container. */
+function describe(node) {
+  const type = kindOf(node);
+  if (type === 'window') return { type, title: node.title ?? node.name ?? 'Unknown' };
+  return { type, ...(type === 'workspace' ? { name: node.name } : {}), direction: directionOf(node) };
+}
+
+function label(described) {
+  if (described.type === 'window') return `"${described.title}"`;
+  return `${described.type}${described.name != null ? ` ${described.name}` : ''} ${described.direction}`;
+}
+
+function childPath(path, i) {
+  return path ? `${path}.children[${i}]` : `children[${i}]`;
+}
+
+/**
+ * Diff node for a config node and the live node in the same position (either may be missing).
+ * Descendants of an unpaired node or of a type mismatch are listed, but not reported again.
+ */
+function diffNode(want, have, path, ctx, paired, ratio = null) {
+  const node = { path, config: want ? describe(want) : null, live: have ? describe(have) : null, problems: [], children: [] };
+  if (ratio) node.ratio = ratio;
+  const problem = (check, message, extra = {}) => {
+    node.problems.push({ check, message, ...extra });
+    ctx.differences.push({ path, check, message, ...extra });
+  };
+
+  const sameType = want && have && node.config.type === node.live.type;
+  if (paired) {
+    if (!have) problem('structure', `config has ${label(node.config)}, live has nothing`);
+    else if (!want) problem('structure', `live has ${label(node.live)}, config has nothing`);
+    else if (!sameType) problem('structure', `type: want ${node.config.type}, got ${node.live.type}`);
+    else if (node.config.type !== 'window' && node.config.direction !== node.live.direction) {
+      problem('direction', `tiling direction: want ${node.config.direction}, got ${node.live.direction}`);
+    } else if (node.config.type === 'window' && ctx.liveByNode.get(want)?.id !== have.id) {
+      problem('window', `want ${label(node.config)}, got ${label(node.live)}`);
+    }
+  }
+  if (ratio && Math.abs(ratio.want - ratio.got) > TOLERANCE_RATIO) {
+    problem('ratio', `ratio: want ${(ratio.want * 100).toFixed(2)}%, got ${(ratio.got * 100).toFixed(2)}%`, ratio);
+  }
+
+  const wantChildren = want && kindOf(want) !== 'window' ? want.children ?? [] : [];
+  const haveChildren = have && kindOf(have) !== 'window' ? have.children ?? [] : [];
+  const pairChildren = paired && sameType;
+  const compareRatios = pairChildren && wantChildren.length === haveChildren.length;
+  const total = haveChildren.reduce((s, c) => s + (c?.tilingSize ?? 0), 0) || 1;
+  const wantRatios = compareRatios ? configRatios(wantChildren) : [];
+
+  for (let i = 0; i < Math.max(wantChildren.length, haveChildren.length); i++) {
+    const ratio = compareRatios ? { want: wantRatios[i], got: (haveChildren[i]?.tilingSize ?? 0) / total } : null;
+    node.children.push(diffNode(wantChildren[i], haveChildren[i], childPath(path, i), ctx, pairChildren, ratio));
+  }
+  return node;
+}
+
+/**
+ * Diff a config workspace against the live workspace.
+ * @param {object} workspaceConfig - Config workspace node (skipped windows already left out)
+ * @param {object} liveWorkspace - Workspace from query
+ * @returns {{ workspace: string, tree: object, missing: string[], extra: string[], differences: Array<{ path: string, check: string, message: string, want?: number, got?: number }> }}
+ *   tree: one node per position, { path, config, live, ratio?, problems, children }; missing / extra: window titles;
+ *   differences: every problem in the tree plus missing / extra, in tree order (empty if the layout matches)
+ */
+export function diffWorkspace(workspaceConfig, liveWorkspace) {
+  const wsName = workspaceConfig?.name;
+  const tiled = tilingWindowsOnly(workspaceConfig);
+  const tilingWs = tilingTreeOf(liveWorkspace);
+  const { windows } = matchWorkspaceWindows(tiled, tilingWs);
+  const liveByNode = new Map(flattenApplications(tiled).map((node, i) => [node, windows[i]]));
+
+  const ctx = { liveByNode, differences: [] };
+  const tree = diffNode(tiled, tilingWs, wsName, ctx, true);
+
+  const apps = flattenApplications(workspaceConfig);
+  const all = matchWorkspaceWindows(workspaceConfig, liveWorkspace);
+  const missing = apps.filter((_, i) => !all.windows[i]).map((app) => app.title ?? app.name ?? 'Unknown');
+  const extra = all.unmatchedWindows.map((w) => w.title ?? w.id);
+  for (const title of missing) ctx.differences.push({ path: wsName, check: 'missing', message: `window "${title}" is not open` });
+  for (const title of extra) ctx.differences.push({ path: wsName, check: 'extra', message: `window "${title}" is not in config` });
+
+  return { workspace: wsName, tree, missing, extra, differences: ctx.differences };
+}
+
+function shorten(text) {
+  return text.length > MAX_LABEL_TITLE ? `${text.slice(0, MAX_LABEL_TITLE - 1)}…` : text;
+}
+
+function sideLabel(described, ratio) {
+  if (!described) return '';
+  const text = described.type === 'window' ? `"${shorten(described.title)}"` : label(described);
+  return ratio != null ? `${text} ${(ratio * 100).toFixed(2)}%` : text;
+}
+
+/**
+ * Side-by-side ASCII tree of a diff: config on the left, live on the right, problems at the end of the row.
+ * Row markers: "!" problem, "-" config only, "+" live only.
+ * @param {object} diff - From diffWorkspace
+ * @returns {string}
+ */
+export function formatDiffTree(diff) {
+  const rows = [];
+  const walk = (node, prefix, branch) => {
+    const marker = node.problems.length > 0 ? '!' : !node.live ? '-' : !node.config ? '+' : ' ';
+    rows.push({
+      marker,
+      left: node.config ? prefix + branch + sideLabel(node.config, node.ratio?.want) : '',
+      right: node.live ? prefix + branch + sideLabel(node.live, node.ratio?.got) : '',
+      note: node.problems.map((p) => p.message).join('; '),
+    });
+    const childPrefix = prefix + (branch === '├─ ' ? '│  ' : branch === '└─ ' ? '   ' : '');
+    node.children.forEach((child, i) => walk(child, childPrefix, i === node.children.length - 1 ? '└─ ' : '├─ '));
+  };
+  walk(diff.tree, '', '');
+
+  const width = Math.max('config'.length, ...rows.map((r) => r.left.length));
+  const liveWidth = Math.max('live'.length, ...rows.map((r) => r.right.length));
+  const lines = [`  ${'config'.padEnd(width)} │ live`];
+  for (const { marker, left, right, note } of rows) {
+    lines.push(`${marker} ${left.padEnd(width)} │ ${note ? `${right.padEnd(liveWidth)}  ${note}` : right}`.trimEnd());
+  }
+  if (diff.missing.length > 0) lines.push(`Missing (in config, not open): ${diff.missing.map((t) => `"${t}"`).join(', ')}`);
+  if (diff.extra.length > 0) lines.push(`Extra (open, not in config): ${diff.extra.map((t) => `"${t}"`).join(', ')}`);
+  return lines.join('\n');
+}
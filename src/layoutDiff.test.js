@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { verifyWorkspaceLayout } from './applyLayout.js';
+import { configRatios, diffWorkspace, formatDiffTree, TOLERANCE_RATIO } from './layoutDiff.js';
+
+/** Config window matched by exact title and process. */
+const want = (title, tilingSize, fields = {}) =>
+  ({ type: 'window', title, processName: title.toLowerCase(), tilingSize, ...fields });
+/** Live window as "query workspaces" returns it. */
+const live = (title, tilingSize, state = 'tiling') =>
+  ({ type: 'window', id: `id-${title}`, title, processName: title.toLowerCase(), tilingSize, state: { type: state } });
+const split = (tilingDirection, tilingSize, children) => ({ type: 'split', tilingDirection, tilingSize, children });
+const workspace = (children, tilingDirection = 'horizontal') => ({ type: 'workspace', name: '1', tilingDirection, children });
+
+const checks = (diff) => diff.differences.map((d) => `${d.check} ${d.path}`);
+
+describe('diffWorkspace', () => {
+  const config = workspace([want('A', 0.5), split('vertical', 0.5, [want('B', 0.5), want('C', 0.5)])]);
+
+  it('finds nothing when structure, windows and ratios match', () => {
+    const diff = diffWorkspace(config, workspace([live('A', 1), split('vertical', 1, [live('B', 1), live('C', 1)])]));
+    assert.deepEqual(diff.differences, []);
+    assert.deepEqual([diff.missing, diff.extra], [[], []]);
+  });
+
+  it('reports a flat live workspace against a config split as structure', () => {
+    const diff = diffWorkspace(config, workspace([live('A', 1), live('B', 1), live('C', 1)]));
+    assert.deepEqual(checks(diff), ['structure 1.children[1]', 'structure 1.children[2]']);
+    assert.match(diff.differences[0].message, /type: want split, got window/);
+    assert.match(diff.differences[1].message, /live has "C", config has nothing/);
+  });
+
+  it('reports direction and a different window in a slot', () => {
+    const diff = diffWorkspace(config, workspace([live('A', 1), split('horizontal', 1, [live('B', 1), live('C', 1)])]));
+    assert.deepEqual(checks(diff), ['direction 1.children[1]']);
+
+    const swapped = diffWorkspace(config, workspace([live('A', 1), split('vertical', 1, [live('C', 1), live('B', 1)])]));
+    assert.deepEqual(checks(swapped), ['window 1.children[1].children[0]', 'window 1.children[1].children[1]']);
+    assert.equal(swapped.differences[0].message, 'want "B", got "C"');
+  });
+
+  it('reports ratios off by more than TOLERANCE_RATIO with want and got', () => {
+    const off = 0.5 + TOLERANCE_RATIO * 2;
+    const diff = diffWorkspace(config, workspace([live('A', off), split('vertical', 1 - off, [live('B', 1), live('C', 1)])]));
+    assert.deepEqual(checks(diff), ['ratio 1.children[0]', 'ratio 1.children[1]']);
+    assert.equal(diff.differences[0].want, 0.5);
+    assert.ok(Math.abs(diff.differences[0].got - off) < 1e-12);
+
+    const near = 0.5 + TOLERANCE_RATIO / 2;
+    const within = diffWorkspace(config, workspace([live('A', near), split('vertical', 1 - near, [live('B', 1), live('C', 1)])]));
+    assert.deepEqual(within.differences, []);
+  });
+
+  it('compares ratios against config sizes scaled to sum 1', () => {
+    assert.deepEqual(configRatios([{ tilingSize: 0.375 }, { tilingSize: 0.125 }]), [0.75, 0.25]);
+    assert.deepEqual(configRatios([{}, {}, {}]), [1 / 3, 1 / 3, 1 / 3]);
+    const config = workspace([want('A', 0.6), want('B', 0.395)]);
+    const diff = diffWorkspace(config, workspace([live('A', 0.6 / 0.995), live('B', 0.395 / 0.995)]));
+    assert.deepEqual(diff.differences, []);
+  });
+
+  it('lists missing and extra windows', () => {
+    const diff = diffWorkspace(workspace([want('A', 0.5), want('B', 0.5)]), workspace([live('A', 0.5), live('D', 0.5)]));
+    assert.deepEqual(diff.missing, ['B']);
+    assert.deepEqual(diff.extra, ['D']);
+    assert.deepEqual(checks(diff).slice(-2), ['missing 1', 'extra 1']);
+  });
+
+  it('leaves floating windows out of the tree on both sides', () => {
+    const floatingConfig = workspace([want('A', 1), want('F', null, { state: 'floating' })]);
+    assert.deepEqual(diffWorkspace(floatingConfig, workspace([live('A', 1), live('F', null, 'floating')])).differences, []);
+
+    const tiled = diffWorkspace(floatingConfig, workspace([live('A', 0.5), live('F', 0.5)]));
+    assert.deepEqual(checks(tiled), ['structure 1.children[1]']);
+  });
+});
+
+describe('verifyWorkspaceLayout window states', () => {
+  it('reports a window in another state than configured', async () => {
+    const config = workspace([want('A', 1), want('M', null, { state: 'minimized' })]);
+    const result = await verifyWorkspaceLayout(null, config, workspace([live('A', 1), live('M', null, 'floating')]));
+    assert.deepEqual(result.structure, []);
+    assert.deepEqual(result.states, [{ title: 'M', message: 'state: want minimized, got floating' }]);
+  });
+});
+
+describe('formatDiffTree', () => {
+  it('prints config and live side by side with the problems', () => {
+    const config = workspace([want('A', 0.5), want('B', 0.5)]);
+    const text = formatDiffTree(diffWorkspace(config, workspace([live('A', 0.5), live('C', 0.25), live('D', 0.25)])));
+    assert.equal(text, [
+      '  config                 │ live',
+      '  workspace 1 horizontal │ workspace 1 horizontal',
+      '  ├─ "A"                 │ ├─ "A"',
+      '! ├─ "B"                 │ ├─ "C"                  want "B", got "C"',
+      '!                        │ └─ "D"                  live has "D", config has nothing',
+      'Missing (in config, not open): "B"',
+      'Extra (open, not in config): "C", "D"',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Match config window nodes to live GlazeWM windows by identity.
+ * Shared by the layout and fullscreen phases instead of pairing by flatten index.
+ *
+ * Each (config node, live window) pair is scored from:
+ * - the window id recorded by the open phase (recordOpenedWindow); it overrides the other fields
+ * - processName (node.processName, or the .exe basename of application)
+ * - className (node.className)
+ * - title (node.titlePattern regex, or exact node.title, else the browser's title suffix for link windows; see browsers.js)
+ * Pairs are then assigned greedily by score; ties fall back to flatten order so the mapping is stable.
+ */
+
+import { browserTitleSuffix, titleHasSuffix } from './browsers.js';
+import { findAllWindows, flattenApplications, isNonTilingWindow } from './parseWorkspace.js';
+
+const SCORE_OPENED_ID = 100;
+const SCORE_PROCESS_NAME = 10;
+const SCORE_TITLE_PATTERN = 8;
+const SCORE_TITLE_EXACT = 6;
+const SCORE_CLASS_NAME = 5;
+const SCORE_TITLE_SUFFIX = 2;
+
+/** Config node → { windowId, status } from the open phase; status is 'opened', 'placeholder' or 'skipped'. */
+const openOutcomes = new WeakMap();
+
+/**
+ * Remember which window the open phase got for a config node, so later phases match it first.
+ * @param {object} node - Config window node
+ * @param {string} windowId - Live window id
+ * @param {'opened'|'placeholder'} status - placeholder: a stand-in window, not the app (fullscreen skips it)
+ */
+export function recordOpenedWindow(node, windowId, status = 'opened') {
+  if (node && windowId) openOutcomes.set(node, { windowId, status });
+}
+
+/**
+ * Remember that the open phase gave up on a config node, so layout leaves it out (see withoutSkippedWindows).
+ * @param {object} node - Config window node
+ */
+export function recordSkippedWindow(node) {
+  if (node) openOutcomes.set(node, { windowId: null, status: 'skipped' });
+}
+
+/**
+ * What the open phase recorded for a config node in this run.
+ * @param {object} node - Config window node
+ * @returns {'opened'|'placeholder'|'skipped'|null} null if the open phase did not run for it
+ */
+export function openStatusOf(node) {
+  return openOutcomes.get(node)?.status ?? null;
+}
+
+/**
+ * Config workspace (or split) without the windows the open phase skipped. Splits left with one child are
+ * replaced by it (taking the split's tilingSize), empty splits are dropped, sibling sizes are rescaled to sum 1.
+ * Window nodes that need a new tilingSize are copied with their open outcome, so opened window ids still match them.
+ * @param {object} container - Config workspace or split node
+ * @returns {object} The container itself if nothing was skipped, else a pruned copy
+ */
+export function withoutSkippedWindows(container) {
+  return withoutWindows(container, (node) => openStatusOf(node) === 'skipped');
+}
+
+/**
+ * Config workspace (or split) reduced to its split tree: without skipped windows (see withoutSkippedWindows)
+ * and without windows whose state is floating or minimized.
+ * @param {object} container - Config workspace or split node
+ * @returns {object} The container itself if nothing was left out, else a pruned copy
+ */
+export function tilingWindowsOnly(container) {
+  return withoutWindows(container, (node) => openStatusOf(node) === 'skipped' || isNonTilingWindow(node));
+}
+
+/** Container without the window nodes drop() returns true for; see withoutSkippedWindows. */
+function withoutWindows(container, drop) {
+  if (!flattenApplications(container).some(drop)) return container;
+
+  const prune = (node) => {
+    if (node?.type === 'window') return drop(node) ? null : node;
+    if (node?.type !== 'split') return node;
+    const children = (node.children ?? []).map(prune).filter(Boolean);
+    if (children.length === 0) return null;
+    if (children.length === 1) return withTilingSize(children[0], node.tilingSize ?? node.tiling_size);
+    return { ...node, children: rescaleSizes(children) };
+  };
+  const children = (container.children ?? []).map(prune).filter(Boolean);
+  return { ...container, children: rescaleSizes(children) };
+}
+
+/** Copy of a node with another tilingSize; a window copy keeps its open outcome. */
+function withTilingSize(node, tilingSize) {
+  const copy = { ...node, tilingSize };
+  delete copy.tiling_size;
+  if (openOutcomes.has(node)) openOutcomes.set(copy, openOutcomes.get(node));
+  return copy;
+}
+
+/** Rescale tilingSize of siblings so they sum to 1 (only if every sibling has one). */
+function rescaleSizes(children) {
+  const sizes = children.map((c) => c?.tilingSize ?? c?.tiling_size);
+  const total = sizes.reduce((a, b) => a + (b ?? 0), 0);
+  if (sizes.some((s) => typeof s !== 'number') || total <= 0 || Math.abs(total - 1) < 1e-9) return children;
+  return children.map((c, i) => withTilingSize(c, sizes[i] / total));
+}
+
+/**
+ * Process name a config node is expected to have: explicit processName, else the .exe basename of application.
+ * @returns {{ name: string, explicit: boolean }|null}
+ */
+function expectedProcessName(node) {
+  if (node?.processName) return { name: node.processName.toLowerCase(), explicit: true };
+  const application = node?.application ?? node?.path ?? '';
+  if (!/\.exe$/i.test(application)) return null;
+  return { name: application.split(/[\\/]/).pop().replace(/\.exe$/i, '').toLowerCase(), explicit: false };
+}
+
+/**
+ * Score a live window against a config node. Returns null when an explicit field rules the window out.
+ * @param {object} node - Config window node
+ * @param {object} window - Live window from query
+ * @returns {number|null}
+ */
+export function scoreWindow(node, window) {
+  let score = 0;
+
+  const opened = openOutcomes.get(node);
+  if (opened?.windowId != null && opened.windowId === window?.id) return SCORE_OPENED_ID;
+
+  const process = expectedProcessName(node);
+  const liveProcess = (window?.processName ?? '').toLowerCase();
+  if (process && liveProcess) {
+    if (process.name === liveProcess) score += SCORE_PROCESS_NAME;
+    else if (process.explicit) return null;
+  }
+
+  if (node?.className && window?.className) {
+    if (node.className === window.className) score += SCORE_CLASS_NAME;
+    else return null;
+  }
+
+  const title = window?.title ?? '';
+  if (node?.titlePattern) {
+    if (new RegExp(node.titlePattern).test(title)) score += SCORE_TITLE_PATTERN;
+  } else if (node?.title && node.title === title) {
+    score += SCORE_TITLE_EXACT;
+  } else {
+    const suffix = browserTitleSuffix(node);
+    if (suffix && titleHasSuffix(title, suffix)) score += SCORE_TITLE_SUFFIX;
+  }
+
+  return score;
+}
+
+/**
+ * Whether a live window is this node's window by more than its process: the id the open phase recorded,
+ * the node's className, or its titlePattern / exact title. A shared process name or browser title suffix
+ * alone is not enough (any Firefox window has both).
+ * @param {object} node - Config window node
+ * @param {object} window - Live window from query
+ * @returns {boolean}
+ */
+export function identifiesWindow(node, window) {
+  if (scoreWindow(node, window) == null) return false;
+  const opened = openOutcomes.get(node);
+  if (opened?.windowId != null && opened.windowId === window?.id) return true;
+  if (node?.className && node.className === window?.className) return true;
+  const title = window?.title ?? '';
+  if (node?.titlePattern) return new RegExp(node.titlePattern).test(title);
+  return Boolean(node?.title) && node.title === title;
+}
+
+/**
+ * Match config window nodes to live windows.
+ * @param {object[]} applications - Config window nodes (e.g. flattenApplications(workspaceConfig))
+ * @param {object[]} liveWindows - Live windows (e.g. findAllWindows(liveWorkspace))
+ * @param {{ score?: (node: object, window: object) => number|null }} opts - score: pair scorer (default scoreWindow); null rules a pair out
+ * @returns {{ windows: Array<object|null>, ambiguous: Array<{ node: object, candidates: object[] }>, unmatchedWindows: object[] }}
+ *   windows[i] is the live window for applications[i] (null if none); ambiguous lists nodes whose best score
+ *   was shared by several windows; unmatchedWindows are live windows no node claimed.
+ */
+export function matchWindows(applications, liveWindows, opts = {}) {
+  const scorePair = opts.score ?? scoreWindow;
+  const scores = applications.map((node) => liveWindows.map((window) => scorePair(node, window)));
+  const pairs = [];
+  scores.forEach((row, i) => row.forEach((score, j) => {
+    if (score != null) pairs.push({ i, j, score });
+  }));
+  pairs.sort((a, b) => b.score - a.score || Math.abs(a.i - a.j) - Math.abs(b.i - b.j) || a.i - b.i || a.j - b.j);
+
+  const assigned = applications.map(() => -1);
+  const owner = liveWindows.map(() => -1);
+  for (const { i, j } of pairs) {
+    if (assigned[i] >= 0 || owner[j] >= 0) continue;
+    assigned[i] = j;
+    owner[j] = i;
+  }
+
+  // Ambiguous: another window scored the same for this node and was not claimed by a better-scoring node.
+  const ambiguous = [];
+  assigned.forEach((j, i) => {
+    if (j < 0) return;
+    const score = scores[i][j];
+    const rivals = liveWindows.filter((_, k) => k !== j && scores[i][k] === score
+      && (owner[k] < 0 || scores[owner[k]][k] <= score));
+    if (rivals.length > 0) ambiguous.push({ node: applications[i], candidates: [liveWindows[j], ...rivals] });
+  });
+
+  return {
+    windows: assigned.map((j) => (j >= 0 ? liveWindows[j] : null)),
+    ambiguous,
+    unmatchedWindows: liveWindows.filter((_, j) => owner[j] < 0),
+  };
+}
+
+/**
+ * Match a config workspace's windows against a live workspace and log ambiguities and misses.
+ * @param {object} workspaceConfig - Config workspace node
+ * @param {object} liveWorkspace - Workspace from query
+ * @param {{ log?: (msg: string) => void }} opts
+ * @returns {{ windows: Array<object|null>, ambiguous: object[], unmatchedWindows: object[] }} See matchWindows
+ */
+export function matchWorkspaceWindows(workspaceConfig, liveWorkspace, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const applications = flattenApplications(workspaceConfig);
+  const result = matchWindows(applications, findAllWindows(liveWorkspace));
+  const wsName = workspaceConfig?.name;
+
+  for (const { node, candidates } of result.ambiguous) {
+    const titles = candidates.map((w) => `"${w.title ?? w.id}"`).join(', ');
+    log(`Workspace ${wsName}: ambiguous match for ${node?.title ?? node?.name ?? 'Unknown'} (${titles}); using config order`);
+  }
+  result.windows.forEach((window, i) => {
+    if (!window) log(`Workspace ${wsName}: no window matches ${applications[i]?.title ?? applications[i]?.name ?? 'Unknown'}`);
+  });
+  return result;
+}
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  identifiesWindow,
+  matchWindows,
+  openStatusOf,
+  recordOpenedWindow,
+  recordSkippedWindow,
+  scoreWindow,
+  withoutSkippedWindows,
+} from './matchWindows.js';
+
+const FIREFOX = 'C:\\Program Files\\Mozilla Firefox\\firefox.exe';
+const firefoxNode = (fields) => ({ type: 'window', path: FIREFOX, ...fields });
+const firefoxWindow = (id, title) => ({ type: 'window', id, title, processName: 'firefox' });
+
+describe('scoreWindow', () => {
+  it('scores the process from the .exe basename', () => {
+    assert.equal(scoreWindow(firefoxNode({}), firefoxWindow('a', 'Mozilla Firefox')), 10);
+    assert.equal(scoreWindow(firefoxNode({}), { id: 'b', title: 'x', processName: 'chrome' }), 0);
+  });
+
+  it('rules a window out on an explicit processName or className that differs', () => {
+    assert.equal(scoreWindow({ processName: 'Code' }, { processName: 'slack' }), null);
+    assert.equal(scoreWindow({ className: 'Chrome_WidgetWin_1' }, { className: 'MozillaWindowClass' }), null);
+  });
+
+  it('adds the title evidence on top of the process', () => {
+    const window = firefoxWindow('a', 'Inbox | Proton Mail — Mozilla Firefox');
+    assert.equal(scoreWindow(firefoxNode({ titlePattern: '^Inbox' }), window), 18);
+    assert.equal(scoreWindow(firefoxNode({ title: window.title }), window), 16);
+    assert.equal(scoreWindow(firefoxNode({ title: 'Proton', link: 'https://proton.me' }), window), 12);
+  });
+
+  it('prefers the window the open phase recorded', () => {
+    const node = firefoxNode({ title: 'Other' });
+    recordOpenedWindow(node, 'opened-id');
+    assert.equal(scoreWindow(node, firefoxWindow('opened-id', 'Mozilla Firefox')), 100);
+  });
+});
+
+describe('matchWindows', () => {
+  it('lets a title regex pick between windows of the same process', () => {
+    const nodes = [firefoxNode({ titlePattern: '^Inbox' }), firefoxNode({ titlePattern: '^Messenger' })];
+    const live = [firefoxWindow('m', 'Messenger — Mozilla Firefox'), firefoxWindow('i', 'Inbox — Mozilla Firefox')];
+    const { windows, ambiguous } = matchWindows(nodes, live);
+    assert.deepEqual(windows.map((w) => w.id), ['i', 'm']);
+    assert.deepEqual(ambiguous, []);
+  });
+
+  it('breaks ties by config order and reports them as ambiguous', () => {
+    const nodes = [firefoxNode({}), firefoxNode({})];
+    const live = [firefoxWindow('a', 'One'), firefoxWindow('b', 'Two')];
+    const { windows, ambiguous } = matchWindows(nodes, live);
+    assert.deepEqual(windows.map((w) => w.id), ['a', 'b']);
+    assert.equal(ambiguous.length, 2);
+    assert.deepEqual(ambiguous[0].candidates.map((w) => w.id), ['a', 'b']);
+  });
+
+  it('does not report a tie when the rival went to a better-scoring node', () => {
+    const nodes = [firefoxNode({}), firefoxNode({ titlePattern: 'Two' })];
+    const live = [firefoxWindow('a', 'One'), firefoxWindow('b', 'Two')];
+    const { windows, ambiguous } = matchWindows(nodes, live);
+    assert.deepEqual(windows.map((w) => w.id), ['a', 'b']);
+    assert.deepEqual(ambiguous, []);
+  });
+
+  it('returns leftover live windows and null for nodes without a window', () => {
+    const nodes = [{ processName: 'Code' }, { processName: 'slack' }];
+    const live = [{ id: 'c', processName: 'Code' }, { id: 'x', processName: 'notepad' }];
+    const { windows, unmatchedWindows } = matchWindows(nodes, live);
+    assert.deepEqual(windows.map((w) => w?.id ?? null), ['c', null]);
+    assert.deepEqual(unmatchedWindows.map((w) => w.id), ['x']);
+  });
+
+  it('uses a custom scorer and leaves out pairs it rules out', () => {
+    const nodes = [firefoxNode({})];
+    const live = [firefoxWindow('a', 'One'), firefoxWindow('b', 'Two')];
+    const { windows } = matchWindows(nodes, live, { score: (_, w) => (w.id === 'a' ? null : 1) });
+    assert.equal(windows[0].id, 'b');
+  });
+});
+
+describe('identifiesWindow', () => {
+  it('does not count the process name or browser suffix alone', () => {
+    const node = firefoxNode({ title: 'Inbox', link: 'https://mail.example.com' });
+    assert.equal(identifiesWindow(node, firefoxWindow('a', 'Other — Mozilla Firefox')), false);
+  });
+
+  it('counts the recorded id, className and title', () => {
+    const recorded = firefoxNode({});
+    recordOpenedWindow(recorded, 'r');
+    assert.equal(identifiesWindow(recorded, firefoxWindow('r', 'x')), true);
+    assert.equal(identifiesWindow({ className: 'C' }, { id: 'a', className: 'C' }), true);
+    assert.equal(identifiesWindow(firefoxNode({ titlePattern: 'Inbox' }), firefoxWindow('a', 'Inbox')), true);
+    assert.equal(identifiesWindow(firefoxNode({ title: 'Inbox' }), firefoxWindow('a', 'Inbox')), true);
+  });
+});
+
+describe('withoutSkippedWindows', () => {
+  it('drops skipped windows, collapses single-child splits and rescales sizes', () => {
+    const kept = { type: 'window', title: 'Kept', tilingSize: 0.5 };
+    const skipped = { type: 'window', title: 'Skipped', tilingSize: 0.5 };
+    const solo = { type: 'window', title: 'Solo', tilingSize: 0.25 };
+    const workspace = {
+      name: '1',
+      children: [{ type: 'split', tilingSize: 0.75, children: [kept, skipped] }, solo],
+    };
+    recordSkippedWindow(skipped);
+    recordOpenedWindow(kept, 'k');
+
+    const pruned = withoutSkippedWindows(workspace);
+    assert.equal(openStatusOf(skipped), 'skipped');
+    assert.deepEqual(pruned.children.map((c) => [c.title, c.tilingSize]), [['Kept', 0.75], ['Solo', 0.25]]);
+    assert.equal(scoreWindow(pruned.children[0], { id: 'k' }), 100);
+  });
+
+  it('returns the workspace itself when nothing was skipped', () => {
+    const workspace = { name: '1', children: [{ type: 'window', title: 'A' }] };
+    assert.equal(withoutSkippedWindows(workspace), workspace);
+  });
+});
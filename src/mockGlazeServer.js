@@ -0,0 +1,73 @@
+/**
+ * Mock GlazeWM IPC server
+ *
+ * Serves a glazeSimulator over the same WebSocket protocol GlazeWM uses, so an unmodified WmClient
+ * (new WmClient({ port })) can connect to it: client_response replies keyed by clientMessage, and
+ * event_subscription messages keyed by subscriptionId.
+ */
+
+import { randomUUID } from 'crypto';
+import { WebSocketServer } from 'ws';
+
+/** Default port for the mock server; GlazeWM itself listens on 6123. */
+export const MOCK_SERVER_PORT = 6124;
+
+/**
+ * Start a WebSocket server that answers WmClient messages from the simulator.
+ * @param {object} simulator - From createSimulator()
+ * @param {{ port?: number, log?: (msg: string) => void }} opts
+ * @returns {Promise<{ port: number, close: () => Promise<void> }>}
+ */
+export async function startMockServer(simulator, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const server = new WebSocketServer({ port: opts.port ?? MOCK_SERVER_PORT, host: 'localhost' });
+
+  await new Promise((resolve, reject) => {
+    server.once('listening', resolve);
+    server.once('error', reject);
+  });
+
+  server.on('connection', (socket) => {
+    const subscriptions = new Map();
+    const send = (message) => socket.send(JSON.stringify(message));
+
+    const unlisten = simulator.onEvent((event) => {
+      for (const [subscriptionId, events] of subscriptions) {
+        if (events.includes('all') || events.includes(event.eventType)) {
+          send({ messageType: 'event_subscription', subscriptionId, data: event, error: null, success: true });
+        }
+      }
+    });
+
+    const connection = {
+      subscribe(events) {
+        const subscriptionId = randomUUID();
+        subscriptions.set(subscriptionId, events);
+        return subscriptionId;
+      },
+      unsubscribe(subscriptionId) {
+        subscriptions.delete(subscriptionId);
+      },
+    };
+
+    socket.on('message', (raw) => {
+      const clientMessage = raw.toString();
+      const { data = null, error = null } = simulator.handleMessage(clientMessage, connection);
+      if (error) log(`Mock server: "${clientMessage}" failed: ${error}`);
+      send({ messageType: 'client_response', clientMessage, data, error, success: !error });
+    });
+    socket.on('close', unlisten);
+  });
+
+  const { port } = server.address();
+  log(`Mock GlazeWM server listening on port ${port}`);
+
+  return {
+    port,
+    close: () =>
+      new Promise((resolve) => {
+        for (const socket of server.clients) socket.terminate();
+        server.close(() => resolve());
+      }),
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Monitors
+ *
+ * Config workspaces can name the monitor they belong on ("monitor": { index, deviceName, resolution }).
+ * Monitors are indexed left to right, then top to bottom, by their position. A spec is resolved against
+ * the connected monitors by deviceName first, then by resolution (index breaks ties), then by index, so
+ * a config keeps working when device names change after a driver update or docking.
+ *
+ * Before open and layout, placeWorkspacesOnMonitors moves each configured workspace to its monitor with
+ * move-workspace --direction, one neighbouring monitor at a time.
+ */
+
+import { sinkFor } from './commandSink.js';
+import { focusWorkspace } from './glazeCommon.js';
+
+/**
+ * Monitors sorted left to right, then top to bottom; the array index is the config "index".
+ * @param {object[]} monitors - From "query monitors"
+ * @returns {object[]}
+ */
+export function sortMonitors(monitors) {
+  return [...(monitors ?? [])].sort((a, b) => (a.x ?? 0) - (b.x ?? 0) || (a.y ?? 0) - (b.y ?? 0));
+}
+
+function resolutionOf(monitor) {
+  return monitor?.width && monitor?.height ? `${monitor.width}x${monitor.height}` : null;
+}
+
+/**
+ * Config "monitor" entry for a live monitor.
+ * @param {object} monitor - From "query monitors"
+ * @param {object[]} monitors - All monitors (for the index)
+ * @returns {{ index: number, deviceName?: string, resolution?: string }}
+ */
+export function describeMonitor(monitor, monitors) {
+  const out = { index: sortMonitors(monitors).findIndex((m) => m.id === monitor.id) };
+  if (monitor.deviceName) out.deviceName = monitor.deviceName;
+  const resolution = resolutionOf(monitor);
+  if (resolution) out.resolution = resolution;
+  return out;
+}
+
+/**
+ * Map each workspace name to the config "monitor" entry of the monitor it is on.
+ * @param {object[]} monitors - From "query monitors" (children are workspaces)
+ * @returns {Map<string, object>}
+ */
+export function workspaceMonitors(monitors) {
+  const map = new Map();
+  for (const monitor of monitors ?? []) {
+    for (const ws of monitor.children ?? []) {
+      if (ws?.name) map.set(ws.name, describeMonitor(monitor, monitors));
+    }
+  }
+  return map;
+}
+
+/**
+ * Find the live monitor for a config "monitor" entry.
+ * @param {{ index?: number, deviceName?: string, resolution?: string }} spec
+ * @param {object[]} monitors - From "query monitors"
+ * @returns {object|null} null if no connected monitor fits
+ */
+export function resolveMonitor(spec, monitors) {
+  const sorted = sortMonitors(monitors);
+  if (spec?.deviceName) {
+    const byName = sorted.find((m) => m.deviceName === spec.deviceName);
+    if (byName) return byName;
+  }
+  if (spec?.resolution) {
+    const byResolution = sorted.filter((m) => resolutionOf(m) === spec.resolution);
+    if (byResolution.length === 1) return byResolution[0];
+    if (byResolution.length > 1) return byResolution.find((m) => sorted.indexOf(m) === spec.index) ?? byResolution[0];
+  }
+  if (Number.isInteger(spec?.index)) return sorted[spec.index] ?? null;
+  return null;
+}
+
+/** Short label for logs, e.g. "monitor 1 (\\.\DISPLAY2, 2560x1440)". */
+export function formatMonitor(monitor, monitors) {
+  const { index, deviceName, resolution } = describeMonitor(monitor, monitors);
+  const details = [deviceName, resolution].filter(Boolean).join(', ');
+  return `monitor ${index}${details ? ` (${details})` : ''}`;
+}
+
+/** move-workspace direction that brings a workspace on `from` closer to `to` (by monitor centers). */
+function directionTowards(from, to) {
+  const dx = (to.x + to.width / 2) - (from.x + from.width / 2);
+  const dy = (to.y + to.height / 2) - (from.y + from.height / 2);
+  if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? 'right' : 'left';
+  return dy > 0 ? 'down' : 'up';
+}
+
+/**
+ * Monitor a workspace is on.
+ * @param {object[]} monitors - From "query monitors" (children are workspaces)
+ * @param {string} workspaceName
+ * @returns {object|null}
+ */
+export function monitorOfWorkspace(monitors, workspaceName) {
+  return monitors.find((m) => (m.children ?? []).some((w) => w?.name === workspaceName)) ?? null;
+}
+
+/**
+ * Make sure every config workspace with a "monitor" is shown on that monitor, moving it across monitors if
+ * needed. Monitors that are not connected are logged and their workspaces left where they are.
+ * Throws if a workspace does not reach its monitor.
+ *
+ * @param {object} client - Connected WmClient
+ * @param {object} config - Loaded config (workspaces[].monitor)
+ * @param {{ log?: (msg: string) => void, sink?: object }} opts
+ */
+export async function placeWorkspacesOnMonitors(client, config, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const sink = sinkFor(client, opts);
+  const bound = (config?.workspaces ?? []).filter((ws) => ws?.name && ws.monitor);
+  if (bound.length === 0) return;
+
+  log('--- Placing workspaces on monitors ---');
+
+  for (const ws of bound) {
+    let { monitors } = await client.queryMonitors();
+    const target = resolveMonitor(ws.monitor, monitors);
+    if (!target) {
+      log(`Workspace ${ws.name}: monitor ${JSON.stringify(ws.monitor)} not connected; leaving it where it is`);
+      continue;
+    }
+
+    let current = monitorOfWorkspace(monitors, ws.name);
+    if (current?.id === target.id) {
+      log(`Workspace ${ws.name}: already on ${formatMonitor(target, monitors)}`);
+      continue;
+    }
+
+    await focusWorkspace(client, ws.name, opts);
+    for (let step = 0; step < monitors.length; step++) {
+      ({ monitors } = await client.queryMonitors());
+      current = monitorOfWorkspace(monitors, ws.name);
+      if (!current || current.id === target.id) break;
+      const direction = directionTowards(current, target);
+      log(`Workspace ${ws.name}: moving ${direction} from ${formatMonitor(current, monitors)} towards ${formatMonitor(target, monitors)}`);
+      await sink.runCommand(`move-workspace --direction ${direction}`);
+    }
+
+    ({ monitors } = await client.queryMonitors());
+    if (monitorOfWorkspace(monitors, ws.name)?.id !== target.id) {
+      throw new Error(`Workspace "${ws.name}" could not be moved to ${formatMonitor(target, monitors)}`);
+    }
+  }
+}
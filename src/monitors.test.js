@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { startDryRun } from './dryRun.js';
+import { createClient } from './glazeCommon.js';
+import { monitorOfWorkspace, placeWorkspacesOnMonitors, resolveMonitor } from './monitors.js';
+
+const monitor = (id, x, width, height, deviceName, workspaceNames = []) => ({
+  type: 'monitor',
+  id,
+  x,
+  y: 0,
+  width,
+  height,
+  deviceName,
+  children: workspaceNames.map((name) => ({
+    type: 'workspace',
+    id: `ws-${name}`,
+    name,
+    tilingDirection: 'horizontal',
+    children: [],
+  })),
+});
+
+/** Listed out of position order on purpose: the index counts left to right. */
+const monitors = [
+  monitor('right', 4480, 1920, 1080, '\\\\.\\DISPLAY3', ['3']),
+  monitor('left', 0, 1920, 1080, '\\\\.\\DISPLAY1', ['1', '4']),
+  monitor('middle', 1920, 2560, 1440, '\\\\.\\DISPLAY2', ['2']),
+];
+
+describe('resolveMonitor', () => {
+  const cases = [
+    ['device name first', { index: 0, deviceName: '\\\\.\\DISPLAY3', resolution: '2560x1440' }, 'right'],
+    ['unique resolution for an unknown name', { index: 0, deviceName: 'gone', resolution: '2560x1440' }, 'middle'],
+    ['index among monitors of the same resolution', { index: 2, deviceName: 'gone', resolution: '1920x1080' }, 'right'],
+    ['first of that resolution when the index is another one', { index: 1, resolution: '1920x1080' }, 'left'],
+    ['index when no monitor has the resolution', { index: 1, resolution: '3840x2160' }, 'middle'],
+    ['index alone, left to right', { index: 2 }, 'right'],
+    ['nothing for an index past the last monitor', { index: 3 }, null],
+    ['nothing for an empty spec', {}, null],
+  ];
+
+  for (const [name, spec, want] of cases) {
+    it(name, () => assert.equal(resolveMonitor(spec, monitors)?.id ?? null, want));
+  }
+});
+
+describe('placeWorkspacesOnMonitors on the simulator', () => {
+  it('moves workspaces monitor by monitor to the one their spec resolves to', async () => {
+    const dry = await startDryRun({ data: { monitors: structuredClone(monitors) } }, { print: () => {}, port: 0 });
+    const client = await createClient({ port: dry.port });
+    const logged = [];
+    try {
+      const config = {
+        workspaces: [
+          { name: '1', monitor: { index: 2, deviceName: 'renamed', resolution: '1920x1080' }, children: [] },
+          { name: '2', monitor: { index: 1, deviceName: '\\\\.\\DISPLAY2' }, children: [] },
+          { name: '4', monitor: { deviceName: 'unplugged', resolution: '1280x1024' }, children: [] },
+        ],
+      };
+      await placeWorkspacesOnMonitors(client, config, { sink: dry.sink, log: (msg) => logged.push(msg) });
+
+      const { monitors: live } = await client.queryMonitors();
+      const monitorOf = (name) => monitorOfWorkspace(live, name)?.id;
+      assert.deepEqual(['1', '2', '3', '4'].map(monitorOf), ['right', 'middle', 'right', 'left']);
+      assert.deepEqual(dry.sink.plan.filter((line) => line.includes('move-workspace')), [
+        'command move-workspace --direction right',
+        'command move-workspace --direction right',
+      ]);
+      assert.ok(logged.includes('Workspace 2: already on monitor 1 (\\\\.\\DISPLAY2, 2560x1440)'));
+      const unplugged = JSON.stringify(config.workspaces[2].monitor);
+      assert.ok(logged.includes(`Workspace 4: monitor ${unplugged} not connected; leaving it where it is`));
+    } finally {
+      await client.closeConnection();
+      await dry.close();
+    }
+  });
+});
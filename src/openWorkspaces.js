@@ -3,15 +3,36 @@
  *
  * Opens applications defined in config for each workspace:
  * focus workspace, spawn each app, wait for window via WINDOW_MANAGED (per-window timeout).
- * Config uses "application": exe path (.exe), AUMID (contains !), or exact Start Menu display name (Windows).
+ * A matching window that appears on another workspace or monitor is moved to the configured one.
+ * With open.concurrency > 1 in config, up to that many apps (across workspaces) are launched at once;
+ * each managed window is attributed to the launch that spawned it (PID, process name, title) and moved
+ * to its workspace if it landed elsewhere.
+ * Records each new window id (recordOpenedWindow) so later phases match it to its config node.
+ * A window with config "ready" is waited for until its probes pass (readiness.js) before the next launch.
+ * Config uses "application": exe path, shortcut, script, URL, protocol URI, AUMID or exact Start Menu display name
+ * (Windows); launchers.js turns it into what is spawned.
  */
 
-import { spawn } from 'child_process';
 import { WmEventType } from 'glazewm';
-import { delay, focusWorkspace } from './glazeCommon.js';
+import { sinkFor } from './commandSink.js';
+import { focusWorkspace, runPowerShellJson } from './glazeCommon.js';
+import { spawnSpecFor } from './launchers.js';
+import { recordOpenedWindow, recordSkippedWindow, scoreWindow } from './matchWindows.js';
 import { findAllWindows, flattenApplications } from './parseWorkspace.js';
+import { recordWindowManaged, waitForReady } from './readiness.js';
 
+/** Default per-window timeout (config: timeoutMs on the window or in open). */
 const PER_WINDOW_TIMEOUT_MS = 60_000;
+/** Default extra launch attempts after a failure (config: retries). */
+const DEFAULT_RETRIES = 0;
+/** Default when all attempts fail (config: onFailure): abort the open phase. */
+const DEFAULT_ON_FAILURE = 'abort';
+/** Title of the stand-in window opened for onFailure "placeholder". */
+const PLACEHOLDER_TITLE_PREFIX = 'Placeholder: ';
+/** Default for config open.concurrency: one app at a time. */
+const DEFAULT_OPEN_CONCURRENCY = 1;
+/** Added to a window's match score when its process is the one the launch spawned. */
+const SCORE_PID = 1000;
 
 const isWindows = process.platform === 'win32';
 
@@ -26,133 +47,298 @@ async function getStartAppsDict() {
   if (!isWindows) return null;
   if (startAppsDict !== null) return startAppsDict;
 
-  const cmd = '[Console]::OutputEncoding = [System.Text.Encoding]::UTF8; Get-StartApps | ConvertTo-Json';
-  const child = spawn('powershell', ['-NoProfile', '-NonInteractive', '-WindowStyle', 'Hidden', '-Command', cmd], {
-    windowsHide: true,
-    stdio: ['ignore', 'pipe', 'pipe'],
-  });
+  const arr = await runPowerShellJson('Get-StartApps | ConvertTo-Json');
+  startAppsDict = {};
+  for (const item of arr ?? []) {
+    const name = item?.Name ?? item?.name;
+    const appId = item?.AppId ?? item?.AppID ?? item?.appId;
+    if (name != null && appId != null) {
+      startAppsDict[String(name).trim()] = String(appId).trim();
+    }
+  }
+  return startAppsDict;
+}
 
-  const chunks = [];
-  child.stdout?.on('data', (chunk) => chunks.push(chunk));
-  const stderr = [];
-  child.stderr?.on('data', (chunk) => stderr.push(chunk));
+/**
+ * Resolve application to a spawn spec (launchers.js), spawn it through the sink. Handles child.on('error') via opts.onSpawnError and child.unref().
+ * For by-name launch on non-Windows, throws (a simulated sink gets the name in place of the AUMID). For by-name when app not found, throws.
+ * Caller should pass onSpawnError so spawn errors reject a promise and the wrapper can restore workspace.
+ * @param {object} app - Config node with application, title/name, args, link / links (opened by the browser adapter, see browsers.js), launcher, etc.
+ * @param {{ log: (msg: string) => void, client: object, sink?: object, onSpawnError?: (err: Error) => void }} opts
+ * @returns {object} Spawned child (child.pid is the simulator's made-up pid for simulated launches)
+ */
+function launchApplication(app, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const onSpawnError = opts.onSpawnError;
+  const sink = sinkFor(opts.client, opts);
+  const application = app?.application ?? app?.path;
+  const name = app?.title ?? app?.name ?? 'Unknown';
 
-  try {
-    await new Promise((resolve, reject) => {
-      child.on('error', reject);
-      child.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`PowerShell exit ${code}`))));
-    });
-  } catch (_) {
-    startAppsDict = {};
-    return startAppsDict;
+  if (!application || application === 'FILL ME IN') {
+    throw new Error(`No application for ${name}`);
   }
 
-  let raw = Buffer.concat(chunks).toString('utf-8').trim();
-  if (raw.charCodeAt(0) === 0xfeff) raw = raw.slice(1);
-  try {
-    const parsed = JSON.parse(raw);
-    const arr = Array.isArray(parsed) ? parsed : parsed ? [parsed] : [];
-    startAppsDict = {};
-    for (const item of arr) {
-      const name = item?.Name ?? item?.name;
-      const appId = item?.AppId ?? item?.AppID ?? item?.appId;
-      if (name != null && appId != null) {
-        startAppsDict[String(name).trim()] = String(appId).trim();
-      }
-    }
-  } catch (_) {
-    startAppsDict = {};
-  }
-  return startAppsDict;
+  const spec = spawnSpecFor(app, { startApps: startAppsDict, simulated: sink.simulated, log });
+  log(`Opening: ${name}${spec.note ? ' ' + spec.note : ''}`);
+  const options = { detached: true, stdio: 'ignore', shell: false, ...spec.options };
+  const child = sink.spawn(spec.file, spec.args, options, app, spec.optionsNote);
+  child.on('error', (err) => {
+    const msg = err?.message ?? String(err);
+    log(`Failed to open ${name}: ${msg}`);
+    onSpawnError?.(err);
+  });
+  child.unref();
+  return child;
 }
 
 /**
- * Wait for one new window in the workspace (id not in previousIds) via WINDOW_MANAGED subscription.
- * Resolves with window id when a managed window belongs to wsName and is not in previousIds; null on timeout.
+ * Map of top-level window handle → process id, from Get-Process MainWindowHandle. Windows only.
+ * @returns {Promise<Map<number, number>>}
+ */
+async function getPidsByWindowHandle() {
+  const arr = await runPowerShellJson(
+    "Get-Process | Where-Object { $_.MainWindowHandle -ne 0 } | Select-Object Id, @{ Name = 'Handle'; Expression = { [int64]$_.MainWindowHandle } } | ConvertTo-Json",
+  );
+  return new Map((arr ?? []).map((p) => [Number(p?.Handle), Number(p?.Id)]));
+}
+
+/**
+ * Score a managed window against a pending launch: SCORE_PID if its process is the spawned child,
+ * plus scoreWindow (process name, class, title). null if the window is ruled out: scoreWindow rules it out
+ * and the PID doesn't match, or it is on another workspace than the launch's and nothing identifies it.
+ */
+function scoreLaunch(launch, window, workspaceName, pidByHandle) {
+  let score = scoreWindow(launch.app, window);
+  if (launch.pid != null && pidByHandle?.get(window?.handle) === launch.pid) score = SCORE_PID + (score ?? 0);
+  if (workspaceName !== launch.workspaceName && !(score > 0)) return null;
+  return score;
+}
+
+/**
+ * Attribute newly managed windows to pending launches. Subscribes to WINDOW_MANAGED once; each window
+ * goes to the best-scoring pending launch (ties: the oldest), on any workspace or monitor. Windows no
+ * pending launch accepts are logged and ignored. PIDs come from Windows, or from the sink in a dry run.
  * @param {object} client - WmClient
- * @param {string} workspaceName - Target workspace name
- * @param {string[]} previousIds - Window ids to ignore
- * @returns {Promise<string|null>} New window id or null
+ * @param {{ log?: (msg: string) => void, sink?: object }} opts
+ * @returns {Promise<{ expect: (app: object, workspaceName: string, timeoutMs?: number) => object, close: () => Promise<void> }>}
+ *   expect: register a launch before spawning (set .pid after); its .window resolves with
+ *   { window, workspaceName } (where the window landed), or null on timeout or cancel()
  */
-async function waitForOneNewWindow(client, workspaceName, previousIds) {
-  const seen = new Set(previousIds);
-  let resolveWait;
-  const waitPromise = new Promise((resolve) => {
-    resolveWait = resolve;
-  });
+export async function createWindowAttributor(client, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const { workspaces } = await client.queryWorkspaces();
+  const seen = new Set((workspaces ?? []).flatMap(findAllWindows).map((w) => w?.id));
+  const pending = [];
+  let queue = Promise.resolve();
 
-  const handler = async (event) => {
-    const id = event?.managedWindow?.id;
-    if (!id || seen.has(id)) return;
+  const attribute = async (window) => {
+    if (pending.length === 0) {
+      log(`Window not attributed to any launch: ${window.title ?? 'Unknown'} (id: ${window.id})`);
+      return;
+    }
     const { workspaces } = await client.queryWorkspaces();
-    const ws = workspaces?.find((w) => w?.name === workspaceName);
-    if (!ws) return;
-    const windows = findAllWindows(ws);
-    const inWorkspace = windows.some((w) => w?.id === id);
-    if (inWorkspace) resolveWait(id);
+    const workspaceName = workspaces?.find((w) => findAllWindows(w).some((c) => c?.id === window.id))?.name ?? null;
+    const lookupPids = opts.sink?.simulated ? opts.sink.pidsByHandle : isWindows ? getPidsByWindowHandle : null;
+    const pidByHandle = lookupPids && pending.some((l) => l.pid != null) ? await lookupPids() : null;
+    const best = pending
+      .map((launch, order) => ({ launch, order, score: scoreLaunch(launch, window, workspaceName, pidByHandle) }))
+      .filter((c) => c.score != null)
+      .sort((a, b) => b.score - a.score || a.order - b.order)[0];
+    if (!best) {
+      log(`Window not attributed to any launch: ${window.title ?? 'Unknown'} (id: ${window.id}, workspace ${workspaceName})`);
+      return;
+    }
+    pending.splice(pending.indexOf(best.launch), 1);
+    best.launch.resolve({ window, workspaceName });
+  };
+
+  const unlisten = await client.subscribe(WmEventType.WINDOW_MANAGED, (event) => {
+    const window = event?.managedWindow;
+    if (!window?.id || seen.has(window.id)) return;
+    seen.add(window.id);
+    queue = queue.then(() => attribute(window)).catch((err) => log(`Attributing window ${window.id}: ${err?.message ?? err}`));
+  });
+
+  return {
+    expect(app, workspaceName, timeoutMs = PER_WINDOW_TIMEOUT_MS) {
+      const launch = { app, workspaceName, pid: undefined, resolve: null };
+      const managed = new Promise((resolve) => {
+        launch.resolve = resolve;
+      });
+      pending.push(launch);
+      let timer;
+      const timedOut = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), timeoutMs);
+      });
+      const window = Promise.race([managed, timedOut]).finally(() => {
+        clearTimeout(timer);
+        const i = pending.indexOf(launch);
+        if (i >= 0) pending.splice(i, 1);
+      });
+      return Object.assign(launch, { window, cancel: () => launch.resolve(null) });
+    },
+    close: unlisten,
+  };
+}
+
+/**
+ * Failure policy for a window node: its own timeoutMs / retries / onFailure, else config.open's, else defaults.
+ * @returns {{ timeoutMs: number, retries: number, onFailure: 'abort'|'skip'|'placeholder' }}
+ */
+function openPolicyFor(app, config) {
+  const defaults = config?.open ?? {};
+  return {
+    timeoutMs: app?.timeoutMs ?? defaults.timeoutMs ?? PER_WINDOW_TIMEOUT_MS,
+    retries: app?.retries ?? defaults.retries ?? DEFAULT_RETRIES,
+    onFailure: app?.onFailure ?? defaults.onFailure ?? DEFAULT_ON_FAILURE,
   };
+}
 
-  const unlisten = await client.subscribe(WmEventType.WINDOW_MANAGED, handler);
+/**
+ * Spawn a stand-in console window titled after the app, for onFailure "placeholder". It holds the app's
+ * place in the layout; fullscreen skips it.
+ * @param {object} node - Window node for the placeholder ({ type: 'window', title }), used to attribute it
+ * @param {{ log: (msg: string) => void, client: object, sink?: object, onSpawnError?: (err: Error) => void }} opts
+ * @returns {object} Spawned child
+ */
+function launchPlaceholder(node, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const title = node.title;
+  log(`Opening placeholder: ${title}`);
+  const child = sinkFor(opts.client, opts).spawn(
+    'conhost.exe',
+    ['powershell.exe', '-NoLogo', '-NoExit', '-Command', `$Host.UI.RawUI.WindowTitle = '${title.replace(/'/g, "''")}'`],
+    { detached: true, stdio: 'ignore', shell: false },
+    node,
+  );
+  child.on('error', (err) => {
+    log(`Failed to open ${title}: ${err?.message ?? err}`);
+    opts.onSpawnError?.(err);
+  });
+  child.unref();
+  return child;
+}
 
+/**
+ * One launch attempt: register with the attributor, spawn, wait up to timeoutMs.
+ * @param {object} node - Window node the new window is attributed to
+ * @param {(spawn: () => object) => Promise<object>} startLaunch - Runs spawn (e.g. after focusing the workspace)
+ * @param {(onSpawnError: (err: Error) => void) => object} spawnChild - Spawns the process, returns the child
+ * @returns {Promise<{ window: object, workspaceName: string|null }>} Throws on spawn error or timeout
+ */
+async function launchAndWait(node, wsName, timeoutMs, attributor, startLaunch, spawnChild) {
+  const launch = attributor.expect(node, wsName, timeoutMs);
+  let rejectLaunch;
+  const launchFailed = new Promise((_, rej) => {
+    rejectLaunch = rej;
+  });
+  let managed;
   try {
-    return await Promise.race([waitPromise, delay(PER_WINDOW_TIMEOUT_MS).then(() => null)]);
+    launch.pid = (await startLaunch(() => spawnChild((err) => rejectLaunch(err))))?.pid;
+    managed = await Promise.race([launch.window, launchFailed]);
   } finally {
-    await unlisten();
+    launch.cancel();
   }
+  if (managed == null) throw new Error(`Timed out waiting for window in ${wsName} (${node?.title ?? node?.name ?? 'Unknown'})`);
+  return managed;
 }
 
 /**
- * Resolve application (exe / AUMID / name), spawn process. Handles child.on('error') via opts.onSpawnError and child.unref().
- * For by-name launch on non-Windows, throws. For by-name when app not found, throws.
- * Caller should pass onSpawnError so spawn errors reject a promise and the wrapper can restore workspace.
- * @param {object} app - Config node with application, title/name, args, link, etc.
- * @param {{ log: (msg: string) => void, onSpawnError?: (err: Error) => void }} opts
+ * Launch one app and wait for its window, retrying per its policy. A window that appeared on another
+ * workspace or monitor (restored to its last workspace, or focus moved meanwhile) is moved to wsName with
+ * "move --workspace". When all attempts fail, onFailure decides: abort (throw), skip (layout leaves the
+ * window out) or placeholder (a stand-in window takes its place). A window whose "ready" probes time out
+ * aborts the same way; with skip or placeholder it is kept and the error goes into the summary.
+ * @param {object} client - WmClient
+ * @param {object} app - Config window node
+ * @param {string} wsName - Configured workspace
+ * @param {object} attributor - From createWindowAttributor
+ * @param {(spawn: () => object) => Promise<object>} startLaunch - Runs spawn (launchApplication or a placeholder),
+ *   resolves with the child; the concurrent mode focuses the workspace first
+ * @param {{ log: (msg: string) => void, sink?: object, config?: object, alreadyOpen?: Set<object> }} opts
+ *   - alreadyOpen: config nodes whose window is already open (reconcile); they are not launched
+ * @returns {Promise<{ status: string, attempts: number, error?: string }>} Outcome for the summary; throws when aborting
  */
-function launchApplication(app, opts = {}) {
+async function openApp(client, app, wsName, attributor, startLaunch, opts = {}) {
   const log = opts.log ?? (() => {});
-  const onSpawnError = opts.onSpawnError;
   const application = app?.application ?? app?.path;
   const name = app?.title ?? app?.name ?? 'Unknown';
-
+  if (opts.alreadyOpen?.has(app)) return { status: 'kept', attempts: 0 };
   if (!application || application === 'FILL ME IN') {
-    throw new Error(`No application for ${name}`);
+    log(`Skipping ${name}: no application`);
+    recordSkippedWindow(app);
+    return { status: 'skipped', attempts: 0, error: 'no application' };
   }
 
-  let child;
-  if (application.endsWith('.exe')) {
-    const baseArgs = Array.isArray(app?.args) ? [...app.args] : [];
-    let args = baseArgs;
-    if (app?.link) {
-      args = [...baseArgs, '-new-window'];
-      args.push(app.link);
+  const policy = openPolicyFor(app, opts.config);
+  const started = Date.now();
+  const launchFields = (result, extra) => ({
+    workspace: wsName, windowTitle: name, action: 'launch', durationMs: Date.now() - started, result, attempts, ...extra,
+  });
+  let managed = null;
+  let error = null;
+  let attempts = 0;
+  while (managed == null && attempts <= policy.retries) {
+    attempts++;
+    if (attempts > 1) log(`Retrying ${name} (attempt ${attempts} of ${policy.retries + 1})`);
+    try {
+      managed = await launchAndWait(app, wsName, policy.timeoutMs, attributor, startLaunch, (onSpawnError) =>
+        launchApplication(app, { ...opts, onSpawnError }));
+    } catch (err) {
+      error = err?.message ?? String(err);
+      log(error);
     }
-    log(`Opening: ${name}${app?.link ? ' ' + app.link : ''}`);
-    child = spawn(application, args, { detached: true, stdio: 'ignore', shell: false });
-  } else if (application.includes('!')) {
-    log(`Opening: ${name} (AUMID)`);
-    child = spawn('explorer.exe', ['shell:AppsFolder\\' + application], { detached: true, stdio: 'ignore', shell: false });
-  } else {
-    if (!isWindows) {
-      throw new Error(`Launch by name is Windows-only: ${name}`);
+  }
+
+  let status = attempts > 1 ? 'retried' : 'opened';
+  if (managed == null) {
+    if (policy.onFailure === 'skip') {
+      log(`Skipping ${name} after ${attempts} attempt(s)`, launchFields('skipped', { error }));
+      recordSkippedWindow(app);
+      return { status: 'skipped', attempts, error };
     }
-    const dict = startAppsDict;
-    if (dict == null) {
-      throw new Error('getStartAppsDict must be called before launch by name');
+    if (policy.onFailure !== 'placeholder') {
+      log(`Giving up on ${name} after ${attempts} attempt(s)`, launchFields('failed', { error }));
+      throw Object.assign(new Error(error), { attempts });
     }
-    const aumid = dict[application];
-    if (aumid == null) {
-      throw new Error(`App not found: ${application}`);
+    const placeholder = { type: 'window', title: `${PLACEHOLDER_TITLE_PREFIX}${name}` };
+    try {
+      managed = await launchAndWait(placeholder, wsName, policy.timeoutMs, attributor, startLaunch, (onSpawnError) =>
+        launchPlaceholder(placeholder, { ...opts, onSpawnError }));
+    } catch (err) {
+      log(`Placeholder for ${name} failed: ${err?.message ?? err}; skipping`, launchFields('skipped', { error }));
+      recordSkippedWindow(app);
+      return { status: 'skipped', attempts, error };
     }
-    log(`Opening: ${name}`);
-    child = spawn('explorer.exe', ['shell:AppsFolder\\' + aumid], { detached: true, stdio: 'ignore', shell: false });
+    status = 'placeholder';
   }
 
-  child.on('error', (err) => {
-    const msg = err?.message ?? String(err);
-    log(`Failed to open ${name}: ${msg}`);
-    onSpawnError?.(err);
-  });
-  child.unref();
+  const { window, workspaceName } = managed;
+  recordOpenedWindow(app, window.id, status === 'placeholder' ? 'placeholder' : 'opened');
+  recordWindowManaged(app, window.id, window.title);
+  const fields = launchFields(status, status === 'placeholder' ? { error } : {});
+  // With ready probes, the launch result (fields) is logged once, after they pass or fail.
+  const awaitsReady = status !== 'placeholder' && app?.ready != null;
+  log(`${name}: window ${window.id} after ${fields.durationMs} ms (${status})`, awaitsReady ? undefined : fields);
+  if (workspaceName != null && workspaceName !== wsName) {
+    log(`Moving ${name} (id: ${window.id}) from workspace ${workspaceName} to ${wsName}`);
+    await sinkFor(client, opts).runCommand('move --workspace ' + wsName, window.id);
+  }
+  if (awaitsReady) {
+    try {
+      await waitForReady(client, app, window.id, opts);
+    } catch (err) {
+      error = err?.message ?? String(err);
+      if (policy.onFailure === 'abort') {
+        log(error, { ...fields, result: 'failed', error });
+        throw Object.assign(new Error(error), { attempts });
+      }
+      log(`${error}; carrying on`, { ...fields, error });
+      return { status, attempts, error };
+    }
+    log(`${name}: ready (${status})`, fields);
+  }
+  return { status, attempts, ...(status === 'placeholder' ? { error } : {}) };
 }
 
 /**
@@ -160,10 +346,11 @@ function launchApplication(app, opts = {}) {
  * Does not collect fullscreen ids; use getFullscreenWindowIdsForWorkspace after all workspaces are open.
  * @param {object} client - WmClient
  * @param {object} workspace - Config workspace node (name, children / flattenApplications)
- * @param {{ log: (msg: string) => void, client: object, originalWorkspace: string|null }} opts
+ * @param {object} attributor - From createWindowAttributor
+ * @param {object[]} outcomes - Summary rows are pushed here (see formatOpenSummary)
+ * @param {{ log: (msg: string) => void, client: object, originalWorkspace: string|null, sink?: object, config: object }} opts
  */
-async function openAppsInWorkspace(client, workspace, opts = {}) {
-  const log = opts.log ?? (() => {});
+async function openAppsInWorkspace(client, workspace, attributor, outcomes, opts = {}) {
   const wsName = workspace?.name;
   const applications = flattenApplications(workspace);
   if (!wsName || applications.length === 0) return;
@@ -171,48 +358,92 @@ async function openAppsInWorkspace(client, workspace, opts = {}) {
   await focusWorkspace(client, wsName, opts);
 
   for (const app of applications) {
-    const application = app?.application ?? app?.path;
-    const name = app?.title ?? app?.name ?? 'Unknown';
-
-    if (!application || application === 'FILL ME IN') {
-      log(`Skipping ${name}: no application`);
-      continue;
-    }
-
-    const { workspaces } = await client.queryWorkspaces();
-    const ws = workspaces?.find((w) => w?.name === wsName);
-    const previousIds = ws ? findAllWindows(ws).map((w) => w.id).filter(Boolean) : [];
-
-    let rejectLaunch;
-    const launchPromise = new Promise((_, rej) => {
-      rejectLaunch = rej;
-    });
+    const row = { workspace: wsName, name: app?.title ?? app?.name ?? 'Unknown' };
     try {
-      launchApplication(app, { ...opts, onSpawnError: (err) => rejectLaunch(err) });
+      outcomes.push({ ...row, ...(await openApp(client, app, wsName, attributor, async (spawn) => spawn(), opts)) });
     } catch (err) {
-      log(err?.message ?? String(err));
+      outcomes.push({ ...row, status: 'failed', attempts: err?.attempts ?? 1, error: err?.message ?? String(err) });
       throw err;
     }
+  }
+}
+
+/**
+ * Open applications from all workspaces with up to `concurrency` launches in flight.
+ * Focus + spawn is serialized so each app starts with its workspace focused; waiting is not.
+ * Every app is attempted; throws afterwards if any failed with onFailure "abort".
+ * @param {object} client - WmClient
+ * @param {object} config - Loaded config
+ * @param {number} concurrency - Max launches waiting for their window at once
+ * @param {object} attributor - From createWindowAttributor
+ * @param {object[]} outcomes - Summary rows are pushed here (see formatOpenSummary)
+ * @param {{ log: (msg: string) => void, client: object, originalWorkspace: string|null, sink?: object, config: object }} opts
+ */
+async function openAppsConcurrently(client, config, concurrency, attributor, outcomes, opts = {}) {
+  const queue = (config.workspaces ?? [])
+    .filter((ws) => ws?.name)
+    .flatMap((ws) => flattenApplications(ws).map((app) => ({ app, wsName: ws.name })));
+  const failures = [];
+  let spawnLock = Promise.resolve();
+  let next = 0;
 
-    const newWindowId = await Promise.race([
-      waitForOneNewWindow(client, wsName, previousIds),
-      launchPromise.then(() => null),
-    ]);
+  const startLaunchIn = (wsName) => (spawn) => {
+    const spawned = spawnLock.then(async () => {
+      await focusWorkspace(client, wsName, opts);
+      return spawn();
+    });
+    spawnLock = spawned.catch(() => {});
+    return spawned;
+  };
 
-    if (newWindowId == null) {
-      log(`Timed out waiting for window in ${wsName} (${name})`);
-      throw new Error(`Timed out waiting for window in ${wsName} (${name})`);
+  async function worker() {
+    while (next < queue.length) {
+      const { app, wsName } = queue[next++];
+      const row = { workspace: wsName, name: app?.title ?? app?.name ?? 'Unknown' };
+      try {
+        outcomes.push({ ...row, ...(await openApp(client, app, wsName, attributor, startLaunchIn(wsName), opts)) });
+      } catch (err) {
+        const msg = err?.message ?? String(err);
+        outcomes.push({ ...row, status: 'failed', attempts: err?.attempts ?? 1, error: msg });
+        failures.push(msg);
+      }
     }
   }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} application(s) failed to open:\n${failures.map((f) => `  ${f}`).join('\n')}`);
+  }
+}
+
+/**
+ * Summary table of the open phase, one row per window: workspace, window, status, attempts, error.
+ * Status: opened, retried (opened after a retry), placeholder, skipped, failed, kept (already open, reconcile).
+ * @param {Array<{ workspace: string, name: string, status: string, attempts: number, error?: string }>} outcomes
+ * @returns {string}
+ */
+export function formatOpenSummary(outcomes) {
+  const rows = [
+    ['Workspace', 'Window', 'Status', 'Attempts', 'Error'],
+    ...outcomes.map((o) => [o.workspace, o.name, o.status, String(o.attempts), o.error ?? '']),
+  ];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((r) => r[col].length)));
+  return rows.map((r) => r.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd()).join('\n');
 }
 
 /**
  * Open applications in each workspace from config.
- * For every window: open app → wait for window (WINDOW_MANAGED); per-window timeout.
+ * For every window: open app → wait for window (WINDOW_MANAGED); per-window timeout, retries and onFailure
+ * from the window or config.open (see openApp). Windows that show up on another workspace or monitor are
+ * moved to the configured workspace. With config open.concurrency > 1, uses openAppsConcurrently instead.
+ * Logs a summary table at the end, also when aborting.
  *
  * @param {object} client - Connected glazewm-js WmClient
  * @param {object} config - Loaded config (workspaces[].children[] tree)
- * @param {{ log: (msg: string) => void, originalWorkspace?: string|null }} opts
+ * @param {{ log: (msg: string) => void, originalWorkspace?: string|null, sink?: object, alreadyOpen?: Set<object> }} opts
+ *   - sink: where spawns and WM commands go (see commandSink.js; default: live)
+ *   - alreadyOpen: config nodes not to launch because their window is already open (see reconcileWorkspaces.js)
+ * @returns {Promise<object[]>} Summary rows (see formatOpenSummary)
  */
 export async function runOpenPhase(client, config, opts = {}) {
   const log = opts.log ?? (() => {});
@@ -224,8 +455,22 @@ export async function runOpenPhase(client, config, opts = {}) {
     await getStartAppsDict();
   }
 
-  for (const workspace of config.workspaces ?? []) {
-    await openAppsInWorkspace(client, workspace, { ...opts, client, originalWorkspace });
+  const innerOpts = { ...opts, client, originalWorkspace, config };
+  const attributor = await createWindowAttributor(client, innerOpts);
+  const outcomes = [];
+  try {
+    const concurrency = config.open?.concurrency ?? DEFAULT_OPEN_CONCURRENCY;
+    if (concurrency > 1) {
+      log(`Opening up to ${concurrency} applications at once`);
+      await openAppsConcurrently(client, config, concurrency, attributor, outcomes, innerOpts);
+    } else {
+      for (const workspace of config.workspaces ?? []) {
+        await openAppsInWorkspace(client, workspace, attributor, outcomes, innerOpts);
+      }
+    }
+  } finally {
+    await attributor.close();
+    if (outcomes.length > 0) log(`Open summary:\n${formatOpenSummary(outcomes)}`);
   }
+  return outcomes;
 }
-
@@ -0,0 +1,203 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { runLayoutPhase, runVerifyLayout } from './applyLayout.js';
+import { startDryRun } from './dryRun.js';
+import { createClient } from './glazeCommon.js';
+import { openStatusOf } from './matchWindows.js';
+import { createWindowAttributor, runOpenPhase } from './openWorkspaces.js';
+import { findAllWindows } from './parseWorkspace.js';
+
+const app = (title, exe) => ({ type: 'window', title, application: `C:\\Apps\\${exe}` });
+
+describe('createWindowAttributor on the simulator', () => {
+  let dry;
+  let client;
+  before(async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+    await client.runCommand('focus --workspace 3');
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  /** Register a launch and spawn it through the dry-run sink, like launchAndWait. */
+  const launch = (attributor, node, timeoutMs) => {
+    const pending = attributor.expect(node, '3', timeoutMs);
+    pending.pid = dry.sink.spawn(node.application, [], {}, node).pid;
+    return pending;
+  };
+
+  it('gives each of two apps launched together its own window', async () => {
+    const attributor = await createWindowAttributor(client, { sink: dry.sink });
+    try {
+      const editor = launch(attributor, app('Editor', 'editor.exe'));
+      const terminal = launch(attributor, app('Terminal', 'mintty.exe'));
+      const [editorWindow, terminalWindow] = await Promise.all([editor.window, terminal.window]);
+      assert.equal(editorWindow.window.title, 'Editor');
+      assert.equal(terminalWindow.window.title, 'Terminal');
+      assert.deepEqual([editorWindow.workspaceName, terminalWindow.workspaceName], ['3', '3']);
+    } finally {
+      await attributor.close();
+    }
+  });
+
+  it('gives a window to the launch that spawned its process over one whose title matches', async () => {
+    const attributor = await createWindowAttributor(client, { sink: dry.sink });
+    try {
+      const notes = attributor.expect(app('Notes', 'notes.exe'), '3', 1000);
+      const second = attributor.expect(app('Notes (2)', 'notes.exe'), '3', 1000);
+      // The second instance starts with the default title, the one the first launch is waiting for.
+      second.pid = dry.simulator.launch(app('Notes', 'notes.exe'));
+      assert.equal((await second.window).window.title, 'Notes');
+      assert.equal(await notes.window, null);
+    } finally {
+      await attributor.close();
+    }
+  });
+
+  it('gives a window to one launch only, the oldest of equal matches', async () => {
+    const logged = [];
+    const attributor = await createWindowAttributor(client, { sink: dry.sink, log: (msg) => logged.push(msg) });
+    try {
+      const first = attributor.expect(app('Calc', 'calc.exe'), '3', 1000);
+      const second = attributor.expect(app('Calc', 'calc.exe'), '3', 1000);
+      dry.simulator.launch(app('Calc', 'calc.exe'));
+      const claimed = await first.window;
+      assert.equal(claimed.window.title, 'Calc');
+      assert.equal(await second.window, null);
+
+      const stray = dry.simulator.manageWindow({ title: 'Calc', processName: 'calc' });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      assert.ok(logged.includes(`Window not attributed to any launch: Calc (id: ${stray.id})`), logged.join('\n'));
+    } finally {
+      await attributor.close();
+    }
+  });
+});
+
+describe('runOpenPhase on the simulator', () => {
+  let dry;
+  let client;
+  before(async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  const windowsIn = (name) => findAllWindows(dry.simulator.getWorkspaces().find((w) => w.name === name));
+
+  it('moves a window that opens on another workspace back with move --workspace', async () => {
+    // The app restores its window to workspace 1, where it was last closed.
+    const sink = {
+      ...dry.sink,
+      spawn(file, args, options, node) {
+        const child = dry.sink.spawn(file, args, options);
+        const props = { title: node.title, processName: 'notes', workspaceName: '1' };
+        setTimeout(() => dry.simulator.manageWindow(props), 20);
+        return child;
+      },
+    };
+    const config = { workspaces: [{ name: '3', children: [app('Notes', 'notes.exe')] }] };
+
+    const summary = await runOpenPhase(client, config, { sink });
+    assert.deepEqual(summary.map((row) => row.status), ['opened']);
+    const notes = windowsIn('3').find((w) => w.title === 'Notes');
+    assert.ok(notes, 'Notes is on workspace 3');
+    assert.ok(!windowsIn('1').some((w) => w.title === 'Notes'));
+    assert.ok(dry.sink.plan.includes(`command --id ${notes.id} move --workspace 3`), dry.sink.plan.join('\n'));
+  });
+
+  /** Dry-run sink whose launches of the titled apps open no window, `failures[title]` times (Infinity: never). */
+  const failingSink = (failures) => ({
+    ...dry.sink,
+    spawn(file, args, options, node) {
+      if (!(failures[node?.title] > 0)) return dry.sink.spawn(file, args, options, node);
+      failures[node.title]--;
+      return dry.sink.spawn(file, args, options);
+    },
+  });
+
+  it('retries a launch that timed out', async () => {
+    const slow = { ...app('Slow', 'slow.exe'), retries: 1 };
+    const config = { open: { timeoutMs: 300 }, workspaces: [{ name: '4', children: [slow] }] };
+    const summary = await runOpenPhase(client, config, { sink: failingSink({ Slow: 1 }) });
+    assert.deepEqual(summary.map(({ status, attempts }) => [status, attempts]), [['retried', 2]]);
+    assert.deepEqual(windowsIn('4').map((w) => w.title), ['Slow']);
+  });
+
+  it('skips, stands in for or aborts on a window that never opens, per onFailure', async () => {
+    const config = {
+      open: { timeoutMs: 300 },
+      workspaces: [
+        {
+          name: '5',
+          children: [
+            { ...app('Skipped', 'skipped.exe'), onFailure: 'skip' },
+            { ...app('Missing', 'missing.exe'), onFailure: 'placeholder' },
+            app('Fine', 'fine.exe'),
+          ],
+        },
+      ],
+    };
+    const [skipped, missing] = config.workspaces[0].children;
+    const summary = await runOpenPhase(client, config, { sink: failingSink({ Skipped: Infinity, Missing: Infinity }) });
+    assert.deepEqual(summary.map(({ name, status, attempts }) => [name, status, attempts]), [
+      ['Skipped', 'skipped', 1],
+      ['Missing', 'placeholder', 1],
+      ['Fine', 'opened', 1],
+    ]);
+    assert.match(summary[0].error, /^Timed out waiting for window in 5 \(Skipped\)/);
+    assert.deepEqual([openStatusOf(skipped), openStatusOf(missing)], ['skipped', 'placeholder']);
+    assert.deepEqual(windowsIn('5').map((w) => w.title), ['Placeholder: Missing', 'Fine']);
+
+    const aborting = {
+      open: { timeoutMs: 300 },
+      workspaces: [{ name: '6', children: [app('Broken', 'b.exe'), app('Next', 'n.exe')] }],
+    };
+    const logged = [];
+    await assert.rejects(
+      runOpenPhase(client, aborting, { sink: failingSink({ Broken: Infinity }), log: (msg) => logged.push(msg) }),
+      /^Error: Timed out waiting for window in 6 \(Broken\)/,
+    );
+    assert.match(logged.at(-1), /^Open summary:\n.*\n6 +Broken +failed +1 +Timed out/);
+    assert.ok(!dry.sink.plan.some((line) => line.includes('n.exe')), 'nothing is launched after aborting');
+  });
+
+  it('lays out a workspace without the windows it skipped', async () => {
+    const config = {
+      open: { timeoutMs: 300, onFailure: 'skip' },
+      workspaces: [
+        {
+          name: '7',
+          tilingDirection: 'horizontal',
+          children: [
+            { ...app('Left', 'left.exe'), tilingSize: 0.25 },
+            {
+              type: 'split',
+              tilingDirection: 'vertical',
+              tilingSize: 0.75,
+              children: [
+                { ...app('Top', 'top.exe'), tilingSize: 0.5 },
+                { ...app('Bottom', 'bottom.exe'), tilingSize: 0.5 },
+              ],
+            },
+          ],
+        },
+      ],
+    };
+    const opts = { sink: failingSink({ Bottom: Infinity }) };
+    await runOpenPhase(client, config, opts);
+    assert.deepEqual(await runLayoutPhase(client, config, opts), []);
+    assert.equal(await runVerifyLayout(client, config, opts), true);
+    const ws7 = dry.simulator.getWorkspaces().find((w) => w.name === '7');
+    assert.deepEqual(ws7.children.map((c) => [c.title, Math.round(c.tilingSize * 100)]), [['Left', 25], ['Top', 75]]);
+  });
+});
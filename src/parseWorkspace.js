@@ -4,10 +4,14 @@
  * Parses GlazeWM "query workspaces" JSON and produces a reduced config: same field style
  * (camelCase) as workspace.json, just fewer fields. No settings (delays etc. are constants in code).
  *
- * Input: workspace JSON (data.workspaces).
- * Output: { workspaces: [{ name, tilingDirection, children }] }.
+ * Input: workspace JSON (data.workspaces) or monitor JSON (data.monitors, "glazewm query monitors").
+ * Output: { workspaces: [{ name, tilingDirection, monitor?, children }] }; monitor only when monitors are known.
  */
 
+import { resolveApplication } from './appRegistry.js';
+import { LAUNCH_OPTION_FIELDS } from './launchers.js';
+import { workspaceMonitors } from './monitors.js';
+
 /**
  * Recursively find all windows in a container (workspace or nested split container).
  * @param {object} container - Workspace or container node from GlazeWM JSON
@@ -33,19 +37,85 @@ export function findAllWindows(container) {
   return windows;
 }
 
+/**
+ * State of a window node: "tiling" (default), "floating" or "minimized" ("fullscreen" on live windows).
+ * Works for config nodes (state: "floating") and query nodes (state: { type: "floating" }).
+ * @param {object} node - Config or query window node
+ * @returns {string}
+ */
+export function windowStateOf(node) {
+  return (typeof node?.state === 'string' ? node.state : node?.state?.type) ?? 'tiling';
+}
+
+/** Window states that take a window out of the tiling tree. */
+const NON_TILING_STATES = new Set(['floating', 'minimized']);
+
+/**
+ * Whether a window node is floating or minimized, i.e. not part of the split tree.
+ * @param {object} node - Config or query node
+ * @returns {boolean}
+ */
+export function isNonTilingWindow(node) {
+  return node?.type === 'window' && NON_TILING_STATES.has(windowStateOf(node));
+}
+
+/**
+ * Copy of a query container without its floating and minimized windows, so only the split tree remains.
+ * @param {object} container - Workspace or split from query
+ * @returns {object}
+ */
+export function tilingTreeOf(container) {
+  if (!container?.children) return container;
+  return { ...container, children: container.children.filter((c) => !isNonTilingWindow(c)).map(tilingTreeOf) };
+}
+
+/**
+ * Find a container (workspace, split or window) by id anywhere under the given node.
+ * @param {object} container - Workspace or container node from GlazeWM JSON
+ * @param {string} id - Container id
+ * @returns {object|null} - Matching node or null
+ */
+export function findContainerById(container, id) {
+  if (!container || !id) return null;
+  if (container.id === id) return container;
+  for (const child of container.children ?? []) {
+    const found = findContainerById(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
 /**
  * Convert a GlazeWM container (split or window) to config node. Matches workspace.json style (camelCase).
  * Omits empty args. Output is a reduced subset of the query node.
+ * With a registry, application / args / link and launch options come from the first matching rule (see appRegistry.js).
+ * Floating and minimized windows keep their state (floating ones also their placement in pixels) instead of a tilingSize.
  */
-function containerToConfigNode(node) {
+function containerToConfigNode(node, registry = null) {
   if (node?.type === 'window') {
+    const resolved = resolveApplication(registry, node);
     const out = {
       type: 'window',
       title: node.title ?? '',
-      application: node.processName ? 'FILL ME IN' : '',
-      tilingSize: node.tilingSize ?? 1,
+      application: resolved?.application ?? (node.processName ? 'FILL ME IN' : ''),
     };
-    if (Array.isArray(node.args) && node.args.length > 0) out.args = node.args;
+    if (isNonTilingWindow(node)) {
+      out.state = windowStateOf(node);
+      const rect = node.floatingPlacement;
+      if (out.state === 'floating' && rect) {
+        out.placement = { x: rect.left, y: rect.top, width: rect.right - rect.left, height: rect.bottom - rect.top };
+      }
+    } else {
+      out.tilingSize = node.tilingSize ?? 1;
+    }
+    if (node.processName) out.processName = node.processName;
+    if (node.className) out.className = node.className;
+    const args = resolved?.args ?? node.args;
+    if (Array.isArray(args) && args.length > 0) out.args = args;
+    if (resolved?.link) out.link = resolved.link;
+    for (const field of LAUNCH_OPTION_FIELDS) {
+      if (resolved?.[field] != null) out[field] = resolved[field];
+    }
     return out;
   }
   if (node?.type === 'split') {
@@ -53,7 +123,7 @@ function containerToConfigNode(node) {
       type: 'split',
       tilingDirection: node.tilingDirection ?? 'horizontal',
       tilingSize: node.tilingSize ?? 1,
-      children: (node.children ?? []).map(containerToConfigNode),
+      children: (node.children ?? []).map((child) => containerToConfigNode(child, registry)),
     };
   }
   return null;
@@ -82,16 +152,21 @@ export function flattenApplications(workspaceConfig) {
 /**
  * Parse workspace JSON and extract the specified workspaces into tree config format.
  *
- * @param {object} workspaceJson - Parsed JSON from "glazewm query workspaces" (must have data.workspaces)
+ * @param {object} workspaceJson - Parsed JSON from "glazewm query workspaces" (data.workspaces) or
+ *   "glazewm query monitors" (data.monitors)
  * @param {string[]} workspaceNumbers - Workspace names to extract (e.g. ['2', '3'])
- * @returns {object} - Config { workspaces: [{ name, tilingDirection, children }] }
+ * @param {{ registry?: object|null, monitors?: object[]|null }} opts
+ *   - registry: from loadRegistry, resolves application per window
+ *   - monitors: from "query monitors", records each workspace's monitor (default: data.monitors if present)
+ * @returns {object} - Config { workspaces: [{ name, tilingDirection, monitor?, children }] }
  */
-export function parseWorkspace(workspaceJson, workspaceNumbers) {
-  if (!workspaceJson?.data?.workspaces) {
-    throw new Error("Invalid workspace JSON format (missing 'data.workspaces')");
+export function parseWorkspace(workspaceJson, workspaceNumbers, opts = {}) {
+  const monitors = opts.monitors ?? workspaceJson?.data?.monitors ?? null;
+  const workspaces = workspaceJson?.data?.workspaces ?? workspaceJson?.data?.monitors?.flatMap((m) => m.children ?? []);
+  if (!workspaces) {
+    throw new Error("Invalid workspace JSON format (missing 'data.workspaces' or 'data.monitors')");
   }
-
-  const workspaces = workspaceJson.data.workspaces;
+  const monitorByWorkspace = workspaceMonitors(monitors);
 
   const config = { workspaces: [] };
 
@@ -110,12 +185,14 @@ export function parseWorkspace(workspaceJson, workspaceNumbers) {
   }
 
   for (const workspace of foundWorkspaces) {
-    const children = (workspace.children ?? []).map(containerToConfigNode).filter(Boolean);
-    config.workspaces.push({
+    const children = (workspace.children ?? []).map((child) => containerToConfigNode(child, opts.registry)).filter(Boolean);
+    const out = {
       name: workspace.name ?? 'Unknown',
       tilingDirection: workspace.tilingDirection ?? 'horizontal',
-      children,
-    });
+    };
+    if (monitorByWorkspace.has(workspace.name)) out.monitor = monitorByWorkspace.get(workspace.name);
+    out.children = children;
+    config.workspaces.push(out);
   }
 
   return config;
@@ -126,9 +203,10 @@ export function parseWorkspace(workspaceJson, workspaceNumbers) {
  *
  * @param {string} workspaceJsonPath - Path to the workspace JSON file
  * @param {string[]} workspaceNumbers - Workspace names to extract
+ * @param {{ registry?: object|null, monitors?: object[]|null }} opts - Passed to parseWorkspace
  * @returns {Promise<object>} - Config object
  */
-export async function parseWorkspaceFromFile(workspaceJsonPath, workspaceNumbers) {
+export async function parseWorkspaceFromFile(workspaceJsonPath, workspaceNumbers, opts = {}) {
   const fs = await import('fs/promises');
   let raw;
   try {
@@ -147,5 +225,53 @@ export async function parseWorkspaceFromFile(workspaceJsonPath, workspaceNumbers
     throw new Error(`Error parsing JSON: ${e.message}`);
   }
 
-  return parseWorkspace(workspaceJson, workspaceNumbers);
+  return parseWorkspace(workspaceJson, workspaceNumbers, opts);
+}
+
+/**
+ * List windows in a config that still have no launchable application ("FILL ME IN" or empty).
+ * @param {object} config - Config { workspaces }
+ * @returns {Array<{ workspace: string, title: string, processName: string }>}
+ */
+export function listUnresolvedWindows(config) {
+  const unresolved = [];
+  for (const ws of config?.workspaces ?? []) {
+    for (const app of flattenApplications(ws)) {
+      if (!app.application || app.application === 'FILL ME IN') {
+        unresolved.push({ workspace: ws.name, title: app.title, processName: app.processName ?? '' });
+      }
+    }
+  }
+  return unresolved;
+}
+
+/**
+ * Summary of unresolved windows for CLI output, one per line; empty string if there are none.
+ * @param {Array<{ workspace: string, title: string, processName: string }>} unresolved - From listUnresolvedWindows
+ * @returns {string}
+ */
+export function formatUnresolvedWindows(unresolved) {
+  if (unresolved.length === 0) return '';
+  const lines = unresolved.map(({ workspace, title, processName }) => `  workspace ${workspace}: ${title}${processName ? ` (${processName})` : ''}`);
+  return [`${unresolved.length} window(s) still need "application":`, ...lines].join('\n');
+}
+
+/**
+ * Write a config object as pretty JSON, replacing the file atomically (write to .tmp, then rename).
+ *
+ * @param {string} outputPath - Path to write (e.g. config.json)
+ * @param {object} config - Config object
+ */
+export async function writeConfigFile(outputPath, config) {
+  const { writeFile, rename, unlink } = await import('fs/promises');
+  const json = JSON.stringify(config, null, 2);
+  const tmpPath = outputPath + '.tmp';
+  await writeFile(tmpPath, json, 'utf-8');
+  try {
+    await unlink(outputPath).catch((err) => { if (err?.code !== 'ENOENT') throw err; });
+    await rename(tmpPath, outputPath);
+  } catch (err) {
+    await unlink(tmpPath).catch(() => {});
+    throw err;
+  }
 }
@@ -0,0 +1,100 @@
+/**
+ * Config profiles
+ *
+ * One config file can hold several named layouts under "profiles". The top level is the base; each profile
+ * "extends" the base or another profile and overrides only what differs:
+ * - open / clear / watch: merged key by key (nested objects too; arrays are replaced)
+ * - workspaces: matched by name. A new name adds a workspace; "remove": true drops one; other fields
+ *   (tilingDirection, monitor, children) replace the inherited ones; "windows": [{ title, ...fields }]
+ *   patches single window nodes, found by title, without restating the tree.
+ * resolveProfile returns a plain config (no "profiles") that the phases and validation run on.
+ */
+
+/**
+ * Merge override into base: plain objects recursively, everything else (arrays included) replaced.
+ */
+function mergeObjects(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return structuredClone(override);
+  const out = structuredClone(base);
+  for (const [key, value] of Object.entries(override)) {
+    out[key] = key in out ? mergeObjects(out[key], value) : structuredClone(value);
+  }
+  return out;
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** Every window node under a container, with the node itself (so it can be patched in place). */
+function windowNodes(container) {
+  return (container?.children ?? []).flatMap((c) => (c?.type === 'window' ? [c] : windowNodes(c)));
+}
+
+/**
+ * Apply a profile's workspace overrides to inherited workspaces.
+ * @param {object[]} workspaces - Inherited workspaces (copied, not mutated)
+ * @param {object[]} overrides - Profile workspaces
+ * @param {string} profileName - For error messages
+ * @returns {object[]}
+ */
+function mergeWorkspaces(workspaces, overrides, profileName) {
+  const out = structuredClone(workspaces ?? []);
+  for (const override of overrides ?? []) {
+    const { windows, remove, ...fields } = override ?? {};
+    const index = out.findIndex((w) => w?.name === fields.name);
+    if (remove) {
+      if (index < 0) throw new Error(`Profile "${profileName}": cannot remove workspace "${fields.name}", it is not inherited`);
+      out.splice(index, 1);
+      continue;
+    }
+    const ws = index >= 0 ? Object.assign(out[index], structuredClone(fields)) : structuredClone(fields);
+    if (index < 0) out.push(ws);
+
+    for (const { title, ...patch } of windows ?? []) {
+      const nodes = windowNodes(ws).filter((n) => (n.title ?? n.name) === title);
+      if (nodes.length === 0) throw new Error(`Profile "${profileName}": workspace "${ws.name}" has no window titled "${title}"`);
+      for (const node of nodes) Object.assign(node, structuredClone(patch));
+    }
+  }
+  return out;
+}
+
+/**
+ * Names of the profiles defined in a config.
+ * @param {object} config - Loaded config file
+ * @returns {string[]}
+ */
+export function profileNames(config) {
+  return Object.keys(config?.profiles ?? {});
+}
+
+/**
+ * Resolve a profile into a plain config: follow "extends" up to the base, then apply each profile's
+ * overrides on the way back down. Without a profile name, returns the base.
+ * @param {object} config - Loaded config file (top level = base, optional profiles)
+ * @param {string} [profileName]
+ * @returns {object} Config without "profiles"
+ */
+export function resolveProfile(config, profileName) {
+  const { profiles = {}, ...base } = config ?? {};
+  if (profileName == null) return base;
+
+  const chain = [];
+  for (let name = profileName; name != null; name = profiles[name].extends) {
+    if (!Object.hasOwn(profiles, name)) {
+      const known = profileNames(config);
+      const from = chain.length > 0 ? ` (extended by "${chain[chain.length - 1]}")` : '';
+      throw new Error(`Unknown profile "${name}"${from}; defined: ${known.length ? known.join(', ') : 'none'}`);
+    }
+    if (chain.includes(name)) throw new Error(`Profile "${profileName}": extends cycle ${[...chain, name].join(' -> ')}`);
+    chain.push(name);
+  }
+
+  let resolved = base;
+  for (const name of chain.reverse()) {
+    const { extends: _extends, workspaces, ...settings } = profiles[name];
+    resolved = { ...mergeObjects(resolved, settings), workspaces: mergeWorkspaces(resolved.workspaces, workspaces, name) };
+  }
+  return resolved;
+}
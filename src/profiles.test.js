@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { profileNames, resolveProfile } from './profiles.js';
+import { validateConfig } from './validateConfig.js';
+
+const window = (title, fields = {}) => ({ type: 'window', title, application: `${title}.exe`, ...fields });
+
+/** Base with two workspaces; "work" extends the base, "review" extends "work". */
+function config() {
+  return {
+    open: { timeoutMs: 10_000, retries: 2, onFailure: 'skip' },
+    clear: { steps: [{ action: 'close', timeoutMs: 1000 }] },
+    workspaces: [
+      {
+        name: '1',
+        tilingDirection: 'horizontal',
+        children: [window('Editor', { tilingSize: 0.7 }), window('Terminal', { tilingSize: 0.3 })],
+      },
+      { name: '2', children: [window('Chat')] },
+    ],
+    profiles: {
+      work: {
+        open: { retries: 5 },
+        workspaces: [
+          { name: '1', windows: [{ title: 'Editor', tilingSize: 0.6 }, { title: 'Terminal', tilingSize: 0.4 }] },
+          { name: '3', children: [window('Mail')] },
+        ],
+      },
+      review: {
+        extends: 'work',
+        clear: { steps: [{ action: 'wm-close', timeoutMs: 2000 }] },
+        workspaces: [
+          { name: '1', tilingDirection: 'vertical' },
+          { name: '2', remove: true },
+        ],
+      },
+    },
+  };
+}
+
+describe('resolveProfile', () => {
+  it('returns the base without profiles when no profile is given', () => {
+    const base = resolveProfile(config());
+    assert.equal(base.profiles, undefined);
+    assert.deepEqual(base.workspaces.map((w) => w.name), ['1', '2']);
+  });
+
+  it('merges settings key by key and patches windows by title', () => {
+    const work = resolveProfile(config(), 'work');
+    assert.deepEqual(work.open, { timeoutMs: 10_000, retries: 5, onFailure: 'skip' });
+    assert.deepEqual(work.workspaces.map((w) => w.name), ['1', '2', '3']);
+    assert.deepEqual(work.workspaces[0].children.map((c) => [c.title, c.tilingSize]), [['Editor', 0.6], ['Terminal', 0.4]]);
+    assert.equal(work.workspaces[0].windows, undefined);
+  });
+
+  it('applies an extends chain from the base down', () => {
+    const review = resolveProfile(config(), 'review');
+    assert.deepEqual(review.workspaces.map((w) => w.name), ['1', '3']);
+    assert.equal(review.workspaces[0].tilingDirection, 'vertical');
+    assert.equal(review.workspaces[0].children[0].tilingSize, 0.6);
+    assert.equal(review.open.retries, 5);
+    assert.deepEqual(review.clear.steps, [{ action: 'wm-close', timeoutMs: 2000 }]);
+    assert.equal(review.extends, undefined);
+  });
+
+  it('resolves the fixture to valid configs', async () => {
+    for (const name of [undefined, ...profileNames(config())]) {
+      assert.deepEqual(await validateConfig(resolveProfile(config(), name), { checkPaths: false }), [], name ?? 'base');
+    }
+  });
+
+  it('does not change the loaded config', () => {
+    const loaded = config();
+    resolveProfile(loaded, 'review');
+    assert.deepEqual(loaded, config());
+  });
+
+  it('patches every window with the title, in nested splits too', () => {
+    const loaded = config();
+    loaded.workspaces[1].children = [{ type: 'split', children: [window('Chat'), window('Chat')] }];
+    loaded.profiles.work.workspaces.push({ name: '2', windows: [{ title: 'Chat', fullscreen: true }] });
+    const [, chat] = resolveProfile(loaded, 'work').workspaces;
+    assert.deepEqual(chat.children[0].children.map((c) => c.fullscreen), [true, true]);
+  });
+
+  it('rejects a window patch without a matching title', () => {
+    const loaded = config();
+    loaded.profiles.work.workspaces[0].windows.push({ title: 'Browser', fullscreen: true });
+    assert.throws(() => resolveProfile(loaded, 'work'), /Profile "work": workspace "1" has no window titled "Browser"/);
+  });
+
+  it('rejects removing a workspace that is not inherited', () => {
+    const loaded = config();
+    loaded.profiles.work.workspaces.push({ name: '9', remove: true });
+    assert.throws(() => resolveProfile(loaded, 'work'), /cannot remove workspace "9"/);
+  });
+
+  it('rejects unknown profiles, naming the one that extends them', () => {
+    assert.throws(() => resolveProfile(config(), 'home'), /Unknown profile "home"; defined: work, review/);
+    const loaded = config();
+    loaded.profiles.work.extends = 'office';
+    assert.throws(() => resolveProfile(loaded, 'review'), /Unknown profile "office" \(extended by "work"\)/);
+  });
+
+  it('rejects extends cycles', () => {
+    const loaded = config();
+    loaded.profiles.work.extends = 'review';
+    assert.throws(() => resolveProfile(loaded, 'review'), /Profile "review": extends cycle review -> work -> review/);
+    loaded.profiles.work.extends = 'work';
+    assert.throws(() => resolveProfile(loaded, 'work'), /extends cycle work -> work/);
+  });
+});
+
+describe('profileNames', () => {
+  it('lists the defined profiles', () => {
+    assert.deepEqual(profileNames(config()), ['work', 'review']);
+    assert.deepEqual(profileNames({ workspaces: [] }), []);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Window readiness probes
+ *
+ * A window is managed long before it is ready: a browser window is still titled "Mozilla Firefox" until the
+ * page loads. Config "ready" on a window node says when it is ready; every given probe must pass:
+ * - titlePattern: the title matches this regex
+ * - stableMs: the title has not changed for this long. Counted from when the window was managed, or from the last
+ *   title change any wait saw; a window this run did not open counts as stable until its title changes
+ * - minAgeMs: this long has passed since the window was managed (windows this run did not open count as old)
+ * Probes are polled from "query windows" until they pass or ready.timeoutMs (default DEFAULT_READY_TIMEOUT_MS)
+ * runs out; the timeout error names the window and the probes that failed. A window that passed is not
+ * probed again in the same run. The open phase waits for windows with "ready"; the fullscreen phase waits for
+ * all of a workspace's windows at once before fullscreening, with DEFAULT_FULLSCREEN_READY for windows without it.
+ */
+
+import { delay } from './glazeCommon.js';
+
+/** Default for ready.timeoutMs. */
+const DEFAULT_READY_TIMEOUT_MS = 30_000;
+/** Poll interval for probes. */
+const READY_POLL_INTERVAL_MS = 200;
+/** Probe the fullscreen phase uses for windows without "ready": F11 before a page has loaded gets lost. */
+export const DEFAULT_FULLSCREEN_READY = { stableMs: 1000 };
+
+/** Config node → { windowId, managedAt, title, titleSince } for windows the open phase got; title is the last one seen. */
+const managedWindows = new WeakMap();
+/** Config node → window id that passed its probes. */
+const readyWindows = new WeakMap();
+
+/**
+ * Remember when the open phase got a node's window, for minAgeMs and stableMs.
+ * @param {object} node - Config window node
+ * @param {string} windowId - Live window id
+ * @param {string} [title] - Window title when it was managed
+ */
+export function recordWindowManaged(node, windowId, title = null) {
+  if (!node || !windowId) return;
+  const managedAt = Date.now();
+  managedWindows.set(node, { windowId, managedAt, title, titleSince: managedAt });
+}
+
+/**
+ * Probes that failed for a window at one poll.
+ * @returns {string[]} One line per failed probe (empty if ready)
+ */
+function failedProbes(probe, window, titleSince, managedAt, now) {
+  const failed = [];
+  const title = window.title ?? '';
+  if (probe.titlePattern != null && !new RegExp(probe.titlePattern).test(title)) {
+    failed.push(`titlePattern: title "${title}" does not match /${probe.titlePattern}/`);
+  }
+  if (probe.stableMs != null && now - titleSince < probe.stableMs) {
+    failed.push(`stableMs: title "${title}" stable for ${now - titleSince} ms (needs ${probe.stableMs} ms)`);
+  }
+  if (probe.minAgeMs != null && managedAt != null && now - managedAt < probe.minAgeMs) {
+    failed.push(`minAgeMs: window is ${now - managedAt} ms old (needs ${probe.minAgeMs} ms)`);
+  }
+  return failed;
+}
+
+/**
+ * Wait until a window passes its node's probes.
+ * @param {object} client - WmClient
+ * @param {object} node - Config window node (ready, title)
+ * @param {string} windowId - Live window id
+ * @param {{ log?: (msg: string, fields?: object) => void, fallback?: object }} opts
+ *   - fallback: probe for a node without "ready" (default: none, the window counts as ready)
+ * @returns {Promise<void>}
+ * @throws when the probes do not pass within the timeout, or the window closes
+ */
+export async function waitForReady(client, node, windowId, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const probe = node?.ready ?? opts.fallback;
+  if (!probe || readyWindows.get(node) === windowId) return;
+
+  const name = node?.title ?? node?.name ?? 'Unknown';
+  const timeoutMs = probe.timeoutMs ?? DEFAULT_READY_TIMEOUT_MS;
+  const managed = managedWindows.get(node)?.windowId === windowId ? managedWindows.get(node) : null;
+  const managedAt = managed?.managedAt ?? null;
+  const started = Date.now();
+  let lastTitle = managed?.title ?? null;
+  let titleSince = managed?.titleSince ?? -Infinity;
+  let logged = false;
+
+  for (;;) {
+    const { windows } = await client.queryWindows();
+    const window = windows?.find((w) => w?.id === windowId);
+    if (!window) throw new Error(`Window "${name}" (id: ${windowId}) closed while waiting for it to be ready`);
+    const now = Date.now();
+    if (window.title !== lastTitle) {
+      if (lastTitle !== null) titleSince = now;
+      lastTitle = window.title;
+      if (managed) Object.assign(managed, { title: lastTitle, titleSince });
+    }
+    const failed = failedProbes(probe, window, titleSince, managedAt, now);
+    if (failed.length === 0) break;
+    if (now - started >= timeoutMs) {
+      throw new Error(`Window "${name}" not ready after ${timeoutMs} ms: ${failed.join('; ')}`);
+    }
+    if (!logged) {
+      log(`Waiting for ${name} to be ready (${failed.join('; ')})`);
+      logged = true;
+    }
+    await delay(READY_POLL_INTERVAL_MS);
+  }
+
+  readyWindows.set(node, windowId);
+  if (logged) log(`${name}: ready after ${Date.now() - started} ms`);
+}
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { recordWindowManaged, waitForReady } from './readiness.js';
+
+/**
+ * Client whose "query windows" returns one window; retitle() changes its title after ms, close() removes it.
+ * queries counts the polls.
+ */
+function fakeClient(title) {
+  const window = { id: 'w1', title };
+  let open = true;
+  const client = {
+    queries: 0,
+    async queryWindows() {
+      client.queries++;
+      return { windows: open ? [{ ...window }] : [] };
+    },
+    retitle: (newTitle, ms) => setTimeout(() => { window.title = newTitle; }, ms),
+    close: () => { open = false; },
+  };
+  return client;
+}
+
+/** Run waitForReady and resolve to the ms it took and the log lines. */
+async function timedWait(client, node, opts = {}) {
+  const logged = [];
+  const started = Date.now();
+  await waitForReady(client, node, 'w1', { log: (msg) => logged.push(msg), ...opts });
+  return { ms: Date.now() - started, logged };
+}
+
+describe('waitForReady', () => {
+  it('waits for the title to match titlePattern', async () => {
+    const client = fakeClient('Mozilla Firefox');
+    client.retitle('Inbox — Mozilla Firefox', 300);
+    const node = { title: 'Mail', ready: { titlePattern: '^Inbox', timeoutMs: 5000 } };
+    const { ms, logged } = await timedWait(client, node);
+    assert.ok(ms >= 300, `ready after ${ms} ms`);
+    assert.equal(
+      logged[0],
+      'Waiting for Mail to be ready (titlePattern: title "Mozilla Firefox" does not match /^Inbox/)',
+    );
+    assert.match(logged[1], /^Mail: ready after \d+ ms$/);
+  });
+
+  it('counts stableMs from the last title change of a window this run opened', async () => {
+    const client = fakeClient('Loading');
+    const node = { title: 'Mail', ready: { stableMs: 400, timeoutMs: 5000 } };
+    recordWindowManaged(node, 'w1', 'Loading');
+    client.retitle('Inbox', 200);
+    const { ms } = await timedWait(client, node);
+    assert.ok(ms >= 600, `ready after ${ms} ms`);
+  });
+
+  it('takes a window this run did not open as stable until its title changes', async () => {
+    const client = fakeClient('Inbox');
+    const { logged } = await timedWait(client, { title: 'Mail', ready: { stableMs: 60_000 } });
+    assert.equal(client.queries, 1);
+    assert.deepEqual(logged, []);
+  });
+
+  it('waits minAgeMs from when the window was managed, and not for windows this run did not open', async () => {
+    const node = { title: 'Mail', ready: { minAgeMs: 400, timeoutMs: 5000 } };
+    recordWindowManaged(node, 'w1', 'Inbox');
+    const { ms } = await timedWait(fakeClient('Inbox'), node);
+    assert.ok(ms >= 400, `ready after ${ms} ms`);
+
+    const client = fakeClient('Inbox');
+    await timedWait(client, { title: 'Mail', ready: { minAgeMs: 60_000 } });
+    assert.equal(client.queries, 1);
+  });
+
+  it('names the window and every failed probe when ready.timeoutMs runs out', async () => {
+    const node = { title: 'Mail', ready: { titlePattern: '^Inbox', minAgeMs: 60_000, timeoutMs: 300 } };
+    recordWindowManaged(node, 'w1', 'Mozilla Firefox');
+    await assert.rejects(timedWait(fakeClient('Mozilla Firefox'), node), (err) => {
+      assert.match(err.message, new RegExp([
+        '^Window "Mail" not ready after 300 ms: ',
+        'titlePattern: title "Mozilla Firefox" does not match /\\^Inbox/; ',
+        'minAgeMs: window is \\d+ ms old \\(needs 60000 ms\\)$',
+      ].join('')));
+      return true;
+    });
+  });
+
+  it('fails when the window closes while waiting', async () => {
+    const client = fakeClient('Mozilla Firefox');
+    setTimeout(client.close, 100);
+    await assert.rejects(
+      timedWait(client, { title: 'Mail', ready: { titlePattern: '^Inbox', timeoutMs: 5000 } }),
+      /^Error: Window "Mail" \(id: w1\) closed while waiting for it to be ready$/,
+    );
+  });
+
+  it('uses the fallback for nodes without ready, and does not probe a ready window again', async () => {
+    const client = fakeClient('Loading');
+    await timedWait(client, { title: 'Mail' });
+    assert.equal(client.queries, 0);
+
+    const node = { title: 'Mail' };
+    recordWindowManaged(node, 'w1', 'Loading');
+    const { ms } = await timedWait(client, node, { fallback: { minAgeMs: 300 } });
+    assert.ok(ms >= 300, `ready after ${ms} ms`);
+    const queries = client.queries;
+    await timedWait(client, node, { fallback: { minAgeMs: 300 } });
+    assert.equal(client.queries, queries);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * GlazeWM Reconcile Workspaces
+ *
+ * Runs in place of clear + open when some of the configured windows are already open:
+ * - live windows are matched against the config windows of every workspace (matchWindows), preferring
+ *   a window that is already on its configured workspace; a window on another workspace only matches by
+ *   recorded id, className or title (identifiesWindow), not by process name alone
+ * - windows on a configured workspace that match nothing in the config are closed (clear ladder, config.clear)
+ * - matched windows on another workspace are moved to the configured one
+ * - only config windows without a match are opened (open phase with alreadyOpen)
+ * Matched windows are recorded like opened ones, so layout and fullscreen pick the same windows.
+ */
+
+import { closeWindowWithEscalation } from './clearWorkspaces.js';
+import { sinkFor } from './commandSink.js';
+import { identifiesWindow, matchWindows, recordOpenedWindow, scoreWindow } from './matchWindows.js';
+import { runOpenPhase } from './openWorkspaces.js';
+import { findAllWindows, flattenApplications } from './parseWorkspace.js';
+
+/** Added to a pair's score when the window is already on the node's workspace, so it wins ties. */
+const SCORE_SAME_WORKSPACE = 1;
+
+/**
+ * Match every config window against every live window. A pair needs at least one matching field
+ * (process, class or title) to count; a window on another workspace than the node's needs identifiesWindow.
+ * @param {object} config - Loaded config
+ * @param {object[]} liveWorkspaces - Workspaces from query
+ * @param {boolean} [configuredOnly] - Only consider live windows on configured workspaces (nothing is moved in)
+ * @returns {{ kept: Array<{ app: object, wsName: string, window: object, liveWsName: string }>, stray: Array<{ window: object, wsName: string }> }}
+ *   kept: config windows with a live window; stray: live windows on a configured workspace that nothing matched
+ */
+function planReconcile(config, liveWorkspaces, configuredOnly = false) {
+  const configured = new Set((config.workspaces ?? []).map((ws) => ws?.name));
+  const apps = (config.workspaces ?? [])
+    .filter((ws) => ws?.name)
+    .flatMap((ws) => flattenApplications(ws).map((app) => ({ app, wsName: ws.name })));
+  const live = (liveWorkspaces ?? [])
+    .filter((ws) => !configuredOnly || configured.has(ws.name))
+    .flatMap((ws) => findAllWindows(ws).map((window) => ({ window, wsName: ws.name })));
+
+  const liveWsById = new Map(live.map(({ window, wsName }) => [window.id, wsName]));
+  const wsNameByApp = new Map(apps.map(({ app, wsName }) => [app, wsName]));
+  const score = (app, window) => {
+    const s = scoreWindow(app, window);
+    if (s == null || s <= 0) return null;
+    if (liveWsById.get(window.id) === wsNameByApp.get(app)) return s + SCORE_SAME_WORKSPACE;
+    return identifiesWindow(app, window) ? s : null;
+  };
+
+  const { windows, unmatchedWindows } = matchWindows(apps.map((a) => a.app), live.map((l) => l.window), { score });
+  const unmatched = new Set(unmatchedWindows);
+
+  return {
+    kept: apps
+      .map(({ app, wsName }, i) => ({ app, wsName, window: windows[i], liveWsName: liveWsById.get(windows[i]?.id) }))
+      .filter(({ window }) => window),
+    stray: live.filter(({ window, wsName }) => unmatched.has(window) && configured.has(wsName)),
+  };
+}
+
+/**
+ * Run the reconcile phase: close windows not in the config, move misplaced ones, open what is missing.
+ * Throws if a stray window does not close (see closeWindowWithEscalation) or the open phase aborts.
+ *
+ * @param {object} client - Connected WmClient
+ * @param {object} config - Loaded config (workspaces[].children[] tree, optional clear / open)
+ * @param {{ log: (msg: string) => void, originalWorkspace?: string|null, sink?: object, configuredWorkspacesOnly?: boolean }} opts
+ *   - configuredWorkspacesOnly: keep only windows already on a configured workspace; windows elsewhere are
+ *     left alone instead of moved in (switchWorkspace, which configures a single workspace)
+ * @returns {Promise<object[]>} Open summary rows; kept windows have status "kept" (see formatOpenSummary)
+ */
+export async function runReconcilePhase(client, config, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const sink = sinkFor(client, opts);
+
+  log('--- Reconciling Workspaces ---');
+
+  const { workspaces } = await client.queryWorkspaces();
+  const { kept, stray } = planReconcile(config, workspaces, opts.configuredWorkspacesOnly);
+
+  for (const { window, wsName } of stray) {
+    log(`Closing window not in config: ${window.title ?? 'Unknown'} (ID: ${window.id}) on workspace ${wsName}`);
+    await closeWindowWithEscalation(client, wsName, window, { ...opts, clear: config.clear });
+  }
+
+  for (const { app, wsName, window, liveWsName } of kept) {
+    if (liveWsName !== wsName) {
+      log(`Moving ${window.title ?? 'Unknown'} (${window.id}) from workspace ${liveWsName} to ${wsName}`);
+      await sink.runCommand(`move --workspace ${wsName}`, window.id);
+    }
+    recordOpenedWindow(app, window.id);
+  }
+
+  log(`Keeping ${kept.length} window(s), closed ${stray.length}`);
+  return runOpenPhase(client, config, { ...opts, alreadyOpen: new Set(kept.map(({ app }) => app)) });
+}
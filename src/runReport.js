@@ -0,0 +1,121 @@
+/**
+ * Structured log and run report
+ *
+ * Phases log through opts.log(message, fields). fields is optional structured data about the line, e.g.
+ * { phase, workspace, windowTitle, action, durationMs, result }; plain log functions just ignore it.
+ * createRunReport gives a log function that prints text (message only) or JSON lines (message + fields),
+ * and collects a report from the fields as it goes:
+ * - action "phase": one per phase run (timePhase), with durationMs and result
+ * - action "launch": one per app the open phase launched, with durationMs (spawn to window) and result
+ * - action "verify": one per verify check, every mismatch included
+ * - action "error": the error that ended the run
+ */
+
+/** Values of --log-format. */
+export const LOG_FORMATS = ['text', 'json'];
+
+/**
+ * Log function that adds { phase } to every line's fields.
+ * @param {(msg: string, fields?: object) => void} log
+ * @param {string} phase
+ * @returns {(msg: string, fields?: object) => void}
+ */
+export function phaseLog(log, phase) {
+  return (msg, fields) => log(msg, { phase, ...fields });
+}
+
+/**
+ * Run one phase with its log lines tagged { phase } and log how long it took (action "phase").
+ * Rethrows the phase's error after logging it as failed.
+ * @param {string} phase - Phase name, e.g. "open"
+ * @param {{ log?: (msg: string, fields?: object) => void }} opts - Passed to fn with the tagged log
+ * @param {(opts: object) => Promise<*>} fn - Runs the phase
+ * @returns {Promise<*>} What fn returns
+ */
+export async function timePhase(phase, opts, fn) {
+  const log = phaseLog(opts.log ?? (() => {}), phase);
+  const start = Date.now();
+  try {
+    const value = await fn({ ...opts, log });
+    const durationMs = Date.now() - start;
+    log(`Phase ${phase} done in ${durationMs} ms`, { action: 'phase', durationMs, result: 'ok' });
+    return value;
+  } catch (err) {
+    const durationMs = Date.now() - start;
+    log(`Phase ${phase} failed after ${durationMs} ms`, { action: 'phase', durationMs, result: 'failed', error: err?.message ?? String(err) });
+    throw err;
+  }
+}
+
+/**
+ * Log function for a run plus the report it collects.
+ * @param {{ format?: 'text'|'json', write?: (line: string) => void, writeError?: (line: string) => void }} opts
+ *   - format: text prints messages as before; json prints one JSON object per line ({ time, ...fields, message })
+ *   - write / writeError: output for normal and error lines (default: console.log / console.error)
+ * @returns {{ log: (msg: string, fields?: object) => void, finish: (exitCode: number) => object }}
+ *   finish: the report (see formatReport), once the run is over
+ */
+export function createRunReport(opts = {}) {
+  const format = opts.format ?? 'text';
+  if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format "${format}" (use ${LOG_FORMATS.join(' or ')})`);
+  const write = opts.write ?? ((line) => console.log(line));
+  const writeError = opts.writeError ?? ((line) => console.error(line));
+  const started = Date.now();
+  const phases = [];
+  const launches = [];
+  const verify = [];
+  let error = null;
+
+  function log(msg, fields = {}) {
+    const { action } = fields;
+    if (action === 'phase') phases.push(pick(fields, ['phase', 'durationMs', 'result', 'error']));
+    if (action === 'launch') launches.push(pick(fields, ['workspace', 'windowTitle', 'durationMs', 'result', 'attempts', 'error']));
+    if (action === 'verify') verify.push(pick(fields, ['workspace', 'check', 'result', 'path', 'detail', 'want', 'got']));
+    if (action === 'error') error = msg;
+
+    const out = action === 'error' || action === 'stack' ? writeError : write;
+    if (format === 'json') out(JSON.stringify({ time: new Date().toISOString(), ...fields, message: msg }));
+    else out(msg);
+  }
+
+  function finish(exitCode) {
+    const mismatches = verify.filter((v) => v.result === 'mismatch');
+    return {
+      result: exitCode === 0 ? 'ok' : 'failed',
+      exitCode,
+      exitReason: error ?? (exitCode === 0 ? 'completed' : `exit code ${exitCode}`),
+      durationMs: Date.now() - started,
+      phases,
+      launches,
+      verify: { match: mismatches.length === 0, checks: verify.length, mismatches },
+    };
+  }
+
+  return { log, finish };
+}
+
+function pick(fields, keys) {
+  return Object.fromEntries(keys.filter((k) => fields[k] !== undefined).map((k) => [k, fields[k]]));
+}
+
+/**
+ * Text form of a report: phase timings, launch latencies, verify mismatches and the exit reason.
+ * @param {object} report - From finish()
+ * @returns {string}
+ */
+export function formatReport(report) {
+  const lines = ['--- Run report ---'];
+  for (const p of report.phases) {
+    lines.push(`Phase ${p.phase}: ${p.result} in ${p.durationMs} ms${p.error ? ` (${p.error})` : ''}`);
+  }
+  for (const l of report.launches) {
+    const attempts = l.attempts > 1 ? `, ${l.attempts} attempts` : '';
+    lines.push(`Launch ${l.workspace} / ${l.windowTitle}: ${l.result} after ${l.durationMs} ms${attempts}`);
+  }
+  if (report.verify.checks > 0) {
+    lines.push(`Verify: ${report.verify.match ? 'match' : `${report.verify.mismatches.length} mismatch(es)`}`);
+    for (const m of report.verify.mismatches) lines.push(`  ${m.workspace} ${m.check} at ${m.path}: ${m.detail}`);
+  }
+  lines.push(`Result: ${report.result} (${report.exitReason}) in ${report.durationMs} ms`);
+  return lines.join('\n');
+}
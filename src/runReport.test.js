@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { describe, it } from 'node:test';
+import { startDryRun } from './dryRun.js';
+import { createClient } from './glazeCommon.js';
+import { runOpenPhase } from './openWorkspaces.js';
+import { createRunReport, formatReport, timePhase } from './runReport.js';
+
+/** Report whose output lines are kept instead of printed. */
+function capturedReport(format) {
+  const out = [];
+  const err = [];
+  const report = createRunReport({ format, write: (line) => out.push(line), writeError: (line) => err.push(line) });
+  return { ...report, out, err };
+}
+
+describe('createRunReport', () => {
+  it('collects phases, launches, verify checks and the error from the fields', async () => {
+    const report = capturedReport('text');
+    await timePhase('open', { log: report.log }, async ({ log }) => {
+      log('Notes: window 1 after 120 ms (retried)', {
+        workspace: '2', windowTitle: 'Notes', action: 'launch', durationMs: 120, result: 'retried', attempts: 2,
+      });
+    });
+    await assert.rejects(timePhase('verify', { log: report.log }, async ({ log }) => {
+      log('match', { workspace: '2', action: 'verify', check: 'structure', result: 'match', path: 'workspace' });
+      log('mismatch', {
+        workspace: '2', action: 'verify', check: 'ratio', result: 'mismatch', path: 'workspace > [0]',
+        detail: 'want 0.5, got 0.6',
+      });
+      throw new Error('Layout does not match config');
+    }));
+    report.log('Layout does not match config', { action: 'error', result: 'failed' });
+
+    const result = report.finish(1);
+    assert.deepEqual(result.phases.map((p) => [p.phase, p.result, p.error]), [
+      ['open', 'ok', undefined],
+      ['verify', 'failed', 'Layout does not match config'],
+    ]);
+    assert.deepEqual(result.launches, [
+      { workspace: '2', windowTitle: 'Notes', durationMs: 120, result: 'retried', attempts: 2 },
+    ]);
+    assert.equal(result.verify.checks, 2);
+    assert.equal(result.verify.match, false);
+    assert.deepEqual(result.verify.mismatches.map((m) => m.detail), ['want 0.5, got 0.6']);
+    assert.deepEqual([result.result, result.exitCode], ['failed', 1]);
+    assert.equal(result.exitReason, 'Layout does not match config');
+    assert.deepEqual(report.err, ['Layout does not match config']);
+    assert.ok(report.out.includes('Notes: window 1 after 120 ms (retried)'));
+  });
+
+  it('prints JSON lines with the fields, the phase and the message', () => {
+    const report = capturedReport('json');
+    report.log('Opening: Notes', { phase: 'open', workspace: '2' });
+    const { time, ...line } = JSON.parse(report.out[0]);
+    assert.match(time, /^\d{4}-\d\d-\d\dT/);
+    assert.deepEqual(line, { phase: 'open', workspace: '2', message: 'Opening: Notes' });
+  });
+
+  it('reports a clean exit as completed and rejects unknown formats', () => {
+    const result = capturedReport('text').finish(0);
+    assert.deepEqual([result.result, result.exitReason], ['ok', 'completed']);
+    assert.deepEqual(result.verify, { match: true, checks: 0, mismatches: [] });
+    assert.equal(capturedReport('text').finish(2).exitReason, 'exit code 2');
+    assert.throws(() => createRunReport({ format: 'xml' }), /Unknown log format "xml" \(use text or json\)/);
+  });
+});
+
+describe('formatReport', () => {
+  it('lists phases, launches, verify mismatches and the result', () => {
+    const text = formatReport({
+      result: 'failed',
+      exitReason: 'Layout does not match config',
+      durationMs: 4200,
+      phases: [
+        { phase: 'open', durationMs: 3000, result: 'ok' },
+        { phase: 'verify', durationMs: 12, result: 'failed', error: 'Layout does not match config' },
+      ],
+      launches: [
+        { workspace: '2', windowTitle: 'Notes', durationMs: 800, result: 'opened', attempts: 1 },
+        { workspace: '2', windowTitle: 'Mail', durationMs: 2100, result: 'retried', attempts: 2 },
+      ],
+      verify: {
+        match: false,
+        checks: 3,
+        mismatches: [{ workspace: '2', check: 'ratio', path: 'workspace > [0]', detail: 'want 0.5, got 0.6' }],
+      },
+    });
+    assert.equal(text, [
+      '--- Run report ---',
+      'Phase open: ok in 3000 ms',
+      'Phase verify: failed in 12 ms (Layout does not match config)',
+      'Launch 2 / Notes: opened after 800 ms',
+      'Launch 2 / Mail: retried after 2100 ms, 2 attempts',
+      'Verify: 1 mismatch(es)',
+      '  2 ratio at workspace > [0]: want 0.5, got 0.6',
+      'Result: failed (Layout does not match config) in 4200 ms',
+    ].join('\n'));
+  });
+
+  it('leaves out verify when nothing was checked', () => {
+    const text = formatReport(capturedReport('text').finish(0));
+    assert.doesNotMatch(text, /Verify/);
+    assert.match(text, /^--- Run report ---\nResult: ok \(completed\) in \d+ ms$/);
+  });
+});
+
+describe('launch results from the open phase', () => {
+  it('reports one result per launch, also when its ready probes fail', async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    const dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    const client = await createClient({ port: dry.port });
+    try {
+      const config = {
+        open: { onFailure: 'skip' },
+        workspaces: [
+          {
+            name: '3',
+            children: [
+              { type: 'window', title: 'Notes', application: 'C:\\Apps\\notes.exe', ready: { titlePattern: 'Notes' } },
+              {
+                type: 'window',
+                title: 'Mail',
+                application: 'C:\\Apps\\mail.exe',
+                ready: { titlePattern: '^Inbox', timeoutMs: 300 },
+              },
+            ],
+          },
+        ],
+      };
+      const report = capturedReport('text');
+      await runOpenPhase(client, config, { sink: dry.sink, log: report.log });
+
+      const { launches } = report.finish(0);
+      assert.deepEqual(launches.map(({ windowTitle, result, error }) => [windowTitle, result, error]), [
+        ['Notes', 'opened', undefined],
+        ['Mail', 'opened', 'Window "Mail" not ready after 300 ms: titlePattern: title "Mail" does not match /^Inbox/'],
+      ]);
+    } finally {
+      await client.closeConnection();
+      await dry.close();
+    }
+  });
+});
@@ -1,73 +1,208 @@
 /**
  * GlazeWM Startup
  *
- * Main chain: clear workspaces -> open applications.
- * Loads config, connects client, runs clear phase then open phase.
+ * Main chain: clear workspaces -> open applications -> layout (+ verify) -> fullscreen.
+ * Loads and validates config, connects client, runs the requested phases in order.
+ * reconcile replaces clear + open: it keeps windows that already match the config.
+ * switchWorkspace runs the same chain for one workspace, taking its layout from a profile.
+ * watchFromConfig keeps running afterwards and restores workspaces that drift from the config.
+ * Before open / reconcile / layout, workspaces with a "monitor" are moved to that monitor.
  */
 
-import { WmClient } from 'glazewm';
 import { readFile } from 'fs/promises';
 import { runClearPhase } from './clearWorkspaces.js';
 import { runFullscreenPhase } from './fullscreenWindows.js';
-import { delay, runWithWorkspaceRestore } from './glazeCommon.js';
+import { createClient, runWithWorkspaceRestore } from './glazeCommon.js';
+import { placeWorkspacesOnMonitors } from './monitors.js';
 import { runOpenPhase } from './openWorkspaces.js';
 import { runLayoutPhase, runVerifyLayout } from './applyLayout.js';
+import { resolveProfile } from './profiles.js';
+import { runReconcilePhase } from './reconcileWorkspaces.js';
+import { timePhase } from './runReport.js';
+import { formatProblems, validateConfig } from './validateConfig.js';
+import { watchLayout } from './watchLayout.js';
 
-const CONNECT_DELAY_MS = 100;
-const LAYOUT_TO_FULLSCREEN_DELAY_MS = 3000;
+/** All phases in run order. */
+export const PHASES = ['clear', 'open', 'reconcile', 'layout', 'verify', 'fullscreen'];
 
-/** All phases in default order. */
-export const PHASES = ['clear', 'open', 'layout', 'fullscreen'];
+/** Phases that need workspaces on their configured monitors first. */
+const MONITOR_PHASES = ['open', 'reconcile', 'layout'];
+
+/** Phases run when none are given. */
+export const DEFAULT_PHASES = ['clear', 'open', 'layout', 'fullscreen'];
+
+/** Error for the failures runLayoutPhase returned, so the run exits non-zero. */
+function layoutFailedError(failures) {
+  return new Error(`Layout failed: ${failures.map((f) => `workspace ${f.workspace}: ${f.message}`).join('; ')}`);
+}
+
+/** Whether any config workspace is bound to a monitor (see placeWorkspacesOnMonitors). */
+function hasMonitors(config) {
+  return (config.workspaces ?? []).some((ws) => ws?.monitor);
+}
 
 /**
  * Load config from path.
  * @param {string} configPath - Path to config.json
- * @returns {Promise<object>} - Config with workspaces[]
+ * @returns {Promise<object>} - Config with workspaces[] (and profiles, if any; see resolveProfile)
  */
 export async function loadConfig(configPath) {
   const raw = await readFile(configPath, 'utf-8');
   return JSON.parse(raw);
 }
 
+/**
+ * Load config from path and resolve a profile (see profiles.js).
+ * @param {string} configPath - Path to config.json
+ * @param {string} [profile] - Profile name; omit for the base config
+ * @returns {Promise<object>} - Config with workspaces[], no profiles
+ */
+export async function loadProfile(configPath, profile) {
+  return resolveProfile(await loadConfig(configPath), profile);
+}
+
+/**
+ * Load a profile and validate it. Throws with every problem if it is invalid.
+ * @param {string} configPath - Path to config.json
+ * @param {string} [profile] - Profile name; omit for the base config
+ * @param {{ log: (msg: string) => void, checkPaths?: boolean }} opts
+ * @returns {Promise<object>} - Resolved config
+ */
+async function loadValidConfig(configPath, profile, opts) {
+  const config = await loadProfile(configPath, profile);
+  const label = profile != null ? `${configPath} (profile ${profile})` : configPath;
+
+  const problems = await validateConfig(config, { checkPaths: opts.checkPaths });
+  if (problems.length > 0) {
+    throw new Error(`Invalid config ${label}:\n${formatProblems(problems)}`);
+  }
+  if (profile != null) opts.log(`Using profile ${profile}`);
+  return config;
+}
+
 /**
  * Run selected phases in order. Loads config, creates client, runs each requested phase.
  *
  * @param {string} configPath - Path to config.json (default: config.json)
- * @param {{ log?: (msg: string) => void, phases?: string[], workspaceName?: string }} opts
- *   - phases: list of 'clear' | 'open' | 'layout' | 'fullscreen' (default: all)
+ * @param {{ log?: (msg: string, fields?: object) => void, phases?: string[], workspaceName?: string, port?: number, sink?: object, checkPaths?: boolean, profile?: string }} opts
+ *   - log: also gets structured fields per line, tagged with the phase; each phase ends with an action "phase"
+ *     line with its duration (see runReport.js)
+ *   - phases: list of 'clear' | 'open' | 'reconcile' | 'layout' | 'verify' | 'fullscreen' (default: DEFAULT_PHASES);
+ *     reconcile cannot be combined with clear or open. layout is always followed by verify; verify on its own
+ *     checks the current desktop against the config and fails the run if anything differs. A workspace layout
+ *     could not build (see runLayoutPhase) fails the run after verify, before fullscreen
  *   - workspaceName: for fullscreen phase only, run fullscreen for this workspace (e.g. "2"); omit for all workspaces
+ *   - port: IPC port (default: GlazeWM's 6123; the mock server uses another)
+ *   - sink: where commands, spawns and key presses go (see commandSink.js; default: live, e.g. a dry-run sink from dryRun.js)
+ *   - checkPaths: check .exe / .lnk / .bat / .cmd paths and cwd exist and ${VAR}s are set during validation (default: on Windows only)
+ *   - profile: config profile to run (default: the base config); every phase runs on the resolved profile
  */
 export async function startupFromConfig(configPath = 'config.json', opts = {}) {
   const log = opts.log ?? ((msg) => console.log(msg));
-  const phases = opts.phases?.length ? opts.phases : PHASES;
+  const phases = opts.phases?.length ? opts.phases : DEFAULT_PHASES;
   const workspaceName = opts.workspaceName;
+  if (phases.includes('reconcile') && (phases.includes('clear') || phases.includes('open'))) {
+    throw new Error('reconcile runs in place of clear and open; do not combine them');
+  }
 
-  const config = await loadConfig(configPath);
+  const config = await loadValidConfig(configPath, opts.profile, { log, checkPaths: opts.checkPaths });
 
   if (!(config?.workspaces?.length > 0)) {
     log('No workspaces defined in config');
     return;
   }
 
-  const client = new WmClient();
-  client.onConnect(() => log('Connected to GlazeWM'));
-  client.onDisconnect(() => log('Disconnected from GlazeWM'));
-  client.onError((err) => log(`GlazeWM error: ${err}`));
-
-  await delay(CONNECT_DELAY_MS);
+  const client = await createClient({ log, port: opts.port });
   log('Querying workspaces and windows...');
 
-  const runOpts = { log, workspaceName };
+  const runOpts = { log, workspaceName, sink: opts.sink };
+
+  await runWithWorkspaceRestore(client, runOpts, async (client, innerOpts) => {
+    const run = (phase, fn) => timePhase(phase, innerOpts, (phaseOpts) => fn(client, config, phaseOpts));
+    if (phases.includes('clear')) await run('clear', runClearPhase);
+    if (MONITOR_PHASES.some((p) => phases.includes(p)) && hasMonitors(config)) await run('monitors', placeWorkspacesOnMonitors);
+    if (phases.includes('open')) await run('open', runOpenPhase);
+    if (phases.includes('reconcile')) await run('reconcile', runReconcilePhase);
+    const layoutFailures = phases.includes('layout') ? await run('layout', runLayoutPhase) : [];
+    if (phases.includes('layout') || phases.includes('verify')) {
+      const matches = await run('verify', runVerifyLayout);
+      if (!matches && phases.includes('verify')) throw new Error('Layout does not match config (see the diff above)');
+    }
+    if (layoutFailures.length > 0) throw layoutFailedError(layoutFailures);
+    if (phases.includes('fullscreen')) await run('fullscreen', runFullscreenPhase);
+  });
+}
+
+/**
+ * Switch one workspace to the arrangement a profile gives it (e.g. "coding" -> "review"): clear it (or
+ * reconcile it, keeping windows that already fit), open what the profile's workspace needs, then layout and
+ * fullscreen. Other workspaces are not touched; windows on them are never moved in.
+ *
+ * @param {string} configPath - Path to config.json
+ * @param {string} workspaceName - Workspace to switch (e.g. "2")
+ * @param {string} layoutName - Profile whose version of the workspace to apply
+ * @param {{ log?: (msg: string) => void, reconcile?: boolean, port?: number, sink?: object, checkPaths?: boolean }} opts
+ *   - reconcile: keep matching windows already on the workspace instead of clearing it
+ *   - port, sink, checkPaths: as for startupFromConfig
+ */
+export async function switchWorkspace(configPath, workspaceName, layoutName, opts = {}) {
+  const log = opts.log ?? ((msg) => console.log(msg));
+
+  const profileConfig = await loadValidConfig(configPath, layoutName, { log, checkPaths: opts.checkPaths });
+  const workspace = profileConfig.workspaces?.find((ws) => ws?.name === workspaceName);
+  if (!workspace) {
+    throw new Error(`Profile "${layoutName}" has no workspace "${workspaceName}"`);
+  }
+  const config = { ...profileConfig, workspaces: [workspace] };
+
+  const client = await createClient({ log, port: opts.port });
+  log(`Switching workspace ${workspaceName} to ${layoutName}`);
+
+  const runOpts = { log, workspaceName, sink: opts.sink };
 
   await runWithWorkspaceRestore(client, runOpts, async (client, innerOpts) => {
-    if (phases.includes('clear')) await runClearPhase(client, config, { log });
-    if (phases.includes('open')) await runOpenPhase(client, config, innerOpts);
-    if (phases.includes('layout')) {
-      await runLayoutPhase(client, config, innerOpts);
-      await runVerifyLayout(client, config, { log });
+    const run = (phase, fn, extra) => timePhase(phase, innerOpts, (phaseOpts) => fn(client, config, { ...phaseOpts, ...extra }));
+    if (!opts.reconcile) await run('clear', runClearPhase);
+    if (hasMonitors(config)) await run('monitors', placeWorkspacesOnMonitors);
+    if (opts.reconcile) {
+      await run('reconcile', runReconcilePhase, { configuredWorkspacesOnly: true });
+    } else {
+      await run('open', runOpenPhase);
     }
-    // TODO - determine why this delay is necessary (I think Firefox just needs time to load)
-    if (phases.includes('layout') && phases.includes('fullscreen')) await delay(LAYOUT_TO_FULLSCREEN_DELAY_MS);
-    if (phases.includes('fullscreen')) await runFullscreenPhase(client, config, innerOpts);
+    const layoutFailures = await run('layout', runLayoutPhase);
+    await run('verify', runVerifyLayout);
+    if (layoutFailures.length > 0) throw layoutFailedError(layoutFailures);
+    await run('fullscreen', runFullscreenPhase);
   });
 }
+
+/**
+ * Watch the configured workspaces and restore layout drift (see watchLayout.js) until SIGINT / SIGTERM or
+ * opts.signal aborts, then unsubscribe and close the connection.
+ *
+ * @param {string} configPath - Path to config.json
+ * @param {{ log?: (msg: string) => void, port?: number, sink?: object, checkPaths?: boolean, profile?: string, signal?: AbortSignal }} opts
+ *   - port, sink, checkPaths, profile: as for startupFromConfig
+ *   - signal: stops watching when aborted (in addition to SIGINT / SIGTERM)
+ */
+export async function watchFromConfig(configPath = 'config.json', opts = {}) {
+  const log = opts.log ?? ((msg) => console.log(msg));
+
+  const config = await loadValidConfig(configPath, opts.profile, { log, checkPaths: opts.checkPaths });
+  const client = await createClient({ log, port: opts.port });
+  const watcher = await watchLayout(client, config, { log, sink: opts.sink });
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+    opts.signal?.addEventListener('abort', resolve, { once: true });
+  });
+
+  log('Stopping watch');
+  await watcher.stop();
+  if (typeof client.closeConnection === 'function') {
+    await client.closeConnection();
+  } else if (typeof client.close === 'function') {
+    client.close();
+  }
+}
@@ -0,0 +1,163 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { runLayoutPhase, runVerifyLayout } from './applyLayout.js';
+import { runClearPhase } from './clearWorkspaces.js';
+import { startDryRun } from './dryRun.js';
+import { runFullscreenPhase } from './fullscreenWindows.js';
+import { createClient } from './glazeCommon.js';
+import { runOpenPhase } from './openWorkspaces.js';
+import { findAllWindows, flattenApplications } from './parseWorkspace.js';
+import { runReconcilePhase } from './reconcileWorkspaces.js';
+import { switchWorkspace } from './startup.js';
+
+const readJson = async (path) => JSON.parse(await readFile(new URL(path, import.meta.url), 'utf-8'));
+
+/** Simulator seeded from workspace-example.json, a client on it and the dry-run sink; see dryRun.js. */
+async function startDesktop() {
+  const dry = await startDryRun(await readJson('../workspace-example.json'), { print: () => {}, port: 0 });
+  const client = await createClient({ port: dry.port });
+  return {
+    dry,
+    client,
+    opts: { sink: dry.sink },
+    workspace: (name) => dry.simulator.getWorkspaces().find((ws) => ws.name === name),
+    close: async () => {
+      await client.closeConnection();
+      await dry.close();
+    },
+  };
+}
+
+describe('startup phases on the simulator (config-example.json)', () => {
+  let desktop;
+  let config;
+  before(async () => {
+    desktop = await startDesktop();
+    config = await readJson('../config-example.json');
+  });
+  after(() => desktop.close());
+
+  it('clears, opens, lays out and fullscreens workspace 2 as configured', async () => {
+    const { client, opts } = desktop;
+    await runClearPhase(client, config, opts);
+    assert.equal(findAllWindows(desktop.workspace('2')).length, 0);
+
+    const summary = await runOpenPhase(client, config, opts);
+    assert.deepEqual(new Set(summary.map((row) => row.status)), new Set(['opened']));
+    assert.deepEqual(await runLayoutPhase(client, config, opts), []);
+    assert.equal(await runVerifyLayout(client, config, opts), true);
+    await runFullscreenPhase(client, config, opts);
+
+    const [wsConfig] = config.workspaces;
+    const live = findAllWindows(desktop.workspace('2'));
+    assert.deepEqual(live.map((w) => w.title), flattenApplications(wsConfig).map((node) => node.title));
+    const fullscreen = flattenApplications(wsConfig).filter((node) => node.fullscreen).map((node) => node.title);
+    assert.deepEqual(live.filter((w) => w.state?.type === 'fullscreen').map((w) => w.title), fullscreen);
+  });
+
+  it('leaves other workspaces alone', () => {
+    assert.equal(findAllWindows(desktop.workspace('1')).length, 6);
+    assert.equal(findAllWindows(desktop.workspace('3')).length, 1);
+  });
+});
+
+describe('reconcile on the simulator', () => {
+  let desktop;
+  before(async () => {
+    desktop = await startDesktop();
+  });
+  after(() => desktop.close());
+
+  it('keeps the windows that already match and launches nothing', async () => {
+    const { client, opts } = desktop;
+    const config = await readJson('../config-example.json');
+    const before = findAllWindows(desktop.workspace('2')).map((w) => w.id);
+
+    const summary = await runReconcilePhase(client, config, opts);
+    assert.deepEqual(new Set(summary.map((row) => row.status)), new Set(['kept']));
+    assert.deepEqual(await runLayoutPhase(client, config, opts), []);
+    assert.equal(await runVerifyLayout(client, config, opts), true);
+    assert.deepEqual(new Set(findAllWindows(desktop.workspace('2')).map((w) => w.id)), new Set(before));
+  });
+});
+
+describe('layout failures', () => {
+  let desktop;
+  before(async () => {
+    desktop = await startDesktop();
+  });
+  after(() => desktop.close());
+
+  it('returns a workspace whose windows do not match the config', async () => {
+    const config = await readJson('../config-example.json');
+    config.workspaces[0].children.push({ type: 'window', title: 'Not open', path: 'C:\\notopen.exe' });
+
+    const failures = await runLayoutPhase(desktop.client, config, desktop.opts);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].workspace, '2');
+    assert.match(failures[0].message, /7 windows, 8 in config/);
+  });
+});
+
+describe('switchWorkspace on the simulator', () => {
+  let desktop;
+  let dir;
+  let configPath;
+  before(async () => {
+    desktop = await startDesktop();
+    dir = await mkdtemp(join(tmpdir(), 'switch-'));
+    configPath = join(dir, 'config.json');
+    const config = await readJson('../config-example.json');
+    config.workspaces.push({
+      name: '3',
+      children: [{ type: 'window', title: 'Calculator', application: 'Microsoft.WindowsCalculator_8wekyb3d8bbwe!App' }],
+    });
+    const phoneSplit = (whatsApp) => {
+      const windows = [{ title: 'WhatsApp', tilingSize: whatsApp }, { title: 'Phone Link', tilingSize: 1 - whatsApp }];
+      return { workspaces: [{ name: '2', windows }] };
+    };
+    config.profiles = { chat: phoneSplit(0.7), calls: phoneSplit(0.3) };
+    await writeFile(configPath, JSON.stringify(config));
+  });
+  after(async () => {
+    await desktop.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /** switchWorkspace ends the process when done; record the exit code instead. */
+  async function runSwitch(t, layoutName, opts = {}) {
+    const exit = t.mock.method(process, 'exit', () => {});
+    const switchOpts = { port: desktop.dry.port, sink: desktop.dry.sink, checkPaths: false, log: () => {}, ...opts };
+    await switchWorkspace(configPath, '2', layoutName, switchOpts);
+    return exit.mock.calls.map((call) => call.arguments[0]);
+  }
+  const idsIn = (name) => findAllWindows(desktop.workspace(name)).map((w) => w.id);
+  const whatsAppSize = () => findAllWindows(desktop.workspace('2')).find((w) => w.title === 'WhatsApp').tilingSize;
+
+  it('clears, reopens and lays out only the switched workspace', async (t) => {
+    const others = [idsIn('1'), idsIn('3')];
+    const ws2 = idsIn('2');
+
+    assert.deepEqual(await runSwitch(t, 'chat'), [0]);
+    assert.deepEqual([idsIn('1'), idsIn('3')], others);
+    assert.ok(Math.abs(whatsAppSize() - 0.7) < 0.01, `WhatsApp tilingSize ${whatsAppSize()}`);
+    assert.equal(idsIn('2').length, ws2.length);
+    assert.ok(!idsIn('2').some((id) => ws2.includes(id)), 'workspace 2 holds newly opened windows');
+  });
+
+  it('with reconcile, keeps the windows already there and leaves windows elsewhere where they are', async (t) => {
+    const others = [idsIn('1'), idsIn('3')];
+    const ws2 = idsIn('2');
+    const planned = desktop.dry.sink.plan.length;
+
+    assert.deepEqual(await runSwitch(t, 'calls', { reconcile: true }), [0]);
+    assert.deepEqual([idsIn('1'), idsIn('3')], others);
+    assert.ok(Math.abs(whatsAppSize() - 0.3) < 0.01, `WhatsApp tilingSize ${whatsAppSize()}`);
+    assert.deepEqual(new Set(idsIn('2')), new Set(ws2));
+    const plan = desktop.dry.sink.plan.slice(planned);
+    assert.ok(!plan.some((line) => line.startsWith('spawn ') || line.endsWith(' close')), plan.join('\n'));
+  });
+});
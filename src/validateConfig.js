@@ -0,0 +1,223 @@
+/**
+ * Config validation
+ *
+ * Checks config.json against config.schema.json (workspace/split/window tree), then semantic checks
+ * the schema can't express: sibling tilingSize sums (floating / minimized windows left out), duplicate workspace
+ * names, leftover "FILL ME IN", invalid titlePattern / ready.titlePattern regexes, placements without state
+ * "floating" or with fractions outside 0–1, link together with links, browser app mode on Firefox or without exactly one link,
+ * unknown launchers or args / links / cwd / env for a launcher that drops them, env with runAsAdmin, malformed
+ * ${VAR} references, and (on Windows) whether .exe, .lnk, .bat and .cmd paths and cwd exist and ${VAR}s are set.
+ * Every problem is reported with its JSON path, e.g. workspaces[0].children[2].tilingDirection.
+ */
+
+import Ajv from 'ajv';
+import { access, readFile } from 'fs/promises';
+import { browserTypeOf, linksOf, supportsAppMode } from './browsers.js';
+import { envReferences, expandEnvVars, launcherFor } from './launchers.js';
+import { isNonTilingWindow, windowStateOf } from './parseWorkspace.js';
+
+/** Allowed deviation of sibling tilingSize sums from 1. */
+const RATIO_SUM_TOLERANCE = 0.01;
+
+const isWindows = process.platform === 'win32';
+
+const schema = JSON.parse(await readFile(new URL('../config.schema.json', import.meta.url), 'utf-8'));
+const validateSchema = new Ajv({ allErrors: true, strict: false }).compile(schema);
+
+/**
+ * Convert an ajv instancePath ("/workspaces/0/children/1") to a JSON path ("workspaces[0].children[1]").
+ */
+function toJsonPath(instancePath) {
+  return instancePath
+    .split('/')
+    .filter(Boolean)
+    .reduce((path, part) => (/^\d+$/.test(part) ? `${path}[${part}]` : path ? `${path}.${part}` : part), '');
+}
+
+/**
+ * Turn ajv errors into { path, message } problems. Drops the if/then wrapper errors and
+ * duplicates that allErrors produces for the same path and message.
+ */
+function schemaProblems(errors) {
+  const problems = [];
+  const seen = new Set();
+  for (const err of errors ?? []) {
+    if (err.keyword === 'if') continue;
+    let path = toJsonPath(err.instancePath);
+    let message = err.message ?? 'is invalid';
+    if (err.keyword === 'enum') {
+      message = `must be one of: ${err.params.allowedValues.join(', ')}`;
+    } else if (err.keyword === 'additionalProperties') {
+      path = path ? `${path}.${err.params.additionalProperty}` : err.params.additionalProperty;
+      message = 'unknown property';
+    } else if (err.keyword === 'required') {
+      message = `missing required property "${err.params.missingProperty}"`;
+    } else if (err.keyword === 'minItems' && path.endsWith('children')) {
+      message = 'must have at least one child';
+    }
+    const key = `${path}\0${message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    problems.push({ path, message });
+  }
+  return problems;
+}
+
+/**
+ * Walk workspaces and their children, calling visit(node, path, parent) for every workspace/split/window node.
+ */
+function walkConfig(config, visit) {
+  function walk(node, path, parent) {
+    visit(node, path, parent);
+    if (Array.isArray(node?.children)) node.children.forEach((child, i) => walk(child, `${path}.children[${i}]`, node));
+  }
+  if (Array.isArray(config?.workspaces)) config.workspaces.forEach((ws, i) => walk(ws, `workspaces[${i}]`, null));
+}
+
+/**
+ * Semantic checks the schema can't express. Tolerates configs that failed the schema.
+ * @param {object} config
+ * @param {{ checkPaths?: boolean }} opts
+ * @returns {Promise<Array<{ path: string, message: string }>>}
+ */
+async function semanticProblems(config, opts = {}) {
+  const problems = [];
+  const exeChecks = [];
+
+  const names = new Map();
+  (Array.isArray(config?.workspaces) ? config.workspaces : []).forEach((ws, i) => {
+    if (ws?.name == null) return;
+    if (names.has(ws.name)) {
+      problems.push({ path: `workspaces[${i}].name`, message: `duplicate workspace name "${ws.name}" (also workspaces[${names.get(ws.name)}])` });
+    } else {
+      names.set(ws.name, i);
+    }
+  });
+
+  walkConfig(config, (node, path) => {
+    const children = Array.isArray(node?.children) ? node.children.filter((c) => !isNonTilingWindow(c)) : [];
+    const sizes = children.map((c) => c?.tilingSize ?? c?.tiling_size);
+    if (children.length > 0 && sizes.every((s) => typeof s === 'number')) {
+      const sum = sizes.reduce((a, b) => a + b, 0);
+      if (Math.abs(sum - 1) > RATIO_SUM_TOLERANCE) {
+        problems.push({ path: `${path}.children`, message: `tilingSize values sum to ${sum.toFixed(4)}, expected 1` });
+      }
+    }
+
+    if (node?.type !== 'window') return;
+    const application = node.application ?? node.path;
+    if (application == null) {
+      problems.push({ path, message: 'window needs "application" (or "path")' });
+    } else if (application === 'FILL ME IN') {
+      problems.push({ path: `${path}.application`, message: 'placeholder "FILL ME IN" was never filled in' });
+    } else if (opts.checkPaths && /\.(exe|lnk|bat|cmd)$/i.test(application) && /[\\/]/.test(application)) {
+      exeChecks.push(
+        access(application).catch(() => {
+          problems.push({ path: `${path}.${node.application != null ? 'application' : 'path'}`, message: `file not found: ${application}` });
+        }),
+      );
+    }
+    if (node.placement != null) {
+      if (windowStateOf(node) !== 'floating') {
+        problems.push({ path: `${path}.placement`, message: 'placement only applies to windows with state "floating"' });
+      }
+      if (node.placement.unit === 'fraction') {
+        for (const key of ['x', 'y', 'width', 'height']) {
+          const v = node.placement[key];
+          if (typeof v === 'number' && (v < 0 || v > 1)) {
+            problems.push({ path: `${path}.placement.${key}`, message: `fraction must be between 0 and 1, got ${v}` });
+          }
+        }
+      }
+    }
+    if (application != null && application !== 'FILL ME IN') {
+      let launcher = null;
+      try {
+        launcher = launcherFor(node);
+      } catch (e) {
+        problems.push({ path: `${path}.launcher`, message: e.message });
+      }
+      if (launcher && !launcher.takesArgs) {
+        if (node.args != null) problems.push({ path: `${path}.args`, message: `the ${launcher.name} launcher takes no args` });
+        if (linksOf(node).length > 0) problems.push({ path: `${path}.${node.links != null ? 'links' : 'link'}`, message: `the ${launcher.name} launcher takes no links` });
+        for (const field of ['cwd', 'env']) {
+          if (node[field] != null) problems.push({ path: `${path}.${field}`, message: `the ${launcher.name} launcher takes no ${field}` });
+        }
+      }
+    }
+    if (node.runAsAdmin === true && node.env != null) {
+      problems.push({ path: `${path}.env`, message: 'env is not passed to processes started with runAsAdmin' });
+    }
+    const envValues = [
+      ...(node.cwd != null ? [[`${path}.cwd`, node.cwd]] : []),
+      ...Object.entries(node.env ?? {}).map(([name, value]) => [`${path}.env.${name}`, value]),
+    ];
+    for (const [valuePath, value] of envValues) {
+      const { names, invalid } = envReferences(value);
+      for (const ref of invalid) problems.push({ path: valuePath, message: `invalid variable reference ${ref}` });
+      if (opts.checkPaths) {
+        for (const name of names.filter((n) => process.env[n] === undefined)) {
+          problems.push({ path: valuePath, message: `environment variable ${name} is not set` });
+        }
+      }
+    }
+    if (opts.checkPaths && node.cwd != null) {
+      let cwd = null;
+      try {
+        cwd = expandEnvVars(node.cwd, process.env, 'cwd');
+      } catch {
+        // Malformed or unset variable, reported above
+      }
+      if (cwd) {
+        exeChecks.push(
+          access(cwd).catch(() => {
+            problems.push({ path: `${path}.cwd`, message: `directory not found: ${cwd}` });
+          }),
+        );
+      }
+    }
+    if (node.link != null && node.links != null) {
+      problems.push({ path: `${path}.links`, message: 'use either "link" or "links", not both' });
+    }
+    if (node.browser?.appMode === true) {
+      const type = browserTypeOf(node);
+      if (type && !supportsAppMode(type)) {
+        problems.push({ path: `${path}.browser.appMode`, message: `${type} has no app mode` });
+      }
+      if (linksOf(node).length !== 1) {
+        problems.push({ path: `${path}.browser.appMode`, message: 'app mode opens exactly one link' });
+      }
+    }
+    for (const [patternPath, pattern] of [[`${path}.titlePattern`, node.titlePattern], [`${path}.ready.titlePattern`, node.ready?.titlePattern]]) {
+      if (pattern == null) continue;
+      try {
+        new RegExp(pattern);
+      } catch (err) {
+        problems.push({ path: patternPath, message: `invalid regex: ${err.message}` });
+      }
+    }
+  });
+
+  await Promise.all(exeChecks);
+  return problems;
+}
+
+/**
+ * Validate a loaded config: schema problems, then semantic problems.
+ * @param {object} config - Parsed config.json
+ * @param {{ checkPaths?: boolean }} opts - checkPaths: check .exe / .lnk / .bat / .cmd paths and cwd exist and ${VAR}s are set (default: on Windows only)
+ * @returns {Promise<Array<{ path: string, message: string }>>} Every problem found; empty if valid
+ */
+export async function validateConfig(config, opts = {}) {
+  const problems = validateSchema(config) ? [] : schemaProblems(validateSchema.errors);
+  return [...problems, ...(await semanticProblems(config, { checkPaths: opts.checkPaths ?? isWindows }))];
+}
+
+/**
+ * Format problems one per line: "  <path>: <message>".
+ * @param {Array<{ path: string, message: string }>} problems
+ * @returns {string}
+ */
+export function formatProblems(problems) {
+  return problems.map(({ path, message }) => `  ${path || '(root)'}: ${message}`).join('\n');
+}
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { resolveProfile } from './profiles.js';
+import { formatProblems, validateConfig } from './validateConfig.js';
+
+const window = (title, fields = {}) => ({ type: 'window', title, application: 'C:\\Apps\\app.exe', ...fields });
+
+/** One workspace with two windows sized 0.5 / 0.5; valid unless a case changes it. */
+function config() {
+  return {
+    workspaces: [
+      {
+        name: '1',
+        tilingDirection: 'horizontal',
+        children: [window('A', { tilingSize: 0.5 }), window('B', { tilingSize: 0.5 })],
+      },
+    ],
+  };
+}
+
+describe('validateConfig problems', () => {
+  const cases = [
+    {
+      name: 'bad enum',
+      change: (c) => {
+        c.workspaces[0].tilingDirection = 'diagonal';
+      },
+      want: [{ path: 'workspaces[0].tilingDirection', message: 'must be one of: horizontal, vertical' }],
+    },
+    {
+      name: 'unknown key',
+      change: (c) => {
+        c.workspaces[0].children[0].colour = 'red';
+      },
+      want: [{ path: 'workspaces[0].children[0].colour', message: 'unknown property' }],
+    },
+    {
+      name: 'missing application',
+      change: (c) => {
+        delete c.workspaces[0].children[1].application;
+      },
+      want: [{ path: 'workspaces[0].children[1]', message: 'window needs "application" (or "path")' }],
+    },
+    {
+      name: 'duplicate workspace',
+      change: (c) => {
+        c.workspaces.push({ name: '1', children: [window('C')] });
+      },
+      want: [{ path: 'workspaces[1].name', message: 'duplicate workspace name "1" (also workspaces[0])' }],
+    },
+    {
+      name: 'tilingSize sum in a nested split',
+      change: (c) => {
+        c.workspaces[0].children[1] = {
+          type: 'split',
+          tilingSize: 0.5,
+          children: [window('B', { tilingSize: 0.5 }), window('C', { tilingSize: 0.3 })],
+        };
+      },
+      want: [{ path: 'workspaces[0].children[1].children', message: 'tilingSize values sum to 0.8000, expected 1' }],
+    },
+    {
+      name: 'invalid titlePattern',
+      change: (c) => {
+        c.workspaces[0].children[0].titlePattern = '(';
+      },
+      want: [{ path: 'workspaces[0].children[0].titlePattern', message: /^invalid regex: / }],
+    },
+  ];
+
+  for (const { name, change, want } of cases) {
+    it(name, async () => {
+      const c = config();
+      change(c);
+      const problems = await validateConfig(c, { checkPaths: false });
+      assert.equal(problems.length, want.length, formatProblems(problems));
+      problems.forEach((problem, i) => {
+        assert.equal(problem.path, want[i].path);
+        if (want[i].message instanceof RegExp) assert.match(problem.message, want[i].message);
+        else assert.equal(problem.message, want[i].message);
+      });
+    });
+  }
+
+  it('finds nothing in a valid config', async () => {
+    assert.deepEqual(await validateConfig(config(), { checkPaths: false }), []);
+  });
+});
+
+describe('validateConfig path checks', () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'validate-'));
+    await writeFile(join(dir, 'a.exe'), '');
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('reports a missing file path under application or path', async () => {
+    const c = config();
+    c.workspaces[0].children[0].application = join(dir, 'a.exe');
+    c.workspaces[0].children[1] = { type: 'window', title: 'B', path: join(dir, 'b.exe'), tilingSize: 0.5 };
+    assert.deepEqual(await validateConfig(c, { checkPaths: true }), [
+      { path: 'workspaces[0].children[1].path', message: `file not found: ${join(dir, 'b.exe')}` },
+    ]);
+  });
+
+  it('skips path checks when checkPaths is off', async () => {
+    const c = config();
+    c.workspaces[0].children[0].application = 'C:\\Missing\\a.exe';
+    assert.deepEqual(await validateConfig(c, { checkPaths: false }), []);
+  });
+});
+
+describe('validateConfig on resolved profiles', () => {
+  it('reports problems a profile merges in, with paths into the merged config', async () => {
+    const c = config();
+    c.profiles = {
+      wide: { workspaces: [{ name: '1', windows: [{ title: 'A', tilingSize: 0.8 }] }] },
+      sideways: { workspaces: [{ name: '1', tilingDirection: 'sideways' }] },
+    };
+    assert.deepEqual(await validateConfig(c, { checkPaths: false }), []);
+    assert.deepEqual(await validateConfig(resolveProfile(c, 'wide'), { checkPaths: false }), [
+      { path: 'workspaces[0].children', message: 'tilingSize values sum to 1.3000, expected 1' },
+    ]);
+    assert.deepEqual(await validateConfig(resolveProfile(c, 'sideways'), { checkPaths: false }), [
+      { path: 'workspaces[0].tilingDirection', message: 'must be one of: horizontal, vertical' },
+    ]);
+  });
+
+  it('leaves a patch that cannot be merged to resolveProfile', () => {
+    const c = config();
+    c.profiles = { typo: { workspaces: [{ name: '1', windows: [{ title: 'a', fullscreen: true }] }] } };
+    assert.throws(() => resolveProfile(c, 'typo'), /workspace "1" has no window titled "a"/);
+  });
+});
+
+describe('formatProblems', () => {
+  it('prints one problem per line, (root) for an empty path', () => {
+    const text = formatProblems([
+      { path: '', message: 'must have required property "workspaces"' },
+      { path: 'workspaces[0].name', message: 'duplicate' },
+    ]);
+    assert.equal(text, '  (root): must have required property "workspaces"\n  workspaces[0].name: duplicate');
+  });
+});
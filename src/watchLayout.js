@@ -0,0 +1,226 @@
+/**
+ * GlazeWM Watch Layout
+ *
+ * Long-running after startup: stays subscribed to WINDOW_MANAGED, WINDOW_UNMANAGED, TILING_DIRECTION_CHANGED
+ * and FOCUSED_CONTAINER_MOVED on one client and, once events settle (debounce), compares every configured
+ * workspace with its config (verifyWorkspaceLayout). Resizing a split emits no event; config watch.intervalMs
+ * adds a periodic check for that. Only the workspaces that drifted get the layout
+ * phase again. With config watch.relaunch, config windows that were closed are opened again first
+ * (open phase with alreadyOpen) and fullscreened if configured. Windows not in the config are left alone, and so
+ * is their workspace, unless config watch.extraWindows is "close": then they are closed first (clear ladder,
+ * config.clear).
+ *
+ * A workspace whose re-apply does not fix its drift is retried at most MAX_RESTORE_ATTEMPTS times in a row;
+ * it is tried again after a window on it is managed or unmanaged. Windows that open or close while a restore runs
+ * (the watcher's own, or an app's reply to them) do not count, or such a workspace would be restored forever.
+ */
+
+import { WmEventType } from 'glazewm';
+import { runLayoutPhase, verifyWorkspaceLayout } from './applyLayout.js';
+import { fullscreenWindowIds, getFullscreenWindowIdsForWorkspace } from './fullscreenWindows.js';
+import { closeWindowWithEscalation } from './clearWorkspaces.js';
+import { focusWorkspace, getCurrentWorkspace } from './glazeCommon.js';
+import { matchWorkspaceWindows, withoutSkippedWindows } from './matchWindows.js';
+import { runOpenPhase } from './openWorkspaces.js';
+import { findAllWindows, flattenApplications } from './parseWorkspace.js';
+
+/** Default for config watch.debounceMs: quiet time after the last event before checking. */
+const DEFAULT_DEBOUNCE_MS = 2000;
+/** Re-applies in a row that may leave a workspace drifted before the watcher leaves it alone. */
+const MAX_RESTORE_ATTEMPTS = 3;
+
+/** Events that can mean drift. */
+const WATCH_EVENTS = [
+  WmEventType.WINDOW_MANAGED,
+  WmEventType.WINDOW_UNMANAGED,
+  WmEventType.TILING_DIRECTION_CHANGED,
+  WmEventType.FOCUSED_CONTAINER_MOVED,
+];
+
+/**
+ * How a live workspace differs from its config.
+ * @returns {Promise<{ missing: object[], kept: object[], keptIds: Set<string>, extra: object[], reasons: string[] }>}
+ *   missing / kept: config windows without / with a live window (keptIds: their window ids); extra: live windows
+ *   not in the config; reasons: one line per mismatch (empty if the workspace matches)
+ */
+async function workspaceDrift(client, workspace, liveWs) {
+  const apps = flattenApplications(workspace);
+  const { windows, unmatchedWindows: extra } = matchWorkspaceWindows(workspace, liveWs);
+  const missing = apps.filter((_, i) => !windows[i]);
+  const kept = apps.filter((_, i) => windows[i]);
+  const keptIds = new Set(windows.filter(Boolean).map((w) => w.id));
+  const reasons = [];
+  if (missing.length > 0) reasons.push(`${missing.length} window(s) missing: ${missing.map((a) => a.title ?? a.name ?? 'Unknown').join(', ')}`);
+  if (extra.length > 0) reasons.push(`${extra.length} window(s) not in config: ${extra.map((w) => w.title ?? w.id).join(', ')}`);
+  if (reasons.length > 0) return { missing, kept, keptIds, extra, reasons };
+
+  const { structure, ratios, states } = await verifyWorkspaceLayout(client, workspace, liveWs);
+  for (const { path, check, message } of structure) reasons.push(`${check} at ${path}: ${message}`);
+  for (const { path, message } of ratios) reasons.push(`ratio at ${path}: ${message}`);
+  for (const { title, message } of states) reasons.push(`${title}: ${message}`);
+  return { missing, kept, keptIds, extra, reasons };
+}
+
+/**
+ * Watch the configured workspaces and restore the ones that drift from the config.
+ * Returns once subscribed; call stop() to unsubscribe (waits for a restore in progress).
+ *
+ * @param {object} client - Connected WmClient
+ * @param {object} config - Loaded config (workspaces[], optional watch: { debounceMs, intervalMs, relaunch, extraWindows }, open, clear)
+ * @param {{ log?: (msg: string) => void, sink?: object }} opts - sink: see commandSink.js (default: live)
+ * @returns {Promise<{ stop: () => Promise<void> }>}
+ */
+export async function watchLayout(client, config, opts = {}) {
+  const log = opts.log ?? (() => {});
+  const debounceMs = config.watch?.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+  const intervalMs = config.watch?.intervalMs ?? 0;
+  const relaunch = config.watch?.relaunch === true;
+  const closeExtra = config.watch?.extraWindows === 'close';
+  const failedAttempts = new Map();
+  /** Ids of windows managed or unmanaged since the last check; their workspaces get fresh restore attempts. */
+  const changedWindowIds = new Set();
+  /** Live window id → workspace name at the last check, to place windows that are gone by now. */
+  let workspaceOfWindow = new Map();
+  /**
+   * Ids of windows managed or unmanaged while a restore ran: windows it opened or closed, and windows the apps
+   * opened in reply (e.g. a dialog when closing). Their later events are not a change either; dropped once gone.
+   */
+  const restoredWindowIds = new Set();
+  let restoring = false;
+
+  let timer = null;
+  let running = null;
+  let pending = false;
+  let stopped = false;
+
+  /** Close extra windows and re-open missing ones (if allowed), then re-layout one drifted workspace. Returns false if it was left as is. */
+  async function restoreWorkspace(workspace, drift) {
+    const wsName = workspace.name;
+    if (drift.extra.length > 0 && !closeExtra) {
+      log(`Workspace ${wsName}: has windows not in config and watch.extraWindows is not "close"; leaving it`);
+      return false;
+    }
+    if (drift.missing.length > 0 && !relaunch) {
+      log(`Workspace ${wsName}: windows missing and watch.relaunch is off; leaving it`);
+      return false;
+    }
+    for (const window of drift.extra) {
+      log(`Closing window not in config: ${window.title ?? 'Unknown'} (ID: ${window.id}) on workspace ${wsName}`);
+      await closeWindowWithEscalation(client, wsName, window, { ...opts, clear: config.clear });
+    }
+    if (drift.missing.length > 0) {
+      await runOpenPhase(client, { ...config, workspaces: [workspace] }, { ...opts, alreadyOpen: new Set(drift.kept) });
+    }
+
+    await runLayoutPhase(client, { ...config, workspaces: [workspace] }, opts);
+
+    if (drift.missing.length > 0) {
+      const reopened = await getFullscreenWindowIdsForWorkspace(client, workspace, wsName, opts);
+      const fullscreen = reopened.filter((w) => !drift.keptIds.has(w.id));
+      if (fullscreen.length > 0) {
+        await focusWorkspace(client, wsName, opts);
+        await fullscreenWindowIds(client, fullscreen, opts);
+      }
+    }
+    return true;
+  }
+
+  async function checkAndRestore() {
+    const { workspaces } = await client.queryWorkspaces();
+    const workspaceOf = new Map((workspaces ?? []).flatMap((ws) => findAllWindows(ws).map((w) => [w.id, ws.name])));
+    for (const id of changedWindowIds) {
+      if (!restoredWindowIds.has(id)) failedAttempts.delete(workspaceOf.get(id) ?? workspaceOfWindow.get(id));
+    }
+    changedWindowIds.clear();
+    for (const id of restoredWindowIds) if (!workspaceOf.has(id)) restoredWindowIds.delete(id);
+    workspaceOfWindow = workspaceOf;
+
+    const drifted = [];
+    for (const workspace of (config.workspaces ?? []).map(withoutSkippedWindows)) {
+      const liveWs = workspaces?.find((w) => w?.name === workspace?.name);
+      if (!liveWs || flattenApplications(workspace).length === 0) continue;
+      const drift = await workspaceDrift(client, workspace, liveWs);
+      if (drift.reasons.length === 0) {
+        failedAttempts.delete(workspace.name);
+        continue;
+      }
+      const attempts = failedAttempts.get(workspace.name) ?? 0;
+      if (attempts >= MAX_RESTORE_ATTEMPTS) continue;
+      if (attempts === MAX_RESTORE_ATTEMPTS - 1) {
+        log(`Workspace ${workspace.name}: still drifted after ${attempts} restore(s); last try until a window on it opens or closes`);
+      }
+      drifted.push({ workspace, drift });
+    }
+    if (drifted.length === 0) return;
+
+    const originalWorkspace = await getCurrentWorkspace(client);
+    restoring = true;
+    try {
+      for (const { workspace, drift } of drifted) {
+        log(`Workspace ${workspace.name}: drifted (${drift.reasons.join('; ')})`);
+        if (!(await restoreWorkspace(workspace, drift))) continue;
+
+        const liveWs = (await client.queryWorkspaces()).workspaces?.find((w) => w?.name === workspace.name);
+        const after = liveWs ? await workspaceDrift(client, workspace, liveWs) : { reasons: ['workspace gone'] };
+        if (after.reasons.length === 0) {
+          log(`Workspace ${workspace.name}: restored`);
+          failedAttempts.delete(workspace.name);
+        } else {
+          log(`Workspace ${workspace.name}: still drifted (${after.reasons.join('; ')})`);
+          failedAttempts.set(workspace.name, (failedAttempts.get(workspace.name) ?? 0) + 1);
+        }
+      }
+    } finally {
+      restoring = false;
+      await focusWorkspace(client, originalWorkspace, opts);
+    }
+  }
+
+  function run() {
+    timer = null;
+    if (stopped) return;
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = checkAndRestore()
+      .catch((err) => log(`Watch: restore failed: ${err?.message ?? err}`))
+      .finally(() => {
+        running = null;
+        if (pending) {
+          pending = false;
+          schedule();
+        }
+      });
+  }
+
+  function schedule() {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(run, debounceMs);
+  }
+
+  const unlisten = await client.subscribeMany(WATCH_EVENTS, (event) => {
+    const changed = restoring ? restoredWindowIds : changedWindowIds;
+    if (event?.eventType === WmEventType.WINDOW_MANAGED && event.managedWindow?.id) changed.add(event.managedWindow.id);
+    if (event?.eventType === WmEventType.WINDOW_UNMANAGED && event.unmanagedId) changed.add(event.unmanagedId);
+    schedule();
+  });
+
+  const interval = intervalMs > 0 ? setInterval(schedule, intervalMs) : null;
+
+  const names = (config.workspaces ?? []).map((ws) => ws?.name).filter(Boolean);
+  const every = interval ? `, every ${intervalMs} ms` : '';
+  log(`Watching workspace(s) ${names.join(', ')} for drift (debounce ${debounceMs} ms${every}, relaunch ${relaunch ? 'on' : 'off'})`);
+  schedule();
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      clearInterval(interval);
+      await running;
+      await unlisten();
+    },
+  };
+}
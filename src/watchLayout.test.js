@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { after, before, describe, it } from 'node:test';
+import { WmEventType } from 'glazewm';
+import { startDryRun } from './dryRun.js';
+import { createClient } from './glazeCommon.js';
+import { watchLayout } from './watchLayout.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('watchLayout on the simulator', () => {
+  let dry;
+  let client;
+  before(async () => {
+    const ws = JSON.parse(await readFile(new URL('../workspace-example.json', import.meta.url), 'utf-8'));
+    dry = await startDryRun(ws, { print: () => {}, port: 0 });
+    client = await createClient({ port: dry.port });
+  });
+  after(async () => {
+    await client.closeConnection();
+    await dry.close();
+  });
+
+  it('stops restoring a workspace whose restore keeps producing windows', async () => {
+    // An app not in the config that shows a new window whenever its window is closed.
+    const nag = () => dry.simulator.manageWindow({ title: 'Are you sure?', processName: 'nag', workspaceName: '3' });
+    const nagIds = new Set([nag().id]);
+    const unlistenNag = dry.simulator.onEvent((event) => {
+      if (event.eventType === WmEventType.WINDOW_UNMANAGED && nagIds.has(event.unmanagedId)) {
+        queueMicrotask(() => nagIds.add(nag().id));
+      }
+    });
+    const calculator = {
+      type: 'window',
+      title: 'Calculator',
+      application: 'Microsoft.WindowsCalculator_8wekyb3d8bbwe!App',
+      processName: 'ApplicationFrameHost',
+      state: 'floating',
+    };
+    const config = {
+      watch: { debounceMs: 50, extraWindows: 'close' },
+      workspaces: [{ name: '3', children: [calculator] }],
+    };
+
+    const logged = [];
+    const watcher = await watchLayout(client, config, { sink: dry.sink, log: (msg) => logged.push(msg) });
+    try {
+      await sleep(1500);
+    } finally {
+      await watcher.stop();
+      unlistenNag();
+    }
+
+    const restores = logged.filter((msg) => msg.startsWith('Workspace 3: drifted'));
+    assert.equal(restores.length, 3, logged.join('\n'));
+    assert.ok(logged.some((msg) => msg.startsWith('Workspace 3: still drifted after 2 restore(s); last try')));
+  });
+});